@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+// Run the contract conformance suite against an implementation of the API.
+//
+// Usage:
+//   node bin/conformance.js --base-url https://vendor.example.com/api/v1 --token <token> --junit reports/conformance.xml
+//   node bin/conformance.js --self          # self-check against an in-process mock
+//
+// Options:
+//   --base-url <url>     API base URL including /api/v1 (default: http://localhost:3000/api/v1)
+//   --token <token>      bearer token with read and write scopes (default: CONFORMANCE_TOKEN or a mock token)
+//   --junit <file>       write a JUnit XML report to this file
+//   --self               start the mock on a random port and test it
+//   --timeout-ms <ms>    per-request timeout (default: 10000)
+//
+// The expected workflow and contract come from WORKFLOW_FILE and OPENAPI_FILE,
+// as for the server. Exits with status 1 if any test fails.
+
+const fs = require('fs');
+const path = require('path');
+const { loadWorkflow, DEFAULT_WORKFLOW_FILE } = require('../lib/workflow');
+const { loadSpec, applyWorkflow, createContractValidator, DEFAULT_SPEC_FILE } = require('../lib/openapi');
+const { runConformance, toJUnitXml, formatSummary } = require('../lib/conformance');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+      args[name] = true;
+    } else {
+      args[name] = argv[++i];
+    }
+  }
+  return args;
+};
+
+// Listen on a random port and resolve to the running server. The mock's request log would be
+// interleaved with the summary on stdout, so it stays silent unless LOG_LEVEL is set.
+const startMock = () => new Promise((resolve) => {
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+  const app = require('../server');
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  const workflow = loadWorkflow(process.env.WORKFLOW_FILE || DEFAULT_WORKFLOW_FILE);
+  const spec = applyWorkflow(loadSpec(process.env.OPENAPI_FILE || DEFAULT_SPEC_FILE), { statuses: workflow.statuses });
+  const contract = createContractValidator({ spec });
+
+  const server = args.self ? await startMock() : null;
+  const baseUrl = server
+    ? `http://127.0.0.1:${server.address().port}/api/v1`
+    : (args.baseUrl || 'http://localhost:3000/api/v1');
+
+  try {
+    const results = await runConformance({
+      baseUrl,
+      token: args.token || process.env.CONFORMANCE_TOKEN || 'conformance-token',
+      workflow,
+      contract,
+      timeoutMs: Number(args.timeoutMs || 10000)
+    });
+
+    process.stdout.write(formatSummary(results, { baseUrl }));
+
+    if (args.junit) {
+      fs.mkdirSync(path.dirname(path.resolve(args.junit)), { recursive: true });
+      fs.writeFileSync(args.junit, toJUnitXml(results));
+      console.log(`\nJUnit report written to ${args.junit}`);
+    }
+
+    return results.some(result => result.failure) ? 1 : 0;
+  } finally {
+    if (server) {
+      server.close();
+    }
+  }
+};
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
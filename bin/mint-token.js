@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+
+// Mint a test JWT using the same AUTH_* configuration as the server.
+//
+// Usage:
+//   AUTH_JWT_SECRET=secret node bin/mint-token.js --sub user-1 --scope "orders:read" --customer-id cust-12345
+//
+// Options:
+//   --sub <subject>          sub claim
+//   --scope <scopes>         space-separated scopes (default: all scopes)
+//   --customer-id <id>       customer_id claim restricting access to one customer
+//   --tenant-id <id>         tenant_id claim binding the token to one tenant
+//   --expires-in <duration>  lifetime, e.g. 15m, 1h, 7d (default: 1h)
+
+const { createAuth, authOptionsFromEnv } = require('../lib/auth');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    args[name] = argv[i + 1];
+  }
+  return args;
+};
+
+try {
+  const { sub, scope, customerId, tenantId, expiresIn } = parseArgs(process.argv.slice(2));
+  const auth = createAuth({ ...authOptionsFromEnv(), mode: 'permissive' });
+
+  console.log(auth.mintToken({ sub, scope, customerId, tenantId, expiresIn }));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
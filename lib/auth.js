@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+// Authentication
+//
+// Two modes:
+//   permissive (default) - any non-empty bearer token is accepted with every scope
+//   jwt                  - tokens must be valid JWTs, signed with HS256 (AUTH_JWT_SECRET)
+//                          or RS256 (public keys from a local JWKS file)
+//
+// In jwt mode the `scope` claim is enforced per route, a `customer_id` claim
+// restricts the caller to that customer's orders and a `tenant_id` claim binds
+// the caller to one tenant's data.
+
+const SCOPES = {
+  READ: 'orders:read',
+  WRITE: 'orders:write',
+  ADMIN: 'orders:admin'
+};
+
+const ALL_SCOPES = Object.values(SCOPES);
+
+const unauthorized = (res, message) => res.status(401).json({
+  error: 'UNAUTHORIZED',
+  message
+});
+
+const forbidden = (res, message) => res.status(403).json({
+  error: 'FORBIDDEN',
+  message
+});
+
+const parseScopes = (payload) => {
+  if (Array.isArray(payload.scp)) {
+    return payload.scp;
+  }
+  if (typeof payload.scope === 'string') {
+    return payload.scope.split(' ').filter(Boolean);
+  }
+  return [];
+};
+
+const loadJwks = (jwksFile) => {
+  const { keys = [] } = JSON.parse(fs.readFileSync(jwksFile, 'utf8'));
+  return keys.map(jwk => ({
+    kid: jwk.kid,
+    key: crypto.createPublicKey({ key: jwk, format: 'jwk' })
+  }));
+};
+
+// Options for createAuth() from AUTH_* environment variables (shared by the server and bin/mint-token.js)
+const authOptionsFromEnv = (env = process.env) => ({
+  mode: env.AUTH_MODE || 'permissive',
+  algorithm: env.AUTH_JWT_ALGORITHM || 'HS256',
+  secret: env.AUTH_JWT_SECRET,
+  jwksFile: env.AUTH_JWKS_FILE,
+  privateKeyFile: env.AUTH_PRIVATE_KEY_FILE,
+  keyId: env.AUTH_JWT_KID,
+  issuer: env.AUTH_JWT_ISSUER,
+  audience: env.AUTH_JWT_AUDIENCE
+});
+
+const createAuth = ({
+  mode = 'permissive',
+  algorithm = 'HS256',
+  secret,
+  jwksFile,
+  privateKeyFile,
+  keyId,
+  issuer,
+  audience
+} = {}) => {
+  if (!['permissive', 'jwt'].includes(mode)) {
+    throw new Error(`Unknown auth mode: ${mode}`);
+  }
+  if (!['HS256', 'RS256'].includes(algorithm)) {
+    throw new Error(`Unsupported JWT algorithm: ${algorithm}`);
+  }
+  if (mode === 'jwt' && algorithm === 'HS256' && !secret) {
+    throw new Error('AUTH_JWT_SECRET must be set for HS256 JWT authentication');
+  }
+  if (mode === 'jwt' && algorithm === 'RS256' && !jwksFile) {
+    throw new Error('AUTH_JWKS_FILE must be set for RS256 JWT authentication');
+  }
+
+  const jwks = mode === 'jwt' && algorithm === 'RS256' ? loadJwks(jwksFile) : [];
+
+  const verificationKey = (header) => {
+    if (algorithm === 'HS256') {
+      return secret;
+    }
+    const match = header.kid
+      ? jwks.find(entry => entry.kid === header.kid)
+      : (jwks.length === 1 ? jwks[0] : undefined);
+    return match && match.key;
+  };
+
+  const verify = (token) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new Error('Token is not a valid JWT');
+    }
+
+    const key = verificationKey(decoded.header);
+    if (!key) {
+      throw new Error('No matching signing key found');
+    }
+
+    return jwt.verify(token, key, {
+      algorithms: [algorithm],
+      issuer,
+      audience
+    });
+  };
+
+  const authenticateToken = (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return unauthorized(res, 'Authentication token is required');
+    }
+
+    // For mock purposes, accept any non-empty token; the token itself identifies the caller
+    if (mode === 'permissive') {
+      req.auth = { sub: token, scopes: ALL_SCOPES, customerId: null, tenantId: null };
+      return next();
+    }
+
+    try {
+      const payload = verify(token);
+      req.auth = {
+        sub: payload.sub || null,
+        scopes: parseScopes(payload),
+        customerId: payload.customer_id || null,
+        tenantId: payload.tenant_id || null
+      };
+    } catch (error) {
+      return unauthorized(res, `Invalid authentication token: ${error.message}`);
+    }
+
+    next();
+  };
+
+  const requireScope = (scope) => (req, res, next) => {
+    const { scopes } = req.auth;
+    if (!scopes.includes(scope) && !scopes.includes(SCOPES.ADMIN)) {
+      return forbidden(res, `Token is missing required scope: ${scope}`);
+    }
+    next();
+  };
+
+  // Customer-bound tokens may only act on their own customer's orders
+  const canAccessCustomer = (req, customerId) => {
+    return !req.auth.customerId || req.auth.customerId === customerId;
+  };
+
+  // Admin callers (orders:admin scope, not bound to a customer) may act across customers
+  const isAdmin = (req) => req.auth.scopes.includes(SCOPES.ADMIN) && !req.auth.customerId;
+
+  const signingKey = () => {
+    if (algorithm === 'HS256') {
+      return secret;
+    }
+    return privateKeyFile ? fs.readFileSync(privateKeyFile, 'utf8') : null;
+  };
+
+  const mintToken = ({ sub, scope = ALL_SCOPES.join(' '), customerId, tenantId, expiresIn = '1h', kid = keyId } = {}) => {
+    const key = signingKey();
+    if (!key) {
+      throw new Error(algorithm === 'HS256'
+        ? 'AUTH_JWT_SECRET must be set to mint tokens'
+        : 'AUTH_PRIVATE_KEY_FILE must be set to mint RS256 tokens');
+    }
+
+    const payload = { scope };
+    if (customerId) {
+      payload.customer_id = customerId;
+    }
+    if (tenantId) {
+      payload.tenant_id = tenantId;
+    }
+
+    const options = { algorithm, expiresIn };
+    if (sub) options.subject = sub;
+    if (issuer) options.issuer = issuer;
+    if (audience) options.audience = audience;
+    if (kid) options.keyid = kid;
+
+    return jwt.sign(payload, key, options);
+  };
+
+  return {
+    mode,
+    authenticateToken,
+    requireScope,
+    canAccessCustomer,
+    isAdmin,
+    mintToken
+  };
+};
+
+module.exports = {
+  SCOPES,
+  authOptionsFromEnv,
+  createAuth
+};
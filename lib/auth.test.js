@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { createAuth, SCOPES } = require('./auth');
+
+describe('JWT Authentication', () => {
+  const secret = 'test-secret';
+
+  describe('server in HS256 mode', () => {
+    let app;
+    let auth;
+
+    beforeAll(() => {
+      process.env.AUTH_MODE = 'jwt';
+      process.env.AUTH_JWT_SECRET = secret;
+      process.env.AUTH_TOKEN_ENDPOINT = 'true';
+      jest.isolateModules(() => {
+        app = require('../server');
+      });
+      auth = createAuth({ mode: 'jwt', secret });
+    });
+
+    afterAll(() => {
+      delete process.env.AUTH_MODE;
+      delete process.env.AUTH_JWT_SECRET;
+      delete process.env.AUTH_TOKEN_ENDPOINT;
+    });
+
+    const createOrder = (token, customerId) => request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', uuidv4())
+      .send({
+        customerId,
+        items: [{ productId: 'prod-001', quantity: 1, unitPrice: 10.00 }]
+      });
+
+    test('should reject tokens that are not valid JWTs', async () => {
+      const response = await request(app)
+        .get('/api/v1/orders?customerId=cust-1')
+        .set('Authorization', 'Bearer not-a-jwt');
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('UNAUTHORIZED');
+    });
+
+    test('should reject tokens signed with another secret', async () => {
+      const token = createAuth({ secret: 'other-secret' }).mintToken({ sub: 'user-1' });
+
+      const response = await request(app)
+        .get('/api/v1/orders?customerId=cust-1')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+    });
+
+    test('should reject expired tokens', async () => {
+      const token = auth.mintToken({ sub: 'user-1', expiresIn: -10 });
+
+      const response = await request(app)
+        .get('/api/v1/orders?customerId=cust-1')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.message).toContain('expired');
+    });
+
+    test('should enforce scopes per route', async () => {
+      const readOnly = auth.mintToken({ sub: 'user-1', scope: SCOPES.READ });
+
+      const createResponse = await createOrder(readOnly, 'cust-1');
+      expect(createResponse.status).toBe(403);
+      expect(createResponse.body.error).toBe('FORBIDDEN');
+
+      const searchResponse = await request(app)
+        .get('/api/v1/orders?customerId=cust-1')
+        .set('Authorization', `Bearer ${readOnly}`);
+      expect(searchResponse.status).toBe(200);
+    });
+
+    test('should require a customer ID for non-admin searches', async () => {
+      const reader = auth.mintToken({ sub: 'user-1', scope: SCOPES.READ });
+      const admin = auth.mintToken({ sub: 'admin-1', scope: SCOPES.ADMIN });
+
+      const readerResponse = await request(app)
+        .get('/api/v1/orders')
+        .set('Authorization', `Bearer ${reader}`);
+      expect(readerResponse.status).toBe(400);
+      expect(readerResponse.body.error).toBe('VALIDATION_ERROR');
+
+      const adminResponse = await request(app)
+        .get('/api/v1/orders')
+        .set('Authorization', `Bearer ${admin}`);
+      expect(adminResponse.status).toBe(200);
+    });
+
+    test('should restrict customer tokens to their own orders', async () => {
+      const service = auth.mintToken({ sub: 'service', scope: `${SCOPES.READ} ${SCOPES.WRITE}` });
+      const customer = auth.mintToken({ sub: 'user-2', scope: `${SCOPES.READ} ${SCOPES.WRITE}`, customerId: 'cust-2' });
+
+      const otherOrder = await createOrder(service, 'cust-other');
+      expect(otherOrder.status).toBe(201);
+
+      const ownOrder = await createOrder(customer, 'cust-2');
+      expect(ownOrder.status).toBe(201);
+
+      const forbiddenCreate = await createOrder(customer, 'cust-other');
+      expect(forbiddenCreate.status).toBe(403);
+
+      const ownGet = await request(app)
+        .get(`/api/v1/orders/${ownOrder.body.orderId}`)
+        .set('Authorization', `Bearer ${customer}`);
+      expect(ownGet.status).toBe(200);
+
+      const otherGet = await request(app)
+        .get(`/api/v1/orders/${otherOrder.body.orderId}`)
+        .set('Authorization', `Bearer ${customer}`);
+      expect(otherGet.status).toBe(403);
+
+      const otherSearch = await request(app)
+        .get('/api/v1/orders?customerId=cust-other')
+        .set('Authorization', `Bearer ${customer}`);
+      expect(otherSearch.status).toBe(403);
+
+      const otherUpdate = await request(app)
+        .patch(`/api/v1/orders/${otherOrder.body.orderId}/status`)
+        .set('Authorization', `Bearer ${customer}`)
+        .send({ status: 'confirmed' });
+      expect(otherUpdate.status).toBe(403);
+    });
+
+    test('should mint usable tokens through the admin endpoint', async () => {
+      const mintResponse = await request(app)
+        .post('/admin/tokens')
+        .send({ sub: 'user-3', scope: SCOPES.READ, customerId: 'cust-3' });
+
+      expect(mintResponse.status).toBe(201);
+
+      const response = await request(app)
+        .get('/api/v1/orders?customerId=cust-3')
+        .set('Authorization', `Bearer ${mintResponse.body.token}`);
+      expect(response.status).toBe(200);
+    });
+  });
+
+  test('should only mount the token endpoint when AUTH_TOKEN_ENDPOINT is set', async () => {
+    let app;
+    process.env.AUTH_MODE = 'jwt';
+    process.env.AUTH_JWT_SECRET = secret;
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    delete process.env.AUTH_MODE;
+    delete process.env.AUTH_JWT_SECRET;
+
+    const response = await request(app)
+      .post('/admin/tokens')
+      .send({ sub: 'intruder', scope: SCOPES.ADMIN });
+    expect(response.status).toBe(404);
+  });
+
+  describe('RS256 with a JWKS file', () => {
+    let tmpDir;
+    let app;
+    let auth;
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-auth-'));
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const jwksFile = path.join(tmpDir, 'jwks.json');
+      const privateKeyFile = path.join(tmpDir, 'private.pem');
+
+      fs.writeFileSync(jwksFile, JSON.stringify({
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' }]
+      }));
+      fs.writeFileSync(privateKeyFile, privateKey.export({ format: 'pem', type: 'pkcs8' }));
+
+      auth = createAuth({ mode: 'jwt', algorithm: 'RS256', jwksFile, privateKeyFile, keyId: 'test-key' });
+
+      app = express();
+      app.get('/orders', auth.authenticateToken, auth.requireScope(SCOPES.READ), (req, res) => {
+        res.json(req.auth);
+      });
+    });
+
+    afterAll(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('should verify tokens against the JWKS', async () => {
+      const token = auth.mintToken({ sub: 'user-1', scope: SCOPES.READ, customerId: 'cust-1' });
+
+      const response = await request(app)
+        .get('/orders')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ sub: 'user-1', scopes: [SCOPES.READ], customerId: 'cust-1', tenantId: null });
+    });
+
+    test('should reject tokens with an unknown key ID', async () => {
+      const token = auth.mintToken({ sub: 'user-1', kid: 'unknown-key' });
+
+      const response = await request(app)
+        .get('/orders')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// Bulk operations
+//
+// A batch runs the operation of a single endpoint (create an order, change an
+// order's status) for each of its items in turn and reports what that
+// endpoint would have answered for each one: its HTTP status, headers and
+// body, so a failed item carries the very error object the single endpoint
+// returns.
+//
+// Atomic batches stop at the first failing item and roll back every item
+// already applied, so either all of them take effect or none does.
+
+const ABORTED_STATUS = 424;
+
+const isSuccess = ({ status }) => status < 400;
+
+const aborted = (index, failedIndex) => ({
+  index,
+  status: ABORTED_STATUS,
+  headers: {},
+  body: {
+    error: 'BATCH_ABORTED',
+    message: index < failedIndex
+      ? `Rolled back because item ${failedIndex} failed`
+      : `Not attempted because item ${failedIndex} failed`
+  }
+});
+
+// runItem(item, index) returns { status, headers, body }; begin() opens a transaction
+// ({ commit, rollback }) and is only called for atomic batches
+const runBatch = (items, runItem, { atomic = false, begin }) => {
+  const transaction = atomic ? begin() : null;
+  const results = [];
+
+  try {
+    for (const [index, item] of items.entries()) {
+      const { status, headers = {}, body } = runItem(item, index);
+      results.push({ index, status, headers, body });
+      if (atomic && status >= 400) {
+        break;
+      }
+    }
+  } catch (error) {
+    if (transaction) {
+      transaction.rollback();
+    }
+    throw error;
+  }
+
+  const failed = results.find(result => !isSuccess(result));
+
+  if (transaction && failed) {
+    transaction.rollback();
+    const abortedResults = items.map((item, index) => (index === failed.index ? failed : aborted(index, failed.index)));
+    return { atomic, succeeded: 0, failed: items.length, results: abortedResults };
+  }
+
+  if (transaction) {
+    transaction.commit();
+  }
+
+  const succeeded = results.filter(isSuccess).length;
+  return { atomic, succeeded, failed: results.length - succeeded, results };
+};
+
+module.exports = {
+  ABORTED_STATUS,
+  runBatch
+};
@@ -0,0 +1,57 @@
+const { runBatch, ABORTED_STATUS } = require('./batch');
+
+describe('Batch', () => {
+  // Items are numbers; negative ones fail
+  const runItem = (applied) => (item) => {
+    if (item < 0) {
+      return { status: 409, body: { error: 'CONFLICT', message: `Item ${item} failed` } };
+    }
+    applied.push(item);
+    return { status: 201, headers: { ETag: `"${item}"` }, body: { item } };
+  };
+
+  const transaction = () => {
+    const calls = [];
+    return { calls, begin: () => ({ commit: () => calls.push('commit'), rollback: () => calls.push('rollback') }) };
+  };
+
+  test('should report each item on its own', () => {
+    const applied = [];
+    const batch = runBatch([1, -2, 3], runItem(applied), {});
+
+    expect(applied).toEqual([1, 3]);
+    expect(batch).toMatchObject({ atomic: false, succeeded: 2, failed: 1 });
+    expect(batch.results.map(result => result.status)).toEqual([201, 409, 201]);
+    expect(batch.results[0].headers).toEqual({ ETag: '"1"' });
+    expect(batch.results[1].body).toEqual({ error: 'CONFLICT', message: 'Item -2 failed' });
+  });
+
+  test('should roll back an atomic batch at the first failure', () => {
+    const applied = [];
+    const { calls, begin } = transaction();
+    const batch = runBatch([1, -2, 3], runItem(applied), { atomic: true, begin });
+
+    expect(applied).toEqual([1]);
+    expect(calls).toEqual(['rollback']);
+    expect(batch).toMatchObject({ atomic: true, succeeded: 0, failed: 3 });
+    expect(batch.results.map(result => result.status)).toEqual([ABORTED_STATUS, 409, ABORTED_STATUS]);
+    expect(batch.results[0].body.message).toBe('Rolled back because item 1 failed');
+    expect(batch.results[2].body.message).toBe('Not attempted because item 1 failed');
+  });
+
+  test('should commit an atomic batch that succeeds', () => {
+    const { calls, begin } = transaction();
+    const batch = runBatch([1, 2], runItem([]), { atomic: true, begin });
+
+    expect(calls).toEqual(['commit']);
+    expect(batch).toMatchObject({ succeeded: 2, failed: 0 });
+  });
+
+  test('should roll back when an item throws', () => {
+    const { calls, begin } = transaction();
+    const explode = () => { throw new Error('boom'); };
+
+    expect(() => runBatch([1], explode, { atomic: true, begin })).toThrow('boom');
+    expect(calls).toEqual(['rollback']);
+  });
+});
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const money = require('./money');
+const { activeQuantity } = require('./pricing');
+
+// Product catalog and inventory
+//
+// Products carry a price and the number of units on hand (`stock`). When the
+// catalog is enforced, orders must name catalog products at their current
+// price, and each order holds a reservation for the units it needs from the
+// moment it is placed. Shipping the order takes those units out of stock;
+// ending without shipping releases them. A product's available stock is what
+// is on hand minus what open orders hold.
+//
+// Reservations live in their own collection (orderId -> units per product),
+// so the store can be snapshotted and restored as a whole.
+
+const DEFAULT_CATALOG_FILE = path.join(__dirname, '..', 'config', 'catalog.yaml');
+
+const PRODUCT_FIELDS = ['name', 'price', 'currency', 'stock'];
+
+const loadCatalogFile = (file = DEFAULT_CATALOG_FILE) => yaml.load(fs.readFileSync(file, 'utf8')) || {};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Returns an error message for a product definition, or null
+const validateProduct = (product, { defaultCurrency = 'USD' } = {}) => {
+  if (!isPlainObject(product)) {
+    return 'Product must be an object';
+  }
+
+  const unknown = Object.keys(product).filter(field => !['productId', 'updatedAt', ...PRODUCT_FIELDS].includes(field));
+  if (unknown.length > 0) {
+    return `Unknown product fields: ${unknown.join(', ')}. Allowed: ${PRODUCT_FIELDS.join(', ')}`;
+  }
+
+  const { name, price, currency = defaultCurrency, stock } = product;
+
+  if (typeof name !== 'string' || !name) {
+    return 'name is required';
+  }
+  if (!money.isCurrency(currency)) {
+    return `Unsupported currency: ${currency}`;
+  }
+  if (typeof price !== 'number' || price < 0) {
+    return 'price must be a number of at least 0';
+  }
+  if (money.decimalPlaces(price) > money.minorUnits(currency)) {
+    return `price has more than ${money.minorUnits(currency)} decimal places for ${currency}`;
+  }
+  if (!Number.isInteger(stock) || stock < 0) {
+    return 'stock must be an integer of at least 0';
+  }
+  return null;
+};
+
+// Returns an error message for the contents of a catalog file, or null
+const validateCatalogFile = (definition, options) => {
+  if (!isPlainObject(definition)) {
+    return 'Catalog must be an object';
+  }
+  if (definition.enforce !== undefined && typeof definition.enforce !== 'boolean') {
+    return 'enforce must be true or false';
+  }
+  if (definition.products !== undefined && !Array.isArray(definition.products)) {
+    return 'products must be a list';
+  }
+
+  const seen = new Set();
+  for (const [index, product] of (definition.products || []).entries()) {
+    const productId = isPlainObject(product) ? product.productId : undefined;
+    if (typeof productId !== 'string' || !productId) {
+      return `products[${index}].productId is required`;
+    }
+    if (seen.has(productId)) {
+      return `Product ${productId} is listed more than once`;
+    }
+    seen.add(productId);
+
+    const error = validateProduct(product, options);
+    if (error) {
+      return `Product ${productId}: ${error}`;
+    }
+  }
+  return null;
+};
+
+// productId -> units the items need (cancelled units excluded)
+const unitsByProduct = (items) => {
+  const units = {};
+  items.forEach(item => {
+    units[item.productId] = (units[item.productId] || 0) + activeQuantity(item);
+  });
+  return units;
+};
+
+const conflict = (status, error, message, details) => ({ status, error, message, details });
+
+const createCatalog = ({ products, reservations, enforce = false, defaultCurrency = 'USD', now = () => new Date() }) => {
+  // Units of a product held by open orders, optionally leaving one order out
+  const reservedUnits = (productId, exceptOrderId = null) => reservations.values()
+    .filter(reservation => reservation.orderId !== exceptOrderId)
+    .reduce((total, reservation) => total + (reservation.units[productId] || 0), 0);
+
+  const withAvailability = (product) => {
+    const reserved = reservedUnits(product.productId);
+    return { ...product, reserved, available: Math.max(0, product.stock - reserved) };
+  };
+
+  const get = (productId) => {
+    const product = products.get(productId);
+    return product ? withAvailability(product) : undefined;
+  };
+
+  const list = () => products.values()
+    .sort((a, b) => a.productId.localeCompare(b.productId))
+    .map(withAvailability);
+
+  // Create or replace a product; `fields` must be a valid full definition
+  const put = (productId, fields) => {
+    products.set(productId, {
+      productId,
+      name: fields.name,
+      price: fields.price,
+      currency: fields.currency || defaultCurrency,
+      stock: fields.stock,
+      updatedAt: now().toISOString()
+    });
+    return get(productId);
+  };
+
+  const update = (productId, fields) => put(productId, { ...products.get(productId), ...fields });
+
+  const remove = (productId) => products.delete(productId);
+
+  // Replace the whole catalog with product definitions (e.g. from the catalog file)
+  const load = (definitions = []) => {
+    products.clear();
+    definitions.forEach(({ productId, ...fields }) => put(productId, fields));
+  };
+
+  // Inventory
+
+  // Catalog rules for lines being placed or repriced: known product, current price and currency
+  const checkPrices = (items, currency) => {
+    for (const item of items) {
+      const product = products.get(item.productId);
+      if (!product) {
+        return conflict(422, 'PRODUCT_NOT_FOUND', `Unknown product: ${item.productId}`, { productId: item.productId });
+      }
+      const samePrice = product.currency === currency
+        && money.toMinor(item.unitPrice, currency) === money.toMinor(product.price, product.currency);
+      if (!samePrice) {
+        return conflict(409, 'PRICE_MISMATCH', `Price of ${product.productId} is ${product.price} ${product.currency}, not ${item.unitPrice} ${currency}`, {
+          productId: product.productId,
+          price: product.price,
+          currency: product.currency
+        });
+      }
+    }
+    return null;
+  };
+
+  // Can the order (new, or replacing its current reservation) hold the units its items need?
+  const checkStock = (items, orderId = null) => {
+    for (const [productId, needed] of Object.entries(unitsByProduct(items))) {
+      const product = products.get(productId);
+      if (!product || needed === 0) {
+        continue;
+      }
+      const available = Math.max(0, product.stock - reservedUnits(productId, orderId));
+      if (needed > available) {
+        return conflict(409, 'INSUFFICIENT_STOCK', `Only ${available} of ${productId} available, ${needed} requested`, {
+          productId,
+          available,
+          requested: needed
+        });
+      }
+    }
+    return null;
+  };
+
+  // Hold the units the order's items need, replacing what it held before
+  const reserve = (orderId, items) => {
+    const units = {};
+    Object.entries(unitsByProduct(items))
+      .filter(([productId, quantity]) => products.has(productId) && quantity > 0)
+      .forEach(([productId, quantity]) => { units[productId] = quantity; });
+    reservations.set(orderId, { orderId, units });
+  };
+
+  const holds = (orderId) => reservations.has(orderId);
+
+  // The order ended without shipping: give its units back
+  const release = (orderId) => reservations.delete(orderId);
+
+  // The order shipped: its units leave the warehouse
+  const commit = (orderId) => {
+    const reservation = reservations.get(orderId);
+    if (!reservation) {
+      return;
+    }
+    reservations.delete(orderId);
+    Object.entries(reservation.units).forEach(([productId, quantity]) => {
+      const product = products.get(productId);
+      if (product) {
+        products.set(productId, { ...product, stock: Math.max(0, product.stock - quantity), updatedAt: now().toISOString() });
+      }
+    });
+  };
+
+  return {
+    enforced: enforce,
+    get,
+    list,
+    put,
+    update,
+    remove,
+    load,
+    reservedUnits,
+    checkPrices,
+    checkStock,
+    holds,
+    reserve,
+    release,
+    commit
+  };
+};
+
+module.exports = {
+  DEFAULT_CATALOG_FILE,
+  loadCatalogFile,
+  validateProduct,
+  validateCatalogFile,
+  createCatalog
+};
@@ -0,0 +1,175 @@
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./storage');
+const { createCatalog, loadCatalogFile, validateCatalogFile, validateProduct } = require('./catalog');
+
+describe('Product catalog', () => {
+  let store;
+  let catalog;
+
+  beforeEach(() => {
+    store = createStore();
+    catalog = createCatalog({
+      products: store.collection('products'),
+      reservations: store.collection('reservations'),
+      enforce: true,
+      now: () => new Date('2024-03-15T12:00:00Z')
+    });
+    catalog.load([
+      { productId: 'prod-001', name: 'Wireless Mouse', price: 29.99, stock: 5 },
+      { productId: 'prod-002', name: 'USB-C Cable', price: 15.5, stock: 10 }
+    ]);
+  });
+
+  test('should ship with a valid catalog file', () => {
+    expect(validateCatalogFile(loadCatalogFile())).toBeNull();
+  });
+
+  test('should validate products', () => {
+    expect(validateProduct({ name: 'Mouse', price: 10, stock: 1 })).toBeNull();
+    expect(validateProduct({ price: 10, stock: 1 })).toBe('name is required');
+    expect(validateProduct({ name: 'Mouse', price: 10.5, currency: 'JPY', stock: 1 })).toContain('decimal places');
+    expect(validateProduct({ name: 'Mouse', price: 10, stock: 1.5 })).toContain('stock');
+    expect(validateCatalogFile({ products: [{ name: 'Mouse', price: 10, stock: 1 }] })).toContain('productId is required');
+  });
+
+  test('should check prices against the catalog', () => {
+    expect(catalog.checkPrices([{ productId: 'prod-001', unitPrice: 29.99 }], 'USD')).toBeNull();
+    expect(catalog.checkPrices([{ productId: 'prod-999', unitPrice: 1 }], 'USD')).toMatchObject({
+      status: 422,
+      error: 'PRODUCT_NOT_FOUND',
+      details: { productId: 'prod-999' }
+    });
+    expect(catalog.checkPrices([{ productId: 'prod-001', unitPrice: 19.99 }], 'USD')).toMatchObject({
+      status: 409,
+      error: 'PRICE_MISMATCH',
+      details: { productId: 'prod-001', price: 29.99, currency: 'USD' }
+    });
+    expect(catalog.checkPrices([{ productId: 'prod-001', unitPrice: 29.99 }], 'EUR').error).toBe('PRICE_MISMATCH');
+  });
+
+  test('should reserve, release and commit stock per order', () => {
+    catalog.reserve('ord-1', [{ productId: 'prod-001', quantity: 3 }]);
+    expect(catalog.get('prod-001')).toMatchObject({ stock: 5, reserved: 3, available: 2 });
+
+    expect(catalog.checkStock([{ productId: 'prod-001', quantity: 3 }])).toMatchObject({
+      status: 409,
+      error: 'INSUFFICIENT_STOCK',
+      details: { productId: 'prod-001', available: 2, requested: 3 }
+    });
+    // An order's own reservation counts towards what it can hold
+    expect(catalog.checkStock([{ productId: 'prod-001', quantity: 5 }], 'ord-1')).toBeNull();
+
+    catalog.reserve('ord-2', [{ productId: 'prod-001', quantity: 2 }, { productId: 'prod-002', quantity: 4, cancelledQuantity: 1 }]);
+    expect(catalog.get('prod-002')).toMatchObject({ reserved: 3, available: 7 });
+
+    catalog.release('ord-1');
+    expect(catalog.get('prod-001')).toMatchObject({ stock: 5, reserved: 2, available: 3 });
+
+    catalog.commit('ord-2');
+    expect(catalog.get('prod-001')).toMatchObject({ stock: 3, reserved: 0, available: 3 });
+    expect(catalog.get('prod-002')).toMatchObject({ stock: 7, reserved: 0, available: 7 });
+    expect(catalog.holds('ord-2')).toBe(false);
+  });
+});
+
+describe('Enforced catalog in the mock', () => {
+  let app;
+  const token = 'catalog-token';
+
+  beforeEach(() => {
+    process.env.CATALOG_ENFORCED = 'true';
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    delete process.env.CATALOG_ENFORCED;
+  });
+
+  const placeOrder = (items) => request(app)
+    .post('/api/v1/orders')
+    .set('Authorization', `Bearer ${token}`)
+    .set('Idempotency-Key', uuidv4())
+    .send({ customerId: 'cust-catalog', items });
+
+  const setStatus = (orderId, status) => request(app)
+    .patch(`/api/v1/orders/${orderId}/status`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ status, trackingNumber: 'TRK123', reason: 'Test' });
+
+  const getProduct = async (productId) => (await request(app)
+    .get(`/api/v1/products/${productId}`)
+    .set('Authorization', `Bearer ${token}`)).body;
+
+  test('should reject unknown products and stale prices', async () => {
+    const unknown = await placeOrder([{ productId: 'prod-999', quantity: 1, unitPrice: 5 }]);
+    expect(unknown.status).toBe(422);
+    expect(unknown.body).toMatchObject({ error: 'PRODUCT_NOT_FOUND', details: { productId: 'prod-999' } });
+
+    const stale = await placeOrder([{ productId: 'prod-001', quantity: 1, unitPrice: 19.99 }]);
+    expect(stale.status).toBe(409);
+    expect(stale.body).toMatchObject({ error: 'PRICE_MISMATCH', details: { price: 29.99, currency: 'USD' } });
+  });
+
+  test('should reserve stock for new orders and refuse orders it cannot cover', async () => {
+    const { stock } = await getProduct('prod-003');
+
+    const placed = await placeOrder([{ productId: 'prod-003', quantity: stock - 1, unitPrice: 99.99 }]);
+    expect(placed.status).toBe(201);
+    expect(await getProduct('prod-003')).toMatchObject({ stock, reserved: stock - 1, available: 1 });
+
+    const refused = await placeOrder([{ productId: 'prod-003', quantity: 2, unitPrice: 99.99 }]);
+    expect(refused.status).toBe(409);
+    expect(refused.body).toMatchObject({ error: 'INSUFFICIENT_STOCK', details: { available: 1, requested: 2 } });
+
+    const reserved = await request(app)
+      .delete('/api/v1/products/prod-003')
+      .set('Authorization', `Bearer ${token}`);
+    expect(reserved.status).toBe(409);
+    expect(reserved.body.error).toBe('PRODUCT_RESERVED');
+  });
+
+  test('should release stock when an order is cancelled', async () => {
+    const placed = await placeOrder([{ productId: 'prod-002', quantity: 4, unitPrice: 15.5 }]);
+    expect((await getProduct('prod-002')).reserved).toBe(4);
+
+    await setStatus(placed.body.orderId, 'cancelled');
+
+    expect(await getProduct('prod-002')).toMatchObject({ stock: 250, reserved: 0, available: 250 });
+  });
+
+  test('should follow edits and line cancellations', async () => {
+    const placed = await placeOrder([{ productId: 'prod-001', quantity: 2, unitPrice: 29.99 }]);
+    const { orderId } = placed.body;
+
+    const modified = await request(app)
+      .patch(`/api/v1/orders/${orderId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ updateItems: [{ lineId: 'line-1', quantity: 5 }], addItems: [{ productId: 'prod-002', quantity: 1, unitPrice: 15.5 }] });
+    expect(modified.status).toBe(200);
+    expect((await getProduct('prod-001')).reserved).toBe(5);
+    expect((await getProduct('prod-002')).reserved).toBe(1);
+
+    const repriced = await request(app)
+      .patch(`/api/v1/orders/${orderId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ updateItems: [{ lineId: 'line-1', unitPrice: 1 }] });
+    expect(repriced.status).toBe(409);
+    expect(repriced.body.error).toBe('PRICE_MISMATCH');
+
+    await request(app)
+      .post(`/api/v1/orders/${orderId}/items/line-1/cancel`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ quantity: 3 });
+    expect((await getProduct('prod-001')).reserved).toBe(2);
+  });
+
+  test('should take shipped units out of stock', async () => {
+    const placed = await placeOrder([{ productId: 'prod-001', quantity: 3, unitPrice: 29.99 }]);
+
+    for (const status of ['confirmed', 'processing', 'shipped']) {
+      await setStatus(placed.body.orderId, status);
+    }
+
+    expect(await getProduct('prod-001')).toMatchObject({ stock: 97, reserved: 0, available: 97 });
+  });
+});
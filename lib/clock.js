@@ -0,0 +1,242 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const express = require('express');
+const { createLogger } = require('./logging');
+
+// Controllable clock
+//
+// Every timestamp the mock produces comes from here instead of new Date(), so
+// tests can pin time down. The clock runs in real time until it is frozen,
+// set or advanced through the admin router; a single request can also be
+// handled at a given instant with the X-Mock-Time header, without moving the
+// clock for anyone else.
+//
+// Timers scheduled with setTimeout() are due on the clock's time line rather
+// than wall time: advancing the clock fires everything that falls due, and a
+// frozen clock fires nothing. They run outside the request that scheduled or
+// triggered them: no X-Mock-Time override and no request ID.
+
+const TIME_HEADER = 'x-mock-time';
+
+const DURATION = /^(\d+)(ms|s|m|h|d)$/;
+const UNIT_MS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Milliseconds from a number of ms or a string such as "500ms", "30s", "15m", "2h" or "7d"; null if invalid
+const parseDuration = (value) => {
+  if (Number.isInteger(value) && value >= 0) {
+    return value;
+  }
+  const match = DURATION.exec(String(value));
+  return match ? Number(match[1]) * UNIT_MS[match[2]] : null;
+};
+
+const parseTime = (value) => {
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  return isNaN(time) ? null : time;
+};
+
+const createClock = ({ realNow = Date.now, logger = createLogger() } = {}) => {
+  let offsetMs = 0;
+  let frozenAt = null;
+
+  const requestTime = new AsyncLocalStorage();
+  const timerScope = new AsyncResource('MockClockTimer');
+  const timers = new Map();
+  let nextTimerId = 1;
+  let realTimer = null;
+
+  // The shared time line, ignoring any per-request override
+  const clockMs = () => (frozenAt !== null ? frozenAt : realNow() + offsetMs);
+
+  const nowMs = () => {
+    const override = requestTime.getStore();
+    return override !== undefined ? override : clockMs();
+  };
+
+  const now = () => new Date(nowMs());
+
+  // Wake up for the earliest timer; a frozen clock only moves through the admin API
+  const arm = () => {
+    clearTimeout(realTimer);
+    realTimer = null;
+
+    if (frozenAt !== null || timers.size === 0) {
+      return;
+    }
+
+    const dueAt = Math.min(...Array.from(timers.values()).map(timer => timer.dueAt));
+    realTimer = setTimeout(runDueTimers, Math.max(0, dueAt - clockMs()));
+    realTimer.unref();
+  };
+
+  const jumpTo = (time) => {
+    if (frozenAt !== null) {
+      frozenAt = time;
+    } else {
+      offsetMs = time - realNow();
+    }
+  };
+
+  // Move the clock to `time`, stopping at each timer that falls due on the way so
+  // that timers scheduled by a timer are measured from the moment it fired
+  const moveTo = (time) => {
+    if (time < clockMs()) {
+      jumpTo(time);
+    }
+
+    for (;;) {
+      const due = Array.from(timers.entries())
+        .filter(([, timer]) => timer.dueAt <= time)
+        .sort(([idA, a], [idB, b]) => a.dueAt - b.dueAt || idA - idB)[0];
+
+      if (!due) {
+        break;
+      }
+
+      const [timerId, timer] = due;
+      if (timer.dueAt > clockMs()) {
+        jumpTo(timer.dueAt);
+      }
+      timers.delete(timerId);
+      try {
+        timerScope.runInAsyncScope(() => requestTime.exit(timer.callback));
+      } catch (error) {
+        logger.error('Scheduled task failed', { error: error.stack });
+      }
+    }
+
+    if (clockMs() < time) {
+      jumpTo(time);
+    }
+    arm();
+  };
+
+  const runDueTimers = () => moveTo(clockMs());
+
+  // Like setTimeout, but on the clock's time line; returns a function that cancels the timer
+  const schedule = (callback, delayMs = 0) => {
+    const timerId = nextTimerId++;
+    timers.set(timerId, { dueAt: clockMs() + Math.max(0, delayMs), callback });
+    arm();
+    return () => {
+      timers.delete(timerId);
+      arm();
+    };
+  };
+
+  const setTime = (time) => moveTo(time);
+
+  const freeze = (time = clockMs()) => {
+    frozenAt = clockMs();
+    moveTo(time);
+  };
+
+  const resume = () => {
+    if (frozenAt !== null) {
+      offsetMs = frozenAt - realNow();
+      frozenAt = null;
+    }
+    runDueTimers();
+  };
+
+  const advance = (ms) => moveTo(clockMs() + ms);
+
+  // Back to real time; pending timers are kept and fire when real time reaches them
+  const reset = () => {
+    frozenAt = null;
+    moveTo(realNow());
+  };
+
+  const state = () => ({
+    now: new Date(clockMs()).toISOString(),
+    frozen: frozenAt !== null,
+    offsetMs: frozenAt !== null ? frozenAt - realNow() : offsetMs,
+    pendingTimers: timers.size
+  });
+
+  // Handle the request at the instant given in X-Mock-Time, if any
+  const middleware = (req, res, next) => {
+    const header = req.headers[TIME_HEADER];
+    if (header === undefined) {
+      return next();
+    }
+
+    const time = parseTime(header);
+    if (time === null) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'X-Mock-Time must be an ISO 8601 date-time'
+      });
+    }
+
+    requestTime.run(time, next);
+  };
+
+  const router = express.Router();
+
+  const invalid = (res, message) => res.status(400).json({
+    error: 'VALIDATION_ERROR',
+    message
+  });
+
+  router.get('/', (req, res) => {
+    res.json(state());
+  });
+
+  router.post('/freeze', (req, res) => {
+    const { time } = req.body || {};
+    if (time !== undefined && parseTime(time) === null) {
+      return invalid(res, 'time must be an ISO 8601 date-time');
+    }
+    freeze(time === undefined ? undefined : parseTime(time));
+    res.json(state());
+  });
+
+  router.post('/resume', (req, res) => {
+    resume();
+    res.json(state());
+  });
+
+  router.post('/set', (req, res) => {
+    const time = parseTime((req.body || {}).time);
+    if (time === null) {
+      return invalid(res, 'time is required and must be an ISO 8601 date-time');
+    }
+    setTime(time);
+    res.json(state());
+  });
+
+  router.post('/advance', (req, res) => {
+    const ms = parseDuration((req.body || {}).by);
+    if (ms === null) {
+      return invalid(res, 'by is required: milliseconds or a duration such as "30s", "15m", "2h" or "7d"');
+    }
+    advance(ms);
+    res.json(state());
+  });
+
+  router.delete('/', (req, res) => {
+    reset();
+    res.json(state());
+  });
+
+  return {
+    now,
+    nowMs,
+    clockMs,
+    setTimeout: schedule,
+    freeze,
+    resume,
+    set: setTime,
+    advance,
+    reset,
+    state,
+    middleware,
+    router
+  };
+};
+
+module.exports = {
+  TIME_HEADER,
+  parseDuration,
+  createClock
+};
@@ -0,0 +1,152 @@
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { createClock, parseDuration } = require('./clock');
+
+describe('Clock', () => {
+  let realTime;
+  let clock;
+
+  beforeEach(() => {
+    realTime = Date.parse('2024-03-15T12:00:00Z');
+    clock = createClock({ realNow: () => realTime });
+  });
+
+  test('should follow real time until frozen', () => {
+    realTime += 1000;
+    expect(clock.now().toISOString()).toBe('2024-03-15T12:00:01.000Z');
+
+    clock.freeze();
+    realTime += 60 * 1000;
+    expect(clock.now().toISOString()).toBe('2024-03-15T12:00:01.000Z');
+
+    clock.resume();
+    realTime += 1000;
+    expect(clock.now().toISOString()).toBe('2024-03-15T12:00:02.000Z');
+  });
+
+  test('should keep the shared time line apart from request overrides', async () => {
+    const app = express();
+    app.use(clock.middleware);
+    app.get('/', (req, res) => res.json({ now: clock.nowMs(), clock: clock.clockMs() }));
+
+    const response = await request(app).get('/').set('X-Mock-Time', '2030-01-01T00:00:00Z');
+    expect(response.body).toEqual({ now: Date.parse('2030-01-01T00:00:00Z'), clock: realTime });
+  });
+
+  test('should keep ticking from a time it was set to', () => {
+    clock.set(Date.parse('2020-01-01T00:00:00Z'));
+    realTime += 5000;
+    expect(clock.now().toISOString()).toBe('2020-01-01T00:00:05.000Z');
+
+    clock.reset();
+    expect(clock.now().getTime()).toBe(realTime);
+  });
+
+  test('should fire timers when the clock is advanced past them', () => {
+    const fired = [];
+    clock.freeze();
+    clock.setTimeout(() => fired.push('b'), 2 * 60 * 1000);
+    clock.setTimeout(() => fired.push('a'), 60 * 1000);
+    const cancel = clock.setTimeout(() => fired.push('cancelled'), 60 * 1000);
+    cancel();
+
+    clock.advance(90 * 1000);
+    expect(fired).toEqual(['a']);
+    expect(clock.state().pendingTimers).toBe(1);
+
+    clock.advance(parseDuration('1h'));
+    expect(fired).toEqual(['a', 'b']);
+  });
+
+  test('should log timers that throw and keep firing the rest', () => {
+    const logger = { error: jest.fn() };
+    const fired = [];
+    clock = createClock({ realNow: () => realTime, logger });
+    clock.freeze();
+    clock.setTimeout(() => { throw new Error('boom'); }, 1000);
+    clock.setTimeout(() => fired.push('after'), 2000);
+
+    clock.advance(5000);
+
+    expect(fired).toEqual(['after']);
+    expect(logger.error).toHaveBeenCalledWith('Scheduled task failed', { error: expect.stringContaining('boom') });
+  });
+
+  test('should parse durations', () => {
+    expect(parseDuration(1500)).toBe(1500);
+    expect(parseDuration('30s')).toBe(30 * 1000);
+    expect(parseDuration('7d')).toBe(7 * 24 * 60 * 60 * 1000);
+    expect(parseDuration('soon')).toBeNull();
+    expect(parseDuration(-1)).toBeNull();
+  });
+});
+
+describe('Clock admin API', () => {
+  let app;
+
+  beforeEach(() => {
+    process.env.CLOCK_START = '2024-03-15T12:00:00Z';
+    process.env.CLOCK_FROZEN = 'true';
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    delete process.env.CLOCK_START;
+    delete process.env.CLOCK_FROZEN;
+  });
+
+  const createOrder = (customerId, headers = {}) => request(app)
+    .post('/api/v1/orders')
+    .set('Authorization', 'Bearer clock-token')
+    .set('Idempotency-Key', uuidv4())
+    .set(headers)
+    .send({ customerId, items: [{ productId: 'prod-001', quantity: 1, unitPrice: 10.00 }] });
+
+  test('should stamp orders with the frozen time', async () => {
+    const health = await request(app).get('/api/v1/health');
+    expect(health.body.timestamp).toBe('2024-03-15T12:00:00.000Z');
+
+    const created = await createOrder(`cust-${uuidv4()}`);
+    expect(created.body.placementDate).toBe('2024-03-15T12:00:00.000Z');
+
+    await request(app).post('/admin/clock/advance').send({ by: '2h' });
+    const confirmed = await request(app)
+      .patch(`/api/v1/orders/${created.body.orderId}/status`)
+      .set('Authorization', 'Bearer clock-token')
+      .send({ status: 'confirmed' });
+
+    expect(confirmed.body.lastUpdated).toBe('2024-03-15T14:00:00.000Z');
+  });
+
+  test('should search relative to the clock', async () => {
+    const customerId = `cust-${uuidv4()}`;
+    await createOrder(customerId, { 'X-Mock-Time': '2024-03-01T09:00:00Z' });
+    await createOrder(customerId, { 'X-Mock-Time': '2024-03-10T09:00:00Z' });
+    await createOrder(customerId);
+
+    const lastWeek = await request(app)
+      .get(`/api/v1/orders?customerId=${customerId}&startDate=-7d&endDate=today`)
+      .set('Authorization', 'Bearer clock-token');
+    expect(lastWeek.body.orders.map(order => order.placementDate)).toEqual(['2024-03-15T12:00:00.000Z', '2024-03-10T09:00:00.000Z']);
+
+    const state = await request(app).post('/admin/clock/set').send({ time: '2024-04-01T00:00:00Z' });
+    expect(state.body).toMatchObject({ now: '2024-04-01T00:00:00.000Z', frozen: true });
+
+    const later = await request(app)
+      .get(`/api/v1/orders?customerId=${customerId}&startDate=-7d`)
+      .set('Authorization', 'Bearer clock-token');
+    expect(later.body.orders).toEqual([]);
+  });
+
+  test('should reject invalid times', async () => {
+    const header = await request(app).get('/api/v1/health').set('X-Mock-Time', 'yesterday');
+    expect(header.status).toBe(400);
+
+    const set = await request(app).post('/admin/clock/set').send({ time: 'soon' });
+    expect(set.status).toBe(400);
+    expect(set.body.error).toBe('VALIDATION_ERROR');
+
+    const advance = await request(app).post('/admin/clock/advance').send({ by: '2 weeks' });
+    expect(advance.status).toBe(400);
+  });
+});
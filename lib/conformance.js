@@ -0,0 +1,322 @@
+const { v4: uuidv4 } = require('uuid');
+const { sendRequest } = require('./http-client');
+
+// Contract conformance suite
+//
+// Runs the scenarios from server.test.js and postman.json against any
+// implementation of the API (the vendor build, or this mock as a self-check):
+// error shapes, idempotent creation, every workflow transition edge, invalid
+// transitions and pagination bounds. Every response is also checked against
+// openapi.yaml, so a test fails if the status code or body is off-contract.
+
+const check = (condition, message) => {
+  if (!condition) {
+    throw new Error(message);
+  }
+};
+
+const snippet = (body) => {
+  const text = typeof body === 'string' ? body : JSON.stringify(body);
+  return text && text.length > 200 ? `${text.slice(0, 200)}...` : text;
+};
+
+const expectStatus = (response, status) => {
+  check(response.status === status, `Expected HTTP ${status} but got ${response.status}: ${snippet(response.body)}`);
+};
+
+const expectError = (response, status, code) => {
+  expectStatus(response, status);
+  check(response.body && typeof response.body.error === 'string' && typeof response.body.message === 'string',
+    `Expected an { error, message } body but got ${snippet(response.body)}`);
+  if (code) {
+    check(response.body.error === code, `Expected error ${code} but got ${response.body.error}`);
+  }
+};
+
+const buildTests = (workflow) => {
+  const tests = [];
+  const add = (suite, name, run) => tests.push({ suite, name, run });
+
+  // Health and error shapes
+
+  add('health', 'GET /health returns healthy', async ({ call }) => {
+    const response = await call('GET', '/health', { auth: false });
+    expectStatus(response, 200);
+    check(response.body.status === 'healthy', `Expected status "healthy" but got ${snippet(response.body)}`);
+  });
+
+  add('errors', 'requests without a token return 401', async ({ call, customerId }) => {
+    expectError(await call('GET', `/orders?customerId=${customerId}`, { auth: false }), 401, 'UNAUTHORIZED');
+  });
+
+  add('errors', 'unknown order returns 404', async ({ call }) => {
+    expectError(await call('GET', `/orders/ord-${uuidv4()}`), 404, 'NOT_FOUND');
+  });
+
+  add('errors', 'create without Idempotency-Key returns 400', async ({ call, orderBody }) => {
+    expectError(await call('POST', '/orders', { body: orderBody(), idempotencyKey: null }), 400, 'VALIDATION_ERROR');
+  });
+
+  add('errors', 'create without customerId returns 400', async ({ call, orderBody }) => {
+    expectError(await call('POST', '/orders', { body: orderBody({ customerId: undefined }) }), 400, 'VALIDATION_ERROR');
+  });
+
+  add('errors', 'create without items returns 400', async ({ call, orderBody }) => {
+    expectError(await call('POST', '/orders', { body: { ...orderBody(), items: [] } }), 400, 'VALIDATION_ERROR');
+  });
+
+  add('errors', 'create with a negative quantity returns 400', async ({ call, orderBody }) => {
+    const body = orderBody({ items: [{ productId: 'prod-001', quantity: -1, unitPrice: 10.00 }] });
+    expectError(await call('POST', '/orders', { body }), 400, 'VALIDATION_ERROR');
+  });
+
+  add('errors', 'unknown status returns 400', async ({ call, createOrder }) => {
+    const order = await createOrder();
+    expectError(await call('PATCH', `/orders/${order.orderId}/status`, { body: { status: 'not-a-status' } }), 400, 'VALIDATION_ERROR');
+  });
+
+  // Orders and idempotency
+
+  add('orders', 'created order can be retrieved by ID', async ({ call, createOrder, customerId }) => {
+    const order = await createOrder();
+    check(order.status === workflow.initial, `Expected new orders to be ${workflow.initial} but got ${order.status}`);
+
+    const response = await call('GET', `/orders/${order.orderId}`);
+    expectStatus(response, 200);
+    check(response.body.orderId === order.orderId && response.body.customerId === customerId,
+      `Retrieved order does not match the created order: ${snippet(response.body)}`);
+  });
+
+  add('idempotency', 'replaying a key returns the original order', async ({ call, orderBody }) => {
+    const idempotencyKey = uuidv4();
+    const body = orderBody();
+
+    const first = await call('POST', '/orders', { body, idempotencyKey });
+    expectStatus(first, 201);
+
+    const replay = await call('POST', '/orders', { body, idempotencyKey });
+    expectStatus(replay, 200);
+    check(replay.body.orderId === first.body.orderId,
+      `Replay returned order ${replay.body.orderId}, expected ${first.body.orderId}`);
+  });
+
+  add('idempotency', 'reusing a key with a different body returns 422', async ({ call, orderBody }) => {
+    const idempotencyKey = uuidv4();
+
+    expectStatus(await call('POST', '/orders', { body: orderBody(), idempotencyKey }), 201);
+
+    const reuse = await call('POST', '/orders', {
+      body: orderBody({ items: [{ productId: 'prod-002', quantity: 5, unitPrice: 10.00 }] }),
+      idempotencyKey
+    });
+    expectError(reuse, 422, 'IDEMPOTENCY_KEY_REUSED');
+  });
+
+  // Workflow: every allowed edge succeeds, every other status change returns 409
+
+  workflow.statuses.filter(from => workflow.pathTo(from)).forEach(from => {
+    workflow.statuses.forEach(to => {
+      if (workflow.canTransition(from, to)) {
+        add('transitions', `${from} -> ${to} is allowed`, async ({ createOrderIn, transition }) => {
+          const order = await createOrderIn(workflow.pathTo(from));
+          const response = await transition(order.orderId, from, to);
+          expectStatus(response, 200);
+          check(response.body.status === to, `Expected status ${to} but got ${response.body.status}`);
+        });
+      } else {
+        add('transitions', `${from} -> ${to} is rejected with 409`, async ({ createOrderIn, transition }) => {
+          const order = await createOrderIn(workflow.pathTo(from));
+          expectError(await transition(order.orderId, from, to), 409, 'INVALID_STATUS_TRANSITION');
+        });
+      }
+    });
+  });
+
+  // Pagination bounds
+
+  add('pagination', 'limit and offset page through results', async ({ call, createOrder, customerId }) => {
+    for (let i = 0; i < 3; i++) {
+      await createOrder();
+    }
+
+    const first = await call('GET', `/orders?customerId=${customerId}&limit=2&offset=0`);
+    expectStatus(first, 200);
+    check(first.body.orders.length === 2, `Expected 2 orders on the first page but got ${first.body.orders.length}`);
+    check(first.body.totalCount === 3, `Expected totalCount 3 but got ${first.body.totalCount}`);
+
+    const rest = await call('GET', `/orders?customerId=${customerId}&limit=2&offset=2`);
+    expectStatus(rest, 200);
+    check(rest.body.orders.length === 1, `Expected 1 order on the second page but got ${rest.body.orders.length}`);
+
+    const pageIds = first.body.orders.map(order => order.orderId);
+    check(rest.body.orders.every(order => !pageIds.includes(order.orderId)), 'Pages overlap');
+  });
+
+  add('pagination', 'offset past the end returns an empty page', async ({ call, createOrder, customerId }) => {
+    await createOrder();
+    const response = await call('GET', `/orders?customerId=${customerId}&offset=1000`);
+    expectStatus(response, 200);
+    check(response.body.orders.length === 0, `Expected no orders but got ${response.body.orders.length}`);
+  });
+
+  [['limit=0', 'limit below 1'], ['limit=101', 'limit above 100'], ['offset=-1', 'negative offset']].forEach(([query, label]) => {
+    add('pagination', `${label} returns 400`, async ({ call, customerId }) => {
+      expectError(await call('GET', `/orders?customerId=${customerId}&${query}`), 400, 'VALIDATION_ERROR');
+    });
+  });
+
+  return tests;
+};
+
+// Run the suite; resolves to one result per test case
+const runConformance = async ({ baseUrl, token, workflow, contract, timeoutMs = 10000 }) => {
+  const results = [];
+
+  for (const test of buildTests(workflow)) {
+    // Each test gets its own customer so searches only see its own orders
+    const customerId = `conformance-${uuidv4()}`;
+    const violations = [];
+
+    // POST /orders gets a fresh Idempotency-Key unless one (or null for none) is passed
+    const call = async (method, path, { body, auth = true, idempotencyKey, headers = {} } = {}) => {
+      const requestHeaders = { ...headers };
+      if (auth) {
+        requestHeaders.Authorization = `Bearer ${token}`;
+      }
+      if (idempotencyKey === undefined && method === 'POST' && path === '/orders') {
+        idempotencyKey = uuidv4();
+      }
+      if (idempotencyKey) {
+        requestHeaders['Idempotency-Key'] = idempotencyKey;
+      }
+
+      const response = await sendRequest(baseUrl, { method, path, headers: requestHeaders, body, timeoutMs });
+
+      const errors = contract.responseErrors({ method, url: contract.basePath + path, status: response.status, body: response.body });
+      if (errors && errors.length > 0) {
+        violations.push(`${method} ${path} -> ${response.status}: ${errors.map(error => `${error.path} ${error.message}`).join('; ')}`);
+      }
+      return response;
+    };
+
+    const orderBody = (overrides = {}) => ({
+      customerId,
+      items: [{ productId: 'prod-001', quantity: 2, unitPrice: 29.99 }],
+      ...overrides
+    });
+
+    const createOrder = async () => {
+      const response = await call('POST', '/orders', { body: orderBody() });
+      expectStatus(response, 201);
+      return response.body;
+    };
+
+    // Body for a status change, including any fields the workflow requires
+    const transition = (orderId, from, to) => {
+      const body = { status: to, reason: 'Conformance test' };
+      workflow.requirementsFor(from, to)
+        .filter(field => body[field] === undefined)
+        .forEach(field => { body[field] = `conformance-${field}`; });
+      return call('PATCH', `/orders/${orderId}/status`, { body });
+    };
+
+    const createOrderIn = async (statusPath) => {
+      const order = await createOrder();
+      let current = order.status;
+      for (const status of statusPath) {
+        const response = await transition(order.orderId, current, status);
+        check(response.status === 200, `Setup failed moving ${current} -> ${status}: HTTP ${response.status} ${snippet(response.body)}`);
+        current = status;
+      }
+      return order;
+    };
+
+    const context = { call, customerId, orderBody, createOrder, createOrderIn, transition };
+
+    const startedAt = Date.now();
+    let failure = null;
+    try {
+      await test.run(context);
+      if (violations.length > 0) {
+        failure = `Response does not match openapi.yaml: ${violations.join(' | ')}`;
+      }
+    } catch (error) {
+      failure = error.message;
+    }
+
+    results.push({ suite: test.suite, name: test.name, durationMs: Date.now() - startedAt, failure });
+  }
+
+  return results;
+};
+
+// Reports
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const seconds = (ms) => (ms / 1000).toFixed(3);
+
+const groupBySuite = (results) => results.reduce((suites, result) => {
+  suites.set(result.suite, [...(suites.get(result.suite) || []), result]);
+  return suites;
+}, new Map());
+
+const toJUnitXml = (results, { name = 'order-api-conformance' } = {}) => {
+  const failures = results.filter(result => result.failure).length;
+  const total = results.reduce((sum, result) => sum + result.durationMs, 0);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(name)}" tests="${results.length}" failures="${failures}" time="${seconds(total)}">`
+  ];
+
+  groupBySuite(results).forEach((cases, suite) => {
+    const suiteFailures = cases.filter(result => result.failure).length;
+    const suiteTime = cases.reduce((sum, result) => sum + result.durationMs, 0);
+    lines.push(`  <testsuite name="${escapeXml(suite)}" tests="${cases.length}" failures="${suiteFailures}" time="${seconds(suiteTime)}">`);
+    cases.forEach(result => {
+      const attributes = `classname="conformance.${escapeXml(suite)}" name="${escapeXml(result.name)}" time="${seconds(result.durationMs)}"`;
+      if (result.failure) {
+        lines.push(`    <testcase ${attributes}>`);
+        lines.push(`      <failure message="${escapeXml(result.failure)}">${escapeXml(result.failure)}</failure>`);
+        lines.push('    </testcase>');
+      } else {
+        lines.push(`    <testcase ${attributes}/>`);
+      }
+    });
+    lines.push('  </testsuite>');
+  });
+
+  lines.push('</testsuites>');
+  return `${lines.join('\n')}\n`;
+};
+
+const formatSummary = (results, { baseUrl } = {}) => {
+  const failed = results.filter(result => result.failure);
+  const total = results.reduce((sum, result) => sum + result.durationMs, 0);
+  const lines = [`Conformance${baseUrl ? ` against ${baseUrl}` : ''}: ${results.length - failed.length} passed, ${failed.length} failed (${seconds(total)}s)`, ''];
+
+  groupBySuite(results).forEach((cases, suite) => {
+    const suiteFailed = cases.filter(result => result.failure).length;
+    lines.push(`  ${suiteFailed === 0 ? 'PASS' : 'FAIL'}  ${suite} (${cases.length - suiteFailed}/${cases.length})`);
+  });
+
+  if (failed.length > 0) {
+    lines.push('', 'Failures:');
+    failed.forEach(result => {
+      lines.push(`  x ${result.suite}: ${result.name}`, `      ${result.failure}`);
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  runConformance,
+  toJUnitXml,
+  formatSummary
+};
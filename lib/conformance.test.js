@@ -0,0 +1,59 @@
+const express = require('express');
+const app = require('../server');
+const { loadWorkflow } = require('./workflow');
+const { loadSpec, applyWorkflow, createContractValidator } = require('./openapi');
+const { runConformance, toJUnitXml, formatSummary } = require('./conformance');
+
+describe('Conformance suite', () => {
+  const workflow = loadWorkflow();
+  const contract = createContractValidator({ spec: applyWorkflow(loadSpec(), { statuses: workflow.statuses }) });
+
+  const listen = (handler) => new Promise(resolve => {
+    const server = handler.listen(0, '127.0.0.1', () => resolve(server));
+  });
+
+  const run = async (handler) => {
+    const server = await listen(handler);
+    try {
+      return await runConformance({
+        baseUrl: `http://127.0.0.1:${server.address().port}/api/v1`,
+        token: 'conformance-token',
+        workflow,
+        contract
+      });
+    } finally {
+      server.close();
+    }
+  };
+
+  test('should pass against the mock itself', async () => {
+    const results = await run(app);
+
+    expect(results.filter(result => result.failure)).toEqual([]);
+    expect(results.filter(result => result.suite === 'transitions')).toHaveLength(workflow.statuses.length ** 2);
+  });
+
+  test('should report off-contract implementations', async () => {
+    const broken = express();
+    broken.get('/api/v1/health', (req, res) => res.json({ status: 'healthy', timestamp: 'yesterday' }));
+    broken.use((req, res) => res.status(500).send('boom'));
+
+    const results = await run(broken);
+    const health = results.find(result => result.suite === 'health');
+
+    expect(health.failure).toContain('response.timestamp must match format "date-time"');
+    expect(results.every(result => result.failure)).toBe(true);
+    expect(formatSummary(results)).toContain(`0 passed, ${results.length} failed`);
+  });
+
+  test('should write JUnit XML with escaped failures', () => {
+    const xml = toJUnitXml([
+      { suite: 'errors', name: 'a -> b', durationMs: 12, failure: null },
+      { suite: 'errors', name: 'c', durationMs: 3, failure: 'Expected <error> & "message"' }
+    ]);
+
+    expect(xml).toContain('<testsuites name="order-api-conformance" tests="2" failures="1" time="0.015">');
+    expect(xml).toContain('<testcase classname="conformance.errors" name="a -&gt; b" time="0.012"/>');
+    expect(xml).toContain('<failure message="Expected &lt;error&gt; &amp; &quot;message&quot;">');
+  });
+});
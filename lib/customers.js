@@ -0,0 +1,162 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Customers and saved addresses
+//
+// A customer record holds contact details and an address book. Orders can
+// name a saved address by `addressId` instead of spelling it out; the address
+// is copied onto the order, so later changes to the address book leave
+// placed orders alone. Each customer has an optional default shipping and
+// default billing address (the first saved address until told otherwise),
+// which orders use when they give no address of that kind.
+
+const ADDRESS_FIELDS = ['name', 'line1', 'line2', 'city', 'region', 'postalCode', 'country'];
+
+const DEFAULT_ADDRESS_FIELDS = ['defaultShippingAddressId', 'defaultBillingAddressId'];
+
+// Postal code formats for countries the mock knows; elsewhere any non-empty code is accepted
+const POSTAL_CODE_FORMATS = {
+  US: /^\d{5}(-\d{4})?$/,
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/i,
+  GB: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i,
+  DE: /^\d{5}$/,
+  FR: /^\d{5}$/,
+  NL: /^\d{4} ?[A-Z]{2}$/i,
+  AU: /^\d{4}$/,
+  JP: /^\d{3}-?\d{4}$/
+};
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+// The address fields of `address`, without IDs, labels or anything unknown
+const normalizeAddress = (address) => {
+  const normalized = {};
+  ADDRESS_FIELDS
+    .filter(field => address[field] !== undefined)
+    .forEach(field => { normalized[field] = address[field]; });
+  return normalized;
+};
+
+// Returns an error message for an address, or null
+const validateAddress = (address) => {
+  if (!address || typeof address !== 'object' || Array.isArray(address)) {
+    return 'must be an object';
+  }
+
+  const missing = ['line1', 'city', 'postalCode', 'country'].filter(field => !isNonEmptyString(address[field]));
+  if (missing.length > 0) {
+    return `${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} required`;
+  }
+  if (!/^[A-Z]{2}$/.test(address.country)) {
+    return `country must be an ISO 3166-1 alpha-2 code, not ${address.country}`;
+  }
+
+  const format = POSTAL_CODE_FORMATS[address.country];
+  if (format && !format.test(address.postalCode.trim())) {
+    return `postalCode ${address.postalCode} is not valid for ${address.country}`;
+  }
+  return null;
+};
+
+// Returns an error message for contact details, or null
+const validateContact = ({ name, email, phone }) => {
+  if (name !== undefined && !isNonEmptyString(name)) {
+    return 'name must not be empty';
+  }
+  if (email !== undefined && (typeof email !== 'string' || !EMAIL.test(email))) {
+    return `email ${email} is not a valid email address`;
+  }
+  if (phone !== undefined && phone !== null && (typeof phone !== 'string' || !/^\+?[\d\s().-]{6,20}$/.test(phone))) {
+    return `phone ${phone} is not a valid phone number`;
+  }
+  return null;
+};
+
+const savedAddress = (customer, addressId) => (customer.addresses || []).find(address => address.addressId === addressId);
+
+// Returns an error message if a default address ID does not name a saved address, or null
+const validateDefaults = (customer) => {
+  for (const field of DEFAULT_ADDRESS_FIELDS) {
+    const addressId = customer[field];
+    if (addressId !== null && addressId !== undefined && !savedAddress(customer, addressId)) {
+      return `${field} ${addressId} is not one of the customer's addresses`;
+    }
+  }
+  return null;
+};
+
+const toSavedAddress = ({ addressId, label, ...address }) => ({
+  addressId: addressId || `addr-${uuidv4()}`,
+  label: label || null,
+  ...normalizeAddress(address)
+});
+
+// Point unset (or dangling) defaults at the first saved address
+const settleDefaults = (customer) => {
+  const fallback = customer.addresses.length > 0 ? customer.addresses[0].addressId : null;
+  DEFAULT_ADDRESS_FIELDS.forEach(field => {
+    if (!customer[field] || !savedAddress(customer, customer[field])) {
+      customer[field] = fallback;
+    }
+  });
+  return customer;
+};
+
+// A new customer record. Scenario fixtures may carry extra profile fields, which are kept.
+const createCustomer = ({ customerId, addresses = [], ...fields }, { now }) => {
+  const customer = {
+    customerId: customerId || `cust-${uuidv4()}`,
+    ...fields,
+    name: fields.name || null,
+    email: fields.email || null,
+    phone: fields.phone || null,
+    addresses: addresses.map(toSavedAddress),
+    defaultShippingAddressId: fields.defaultShippingAddressId || null,
+    defaultBillingAddressId: fields.defaultBillingAddressId || null,
+    createdAt: now,
+    updatedAt: now
+  };
+  return settleDefaults(customer);
+};
+
+const updateCustomer = (customer, changes, { now }) => settleDefaults({
+  ...customer,
+  ...changes,
+  updatedAt: now
+});
+
+// Add or replace (when `addressId` is already saved) an address
+const saveAddress = (customer, address, { now }) => {
+  const saved = toSavedAddress(address);
+  const replaced = customer.addresses.some(existing => existing.addressId === saved.addressId);
+  return {
+    customer: settleDefaults({
+      ...customer,
+      addresses: replaced
+        ? customer.addresses.map(existing => (existing.addressId === saved.addressId ? saved : existing))
+        : [...customer.addresses, saved],
+      updatedAt: now
+    }),
+    address: saved
+  };
+};
+
+const removeAddress = (customer, addressId, { now }) => settleDefaults({
+  ...customer,
+  addresses: customer.addresses.filter(address => address.addressId !== addressId),
+  updatedAt: now
+});
+
+module.exports = {
+  ADDRESS_FIELDS,
+  normalizeAddress,
+  validateAddress,
+  validateContact,
+  validateDefaults,
+  savedAddress,
+  createCustomer,
+  updateCustomer,
+  saveAddress,
+  removeAddress
+};
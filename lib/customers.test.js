@@ -0,0 +1,99 @@
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const {
+  validateAddress,
+  validateContact,
+  validateDefaults,
+  createCustomer,
+  updateCustomer,
+  saveAddress,
+  removeAddress
+} = require('./customers');
+
+describe('Customers', () => {
+  const now = '2024-03-15T12:00:00.000Z';
+  const home = { label: 'Home', line1: '350 5th Avenue', city: 'New York', region: 'NY', postalCode: '10118', country: 'US' };
+  const work = { label: 'Work', line1: '10 Downing Street', city: 'London', postalCode: 'SW1A 2AA', country: 'GB' };
+
+  test('should validate addresses', () => {
+    expect(validateAddress(home)).toBeNull();
+    expect(validateAddress(work)).toBeNull();
+    expect(validateAddress({ line1: '1 Main St', city: 'Paris', postalCode: 'ABC', country: 'ZZ' })).toBeNull();
+    expect(validateAddress({ line1: '1 Main St', country: 'US' })).toBe('city, postalCode are required');
+    expect(validateAddress({ ...home, country: 'usa' })).toContain('ISO 3166-1');
+    expect(validateAddress({ ...home, postalCode: '1011' })).toBe('postalCode 1011 is not valid for US');
+    expect(validateAddress({ ...work, postalCode: '12345' })).toContain('not valid for GB');
+  });
+
+  test('should validate contact details', () => {
+    expect(validateContact({ name: 'Jane Doe', email: 'jane@example.com', phone: '+1 212 555 0134' })).toBeNull();
+    expect(validateContact({ phone: null })).toBeNull();
+    expect(validateContact({ name: ' ' })).toBe('name must not be empty');
+    expect(validateContact({ email: 'jane' })).toContain('not a valid email');
+    expect(validateContact({ phone: 'call me' })).toContain('not a valid phone');
+  });
+
+  test('should make the first address the default for shipping and billing', () => {
+    const customer = createCustomer({ customerId: 'cust-1', name: 'Jane Doe', addresses: [home, work] }, { now });
+
+    expect(customer).toMatchObject({ customerId: 'cust-1', name: 'Jane Doe', email: null, phone: null, createdAt: now });
+    expect(customer.addresses.map(address => address.label)).toEqual(['Home', 'Work']);
+    expect(customer.addresses[0].addressId).toMatch(/^addr-/);
+    expect(customer.defaultShippingAddressId).toBe(customer.addresses[0].addressId);
+    expect(customer.defaultBillingAddressId).toBe(customer.addresses[0].addressId);
+
+    const empty = createCustomer({ name: 'John Smith' }, { now });
+    expect(empty.customerId).toMatch(/^cust-/);
+    expect(empty.defaultShippingAddressId).toBeNull();
+  });
+
+  test('should keep defaults pointing at saved addresses', () => {
+    let customer = createCustomer({ customerId: 'cust-1', addresses: [{ ...home, addressId: 'addr-home' }] }, { now });
+
+    const saved = saveAddress(customer, work, { now });
+    customer = saved.customer;
+    expect(customer.addresses).toHaveLength(2);
+
+    expect(validateDefaults({ ...customer, defaultBillingAddressId: 'addr-none' })).toContain('addr-none');
+    customer = updateCustomer(customer, { defaultBillingAddressId: saved.address.addressId }, { now });
+    expect(customer.defaultBillingAddressId).toBe(saved.address.addressId);
+
+    customer = removeAddress(customer, 'addr-home', { now });
+    expect(customer.defaultShippingAddressId).toBe(saved.address.addressId);
+
+    customer = removeAddress(customer, saved.address.addressId, { now });
+    expect(customer).toMatchObject({ addresses: [], defaultShippingAddressId: null, defaultBillingAddressId: null });
+  });
+});
+
+describe('Enforced customers in the mock', () => {
+  let app;
+
+  beforeEach(() => {
+    process.env.CUSTOMERS_ENFORCED = 'true';
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    delete process.env.CUSTOMERS_ENFORCED;
+  });
+
+  test('should only take orders for existing customers', async () => {
+    const customerId = `cust-${uuidv4()}`;
+    const placeOrder = () => request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer customers-token')
+      .set('Idempotency-Key', uuidv4())
+      .send({ customerId, items: [{ productId: 'prod-001', quantity: 1, unitPrice: 29.99 }] });
+
+    const unknown = await placeOrder();
+    expect(unknown.status).toBe(422);
+    expect(unknown.body.error).toBe('CUSTOMER_NOT_FOUND');
+
+    await request(app)
+      .post('/api/v1/customers')
+      .set('Authorization', 'Bearer customers-token')
+      .send({ customerId, name: 'Ada Lovelace', email: 'ada@example.com' });
+
+    expect((await placeOrder()).status).toBe(201);
+  });
+});
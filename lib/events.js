@@ -0,0 +1,67 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// Order lifecycle events
+//
+// Route handlers publish an event whenever an order is created or changes
+// state; webhook delivery (and anything else interested) subscribes here
+// instead of being called from the handlers directly.
+
+// `requestId()` names the API request being handled, if any, so events can be traced back to it
+const createEventBus = ({ now = () => new Date(), requestId = () => undefined } = {}) => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  // Events published while a hold is open, or null when events go out immediately
+  let held = null;
+
+  const publish = (type, data) => {
+    const event = {
+      eventId: `evt-${uuidv4()}`,
+      type,
+      createdAt: now().toISOString(),
+      // Snapshot the payload so later mutations of the order do not leak into queued events
+      data: JSON.parse(JSON.stringify(data))
+    };
+    const currentRequestId = requestId();
+    if (currentRequestId) {
+      event.requestId = currentRequestId;
+    }
+    if (held) {
+      held.push(event);
+    } else {
+      emitter.emit('event', event);
+    }
+    return event;
+  };
+
+  // Queue events until release() sends them or discard() drops them (atomic batches)
+  const hold = () => {
+    held = [];
+    return {
+      release: () => {
+        const queued = held || [];
+        held = null;
+        queued.forEach(event => emitter.emit('event', event));
+      },
+      discard: () => {
+        held = null;
+      }
+    };
+  };
+
+  const subscribe = (listener) => {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  };
+
+  return {
+    publish,
+    subscribe,
+    hold
+  };
+};
+
+module.exports = {
+  createEventBus
+};
@@ -0,0 +1,189 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+
+// Fault injection
+//
+// Rules are registered at runtime through the admin router and matched against
+// every /api/v1 request by the middleware. A rule can answer with an error,
+// delay the request, or drop the connection. Rules may be limited to the next
+// N matching requests (`times`) or applied to a fraction of them (`probability`).
+
+const FAULT_TYPES = ['error', 'latency', 'drop'];
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const toRoutePattern = (route) => {
+  const fullRoute = route.startsWith('/api/') ? route : `/api/v1${route}`;
+  const source = fullRoute
+    .replace(/\/+$/, '')
+    .split('/')
+    .map(segment => (segment.startsWith(':') || segment === '*')
+      ? '[^/]+'
+      : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('/');
+  return new RegExp(`^${source}/?$`);
+};
+
+const validateRule = (body) => {
+  const { route, method, fault, status, latencyMs, probability, times, match } = body;
+
+  if (!route || typeof route !== 'string' || !route.startsWith('/')) {
+    return 'Route is required and must start with /';
+  }
+  if (method && !HTTP_METHODS.includes(String(method).toUpperCase())) {
+    return `Invalid method. Must be one of: ${HTTP_METHODS.join(', ')}`;
+  }
+  if (!FAULT_TYPES.includes(fault)) {
+    return `Invalid fault. Must be one of: ${FAULT_TYPES.join(', ')}`;
+  }
+  if (fault === 'error' && status !== undefined && (!Number.isInteger(status) || status < 400 || status > 599)) {
+    return 'Status must be an HTTP error code between 400 and 599';
+  }
+  if (fault === 'latency' && (!Number.isInteger(latencyMs) || latencyMs < 0)) {
+    return 'latencyMs must be a non-negative integer for latency faults';
+  }
+  if (probability !== undefined && (typeof probability !== 'number' || probability <= 0 || probability > 1)) {
+    return 'Probability must be a number greater than 0 and at most 1';
+  }
+  if (times !== undefined && (!Number.isInteger(times) || times < 1)) {
+    return 'Times must be a positive integer';
+  }
+  if (match !== undefined && (typeof match !== 'object' || Array.isArray(match) || match === null)) {
+    return 'Match must be an object with optional customerId and idempotencyKey';
+  }
+  return null;
+};
+
+const createFaultInjector = ({ random = Math.random } = {}) => {
+  const rules = new Map();
+
+  const addRule = (body) => {
+    const rule = {
+      ruleId: `fault-${uuidv4()}`,
+      route: body.route,
+      method: body.method ? body.method.toUpperCase() : null,
+      match: {
+        customerId: (body.match && body.match.customerId) || null,
+        idempotencyKey: (body.match && body.match.idempotencyKey) || null
+      },
+      fault: body.fault,
+      status: body.fault === 'error' ? (body.status || 503) : null,
+      error: body.fault === 'error' ? (body.error || 'SERVICE_UNAVAILABLE') : null,
+      message: body.fault === 'error' ? (body.message || 'Injected fault') : null,
+      latencyMs: body.fault === 'latency' ? body.latencyMs : null,
+      probability: body.probability === undefined ? 1 : body.probability,
+      remaining: body.times === undefined ? null : body.times,
+      hits: 0
+    };
+
+    rules.set(rule.ruleId, { ...rule, pattern: toRoutePattern(rule.route) });
+    return rule;
+  };
+
+  const toPublicRule = ({ pattern, ...rule }) => rule;
+
+  const matches = (rule, req) => {
+    if (rule.method && rule.method !== req.method) {
+      return false;
+    }
+    if (!rule.pattern.test(req.baseUrl + req.path)) {
+      return false;
+    }
+    if (rule.match.customerId) {
+      const customerId = (req.body && req.body.customerId) || req.query.customerId;
+      if (customerId !== rule.match.customerId) {
+        return false;
+      }
+    }
+    if (rule.match.idempotencyKey && req.headers['idempotency-key'] !== rule.match.idempotencyKey) {
+      return false;
+    }
+    return true;
+  };
+
+  // Consume one use of a rule; exhausted rules are removed
+  const trigger = (rule) => {
+    rule.hits += 1;
+    if (rule.remaining !== null) {
+      rule.remaining -= 1;
+      if (rule.remaining === 0) {
+        rules.delete(rule.ruleId);
+      }
+    }
+  };
+
+  const middleware = (req, res, next) => {
+    const triggered = Array.from(rules.values())
+      .filter(rule => matches(rule, req) && random() < rule.probability);
+
+    if (triggered.length === 0) {
+      return next();
+    }
+
+    triggered.forEach(trigger);
+
+    const delay = triggered
+      .filter(rule => rule.fault === 'latency')
+      .reduce((total, rule) => total + rule.latencyMs, 0);
+    const failure = triggered.find(rule => rule.fault !== 'latency');
+
+    setTimeout(() => {
+      if (!failure) {
+        return next();
+      }
+
+      if (failure.fault === 'drop') {
+        return req.socket.destroy();
+      }
+
+      res.status(failure.status).json({
+        error: failure.error,
+        message: failure.message
+      });
+    }, delay);
+  };
+
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json({ rules: Array.from(rules.values()).map(toPublicRule) });
+  });
+
+  router.post('/', (req, res) => {
+    const validationError = validateRule(req.body || {});
+    if (validationError) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: validationError
+      });
+    }
+
+    res.status(201).json(addRule(req.body));
+  });
+
+  router.delete('/', (req, res) => {
+    rules.clear();
+    res.status(204).end();
+  });
+
+  router.delete('/:ruleId', (req, res) => {
+    if (!rules.delete(req.params.ruleId)) {
+      return res.status(404).json({
+        error: 'NOT_FOUND',
+        message: 'Fault rule not found'
+      });
+    }
+    res.status(204).end();
+  });
+
+  return {
+    middleware,
+    router,
+    addRule,
+    clear: () => rules.clear()
+  };
+};
+
+module.exports = {
+  toRoutePattern,
+  createFaultInjector
+};
@@ -0,0 +1,42 @@
+const http = require('http');
+const https = require('https');
+
+// Minimal JSON HTTP client for talking to an API under test (conformance runs, traffic replay)
+
+// Resolves to { status, headers, body } with body parsed as JSON when possible
+const sendRequest = (baseUrl, { method, path, headers = {}, body, timeoutMs }) => new Promise((resolve, reject) => {
+  const target = new URL(baseUrl.replace(/\/$/, '') + path);
+  const client = target.protocol === 'https:' ? https : http;
+  const payload = body === undefined ? undefined : JSON.stringify(body);
+
+  const req = client.request(target, {
+    method,
+    headers: {
+      Accept: 'application/json',
+      ...(payload === undefined ? {} : { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }),
+      ...headers
+    },
+    timeout: timeoutMs
+  }, (res) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      let parsed = null;
+      try {
+        parsed = text ? JSON.parse(text) : null;
+      } catch (error) {
+        parsed = text;
+      }
+      resolve({ status: res.statusCode, headers: res.headers, body: parsed });
+    });
+  });
+
+  req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+  req.on('error', reject);
+  req.end(payload);
+});
+
+module.exports = {
+  sendRequest
+};
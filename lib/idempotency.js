@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+// Idempotency keys
+//
+// Each key is stored with a fingerprint of the request body that first used
+// it, so a replay with a different payload can be rejected instead of silently
+// returning the original order. Keys are reserved while the first request is
+// still being processed and expire after a configurable TTL.
+
+const DEFAULT_TTL_HOURS = 24;
+
+// JSON.stringify with sorted object keys, so key order does not change the fingerprint
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const fingerprint = (body) => crypto
+  .createHash('sha256')
+  .update(canonicalize(body === undefined ? null : body))
+  .digest('hex');
+
+const createIdempotencyRegistry = (collection, { ttlMs = DEFAULT_TTL_HOURS * 60 * 60 * 1000, now = Date.now } = {}) => {
+  const isExpired = (record) => new Date(record.expiresAt).getTime() <= now();
+
+  const lookup = (key) => {
+    const record = collection.get(key);
+    if (record && isExpired(record)) {
+      collection.delete(key);
+      return undefined;
+    }
+    return record;
+  };
+
+  // Returns one of:
+  //   { state: 'new' }                    - key reserved, caller must complete() or release()
+  //   { state: 'replay', orderId }        - same payload already processed
+  //   { state: 'mismatch' }               - key already used with a different payload
+  //   { state: 'in_progress' }            - first request with this key has not finished
+  const begin = (key, body) => {
+    const requestFingerprint = fingerprint(body);
+    const existing = lookup(key);
+
+    if (existing) {
+      if (existing.fingerprint !== requestFingerprint) {
+        return { state: 'mismatch' };
+      }
+      if (existing.status === 'processing') {
+        return { state: 'in_progress' };
+      }
+      return { state: 'replay', orderId: existing.orderId };
+    }
+
+    const createdAt = now();
+    collection.set(key, {
+      status: 'processing',
+      fingerprint: requestFingerprint,
+      orderId: null,
+      createdAt: new Date(createdAt).toISOString(),
+      expiresAt: new Date(createdAt + ttlMs).toISOString()
+    });
+    return { state: 'new' };
+  };
+
+  const complete = (key, orderId) => {
+    const record = collection.get(key);
+    collection.set(key, { ...record, status: 'completed', orderId });
+  };
+
+  const release = (key) => {
+    collection.delete(key);
+  };
+
+  const purgeExpired = () => {
+    collection.entries()
+      .filter(([, record]) => isExpired(record))
+      .forEach(([key]) => collection.delete(key));
+  };
+
+  return {
+    begin,
+    complete,
+    release,
+    purgeExpired
+  };
+};
+
+module.exports = {
+  DEFAULT_TTL_HOURS,
+  fingerprint,
+  createIdempotencyRegistry
+};
@@ -0,0 +1,104 @@
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./storage');
+const { createIdempotencyRegistry, fingerprint } = require('./idempotency');
+
+describe('Idempotency registry', () => {
+  let currentTime;
+  let registry;
+
+  beforeEach(() => {
+    currentTime = Date.parse('2024-03-15T12:00:00Z');
+    registry = createIdempotencyRegistry(createStore().collection('idempotencyKeys'), {
+      ttlMs: 60 * 60 * 1000,
+      now: () => currentTime
+    });
+  });
+
+  test('fingerprint should ignore object key order', () => {
+    expect(fingerprint({ a: 1, b: [{ c: 2, d: 3 }] })).toBe(fingerprint({ b: [{ d: 3, c: 2 }], a: 1 }));
+    expect(fingerprint({ a: 1 })).not.toBe(fingerprint({ a: 2 }));
+  });
+
+  test('should replay completed keys with the same payload', () => {
+    expect(registry.begin('key-1', { customerId: 'c1' }).state).toBe('new');
+    registry.complete('key-1', 'ord-1');
+
+    expect(registry.begin('key-1', { customerId: 'c1' })).toEqual({ state: 'replay', orderId: 'ord-1' });
+  });
+
+  test('should reject reuse with a different payload', () => {
+    registry.begin('key-1', { customerId: 'c1' });
+    registry.complete('key-1', 'ord-1');
+
+    expect(registry.begin('key-1', { customerId: 'c2' }).state).toBe('mismatch');
+  });
+
+  test('should report keys that are still being processed', () => {
+    registry.begin('key-1', { customerId: 'c1' });
+
+    expect(registry.begin('key-1', { customerId: 'c1' }).state).toBe('in_progress');
+
+    registry.release('key-1');
+
+    expect(registry.begin('key-1', { customerId: 'c1' }).state).toBe('new');
+  });
+
+  test('should expire keys after the TTL', () => {
+    registry.begin('key-1', { customerId: 'c1' });
+    registry.complete('key-1', 'ord-1');
+
+    currentTime += 60 * 60 * 1000;
+
+    expect(registry.begin('key-1', { customerId: 'c2' }).state).toBe('new');
+  });
+});
+
+describe('Idempotency keys in the mock', () => {
+  let app;
+  let failures;
+
+  beforeEach(() => {
+    failures = 1;
+    jest.isolateModules(() => {
+      jest.doMock('./customers', () => {
+        const actual = jest.requireActual('./customers');
+        return {
+          ...actual,
+          validateAddress: (address) => {
+            if (failures > 0) {
+              failures -= 1;
+              throw new Error('Address check unavailable');
+            }
+            return actual.validateAddress(address);
+          }
+        };
+      });
+      app = require('../server');
+    });
+  });
+
+  afterEach(() => {
+    jest.dontMock('./customers');
+  });
+
+  test('should release the key when creating the order throws', async () => {
+    const idempotencyKey = uuidv4();
+    const placeOrder = () => request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer qa-token')
+      .set('Idempotency-Key', idempotencyKey)
+      .send({
+        customerId: 'cust-idem',
+        items: [{ productId: 'prod-001', quantity: 1, unitPrice: 29.99 }],
+        shippingAddress: { name: 'Ada Lovelace', line1: '12 Main St', city: 'Springfield', postalCode: '12345', country: 'US' }
+      });
+
+    const failed = await placeOrder();
+    expect(failed.status).toBe(500);
+    expect(failed.body.error).toBe('INTERNAL_ERROR');
+
+    const retried = await placeOrder();
+    expect(retried.status).toBe(201);
+  });
+});
@@ -0,0 +1,137 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+// Structured logging and request correlation
+//
+// Log records are one JSON object per line (or `time LEVEL message key=value`
+// with LOG_FORMAT=pretty). Every request gets an ID, taken from its
+// X-Request-Id header or generated, which is echoed in the response header,
+// added to JSON error bodies and kept for the rest of the request so that
+// events it publishes (and their webhook deliveries) carry it too. When the
+// response finishes, one access log record is written for it.
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const LOG_FORMATS = ['json', 'pretty'];
+
+const REQUEST_ID_HEADER = 'x-request-id';
+
+// Incoming IDs are echoed into headers and logs, so only accept tame ones
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const formatPretty = ({ time, level, msg, ...fields }) => [
+  time,
+  level.toUpperCase().padEnd(5),
+  msg,
+  ...Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+].join(' ');
+
+const createLogger = ({
+  level = 'info',
+  format = 'json',
+  write = (line) => process.stdout.write(`${line}\n`),
+  now = () => new Date(),
+  fields: baseFields = {}
+} = {}) => {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`Unknown log level: ${level}. Allowed: ${LOG_LEVELS.join(', ')}`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format: ${format}. Allowed: ${LOG_FORMATS.join(', ')}`);
+  }
+
+  const threshold = LOG_LEVELS.indexOf(level);
+
+  const log = (recordLevel) => (msg, fields = {}) => {
+    if (LOG_LEVELS.indexOf(recordLevel) < threshold) {
+      return;
+    }
+    const record = { time: now().toISOString(), level: recordLevel, msg, ...baseFields, ...fields };
+    write(format === 'pretty' ? formatPretty(record) : JSON.stringify(record));
+  };
+
+  return {
+    level,
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    // A logger that adds `fields` to every record
+    child: (fields) => createLogger({ level, format, write, now, fields: { ...baseFields, ...fields } })
+  };
+};
+
+// Tokens passed in the query string (event streams take ?access_token=) stay out of the logs
+const redactPath = (url) => url.replace(/([?&]access_token=)[^&]*/g, '$1REDACTED');
+
+// The route pattern that handled the request, e.g. /api/v1/orders/:orderId
+const routeOf = (req) => (req.route
+  ? `${req.baseUrl}${req.route.path}`.replace(/\\/g, '')
+  : 'unmatched');
+
+// `onFinish({ method, route, status, durationSeconds })` is called once per response (metrics)
+const createRequestTracking = ({ logger, onFinish = () => {} }) => {
+  const context = new AsyncLocalStorage();
+
+  const currentRequestId = () => context.getStore();
+
+  const middleware = (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+    const startedAt = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set('X-Request-Id', requestId);
+
+    // Remember which order and customer the response was about, and tag error bodies
+    let subject = {};
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (body && typeof body === 'object' && !Array.isArray(body)) {
+        subject = body;
+        if (res.statusCode >= 400 && typeof body.error === 'string' && body.requestId === undefined) {
+          return json({ ...body, requestId });
+        }
+      }
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      const route = routeOf(req);
+      const auth = req.auth || {};
+
+      onFinish({ method: req.method, route, status: res.statusCode, durationSeconds });
+
+      const record = {
+        requestId,
+        method: req.method,
+        route,
+        path: redactPath(req.originalUrl),
+        status: res.statusCode,
+        latencyMs: Math.round(durationSeconds * 1e6) / 1e3,
+        tenantId: req.tenantId,
+        orderId: (req.params && req.params.orderId) || subject.orderId,
+        customerId: subject.customerId || auth.customerId || (req.query && req.query.customerId)
+      };
+      Object.keys(record).forEach(key => record[key] === undefined && delete record[key]);
+
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      logger[level]('request', record);
+    });
+
+    context.run(requestId, next);
+  };
+
+  return {
+    middleware,
+    currentRequestId
+  };
+};
+
+module.exports = {
+  LOG_LEVELS,
+  REQUEST_ID_HEADER,
+  redactPath,
+  createLogger,
+  createRequestTracking
+};
@@ -0,0 +1,91 @@
+const express = require('express');
+const request = require('supertest');
+const { createLogger, createRequestTracking } = require('./logging');
+
+describe('Logging', () => {
+  const now = () => new Date('2024-03-15T12:00:00.000Z');
+
+  test('should write JSON records at or above the configured level', () => {
+    const lines = [];
+    const logger = createLogger({ level: 'warn', write: line => lines.push(line), now });
+
+    logger.info('ignored');
+    logger.warn('Slow response', { route: '/api/v1/orders' });
+    logger.child({ component: 'webhooks' }).error('Delivery failed');
+
+    expect(lines.map(line => JSON.parse(line))).toEqual([
+      { time: '2024-03-15T12:00:00.000Z', level: 'warn', msg: 'Slow response', route: '/api/v1/orders' },
+      { time: '2024-03-15T12:00:00.000Z', level: 'error', msg: 'Delivery failed', component: 'webhooks' }
+    ]);
+  });
+
+  test('should format pretty records and reject unknown settings', () => {
+    const lines = [];
+    createLogger({ format: 'pretty', write: line => lines.push(line), now }).info('request', { status: 201, path: '/x' });
+
+    expect(lines).toEqual(['2024-03-15T12:00:00.000Z INFO  request status=201 path=/x']);
+    expect(() => createLogger({ level: 'loud' })).toThrow('Unknown log level');
+    expect(() => createLogger({ format: 'xml' })).toThrow('Unknown log format');
+  });
+
+  describe('request tracking', () => {
+    let records;
+    let finished;
+    let tracking;
+    let app;
+
+    beforeEach(() => {
+      records = [];
+      finished = [];
+      tracking = createRequestTracking({
+        logger: createLogger({ write: line => records.push(JSON.parse(line)), now }),
+        onFinish: details => finished.push(details)
+      });
+
+      app = express();
+      app.use(tracking.middleware);
+      app.get('/orders/:orderId', (req, res) => {
+        setImmediate(() => res.json({ orderId: req.params.orderId, customerId: 'cust-1', seenAs: tracking.currentRequestId() }));
+      });
+      app.get('/missing', (req, res) => res.status(404).json({ error: 'NOT_FOUND', message: 'Order not found' }));
+    });
+
+    test('should echo the caller\'s request ID and log the request', async () => {
+      const response = await request(app).get('/orders/ord-1').set('X-Request-Id', 'client-42');
+
+      expect(response.headers['x-request-id']).toBe('client-42');
+      expect(response.body.seenAs).toBe('client-42');
+      expect(records).toHaveLength(1);
+      expect(records[0]).toMatchObject({
+        level: 'info',
+        msg: 'request',
+        requestId: 'client-42',
+        method: 'GET',
+        route: '/orders/:orderId',
+        path: '/orders/ord-1',
+        status: 200,
+        orderId: 'ord-1',
+        customerId: 'cust-1'
+      });
+      expect(records[0].latencyMs).toBeGreaterThanOrEqual(0);
+      expect(finished).toEqual([expect.objectContaining({ method: 'GET', route: '/orders/:orderId', status: 200 })]);
+    });
+
+    test('should generate IDs for missing or unsafe ones and add them to error bodies', async () => {
+      const response = await request(app).get('/missing').set('X-Request-Id', 'bad id\twith spaces');
+
+      expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+      expect(response.body).toEqual({ error: 'NOT_FOUND', message: 'Order not found', requestId: response.headers['x-request-id'] });
+      expect(records[0].level).toBe('warn');
+
+      await request(app).get('/nowhere');
+      expect(finished[1].route).toBe('unmatched');
+    });
+
+    test('should not log tokens passed in the query string', async () => {
+      await request(app).get('/orders/ord-1?access_token=secret&customerId=cust-1');
+
+      expect(records[0].path).toBe('/orders/ord-1?access_token=REDACTED&customerId=cust-1');
+    });
+  });
+});
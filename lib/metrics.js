@@ -0,0 +1,128 @@
+// Prometheus metrics
+//
+// A small registry of counters, gauges and histograms with labels, rendered in
+// the Prometheus text exposition format for GET /metrics. Gauges can be
+// computed at scrape time from a `collect` callback instead of being kept up
+// to date by hand (e.g. orders per status, read from the store).
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Request latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length === 0
+    ? ''
+    : `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => (value === Infinity ? '+Inf' : String(value));
+
+const createMetrics = () => {
+  const metrics = [];
+
+  // Series are keyed by their label values in label-name order
+  const labelsFor = (labelNames, labels) => {
+    const unknown = Object.keys(labels).filter(name => !labelNames.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown labels: ${unknown.join(', ')}`);
+    }
+    return Object.fromEntries(labelNames.map(name => [name, labels[name] === undefined ? '' : labels[name]]));
+  };
+
+  const register = (metric) => {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  const counter = (name, help, labelNames = []) => {
+    const series = new Map();
+
+    const metric = register({
+      name,
+      help,
+      type: 'counter',
+      samples: () => Array.from(series.values()).map(({ labels, value }) => ({ name, labels, value }))
+    });
+
+    return {
+      name: metric.name,
+      inc: (labels = {}, amount = 1) => {
+        const key = JSON.stringify(labelsFor(labelNames, labels));
+        const entry = series.get(key) || { labels: labelsFor(labelNames, labels), value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      }
+    };
+  };
+
+  // `collect()` returns [{ labels, value }] at scrape time
+  const gauge = (name, help, labelNames = [], collect) => {
+    register({
+      name,
+      help,
+      type: 'gauge',
+      samples: () => collect().map(({ labels = {}, value }) => ({ name, labels: labelsFor(labelNames, labels), value }))
+    });
+    return { name };
+  };
+
+  const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+    const bounds = [...buckets].sort((a, b) => a - b).concat(Infinity);
+    const series = new Map();
+
+    register({
+      name,
+      help,
+      type: 'histogram',
+      samples: () => Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+        ...bounds.map((bound, index) => ({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[index] })),
+        { name: `${name}_sum`, labels, value: sum },
+        { name: `${name}_count`, labels, value: count }
+      ])
+    });
+
+    return {
+      name,
+      observe: (labels, value) => {
+        const key = JSON.stringify(labelsFor(labelNames, labels));
+        const entry = series.get(key) || { labels: labelsFor(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+        bounds.forEach((bound, index) => {
+          if (value <= bound) {
+            entry.counts[index] += 1;
+          }
+        });
+        entry.sum += value;
+        entry.count += 1;
+        series.set(key, entry);
+      }
+    };
+  };
+
+  const render = () => metrics
+    .map(({ name, help, type, samples }) => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} ${type}`,
+      ...samples().map(sample => `${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`)
+    ].join('\n'))
+    .join('\n') + '\n';
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render
+  };
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  createMetrics
+};
@@ -0,0 +1,46 @@
+const { createMetrics } = require('./metrics');
+
+describe('Metrics', () => {
+  test('should render counters, gauges and histograms in the Prometheus text format', () => {
+    const metrics = createMetrics();
+    const requests = metrics.counter('http_requests_total', 'HTTP requests', ['method', 'status']);
+    const latency = metrics.histogram('http_request_duration_seconds', 'Latency', ['method'], [0.1, 1]);
+    metrics.gauge('orders', 'Orders by status', ['status'], () => [
+      { labels: { status: 'pending' }, value: 2 },
+      { labels: { status: 'say "hi"' }, value: 0 }
+    ]);
+
+    requests.inc({ method: 'GET', status: 200 });
+    requests.inc({ method: 'GET', status: 200 });
+    requests.inc({ method: 'POST', status: 201 });
+    latency.observe({ method: 'GET' }, 0.05);
+    latency.observe({ method: 'GET' }, 0.5);
+
+    expect(metrics.render()).toBe([
+      '# HELP http_requests_total HTTP requests',
+      '# TYPE http_requests_total counter',
+      'http_requests_total{method="GET",status="200"} 2',
+      'http_requests_total{method="POST",status="201"} 1',
+      '# HELP http_request_duration_seconds Latency',
+      '# TYPE http_request_duration_seconds histogram',
+      'http_request_duration_seconds_bucket{method="GET",le="0.1"} 1',
+      'http_request_duration_seconds_bucket{method="GET",le="1"} 2',
+      'http_request_duration_seconds_bucket{method="GET",le="+Inf"} 2',
+      'http_request_duration_seconds_sum{method="GET"} 0.55',
+      'http_request_duration_seconds_count{method="GET"} 2',
+      '# HELP orders Orders by status',
+      '# TYPE orders gauge',
+      'orders{status="pending"} 2',
+      'orders{status="say \\"hi\\""} 0',
+      ''
+    ].join('\n'));
+  });
+
+  test('should reject unknown labels and duplicate metrics', () => {
+    const metrics = createMetrics();
+    const counter = metrics.counter('replays_total', 'Replays');
+
+    expect(() => counter.inc({ route: '/orders' })).toThrow('Unknown labels: route');
+    expect(() => metrics.counter('replays_total', 'Again')).toThrow('Metric already registered');
+  });
+});
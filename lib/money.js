@@ -0,0 +1,92 @@
+// Money
+//
+// Amounts arrive and leave as decimal numbers in major units (e.g. 29.99 USD),
+// but all arithmetic is done on integers in the currency's minor units (cents)
+// so totals never pick up floating point rounding errors.
+
+// ISO 4217 codes supported by the mock and their number of minor unit digits
+const CURRENCIES = {
+  AUD: 2,
+  BHD: 3,
+  CAD: 2,
+  CHF: 2,
+  CNY: 2,
+  DKK: 2,
+  EUR: 2,
+  GBP: 2,
+  HKD: 2,
+  INR: 2,
+  JPY: 0,
+  KRW: 0,
+  KWD: 3,
+  MXN: 2,
+  NOK: 2,
+  NZD: 2,
+  SEK: 2,
+  SGD: 2,
+  USD: 2,
+  ZAR: 2
+};
+
+const isCurrency = (code) => Object.prototype.hasOwnProperty.call(CURRENCIES, code);
+
+const minorUnits = (currency) => CURRENCIES[currency];
+
+// Split a non-negative decimal number into integer and fraction digits without float math
+const decimalParts = (value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    return null;
+  }
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(value));
+  if (!match) {
+    // Exponent notation (e.g. 1e-7) has far more decimal places than any currency allows
+    return null;
+  }
+  return { whole: match[1], fraction: match[2] || '' };
+};
+
+// Number of decimal places in a non-negative number, or Infinity if it cannot be represented exactly
+const decimalPlaces = (value) => {
+  const parts = decimalParts(value);
+  return parts ? parts.fraction.length : Infinity;
+};
+
+// Convert a decimal amount to integer minor units; throws if it has too many decimal places
+const toMinor = (amount, currency) => {
+  const digits = minorUnits(currency);
+  const parts = decimalParts(amount);
+
+  if (!parts || parts.fraction.length > digits) {
+    throw new RangeError(`Amount ${amount} has more than ${digits} decimal places for ${currency}`);
+  }
+
+  return Number(parts.whole + parts.fraction.padEnd(digits, '0'));
+};
+
+const fromMinor = (minor, currency) => minor / Math.pow(10, minorUnits(currency));
+
+// Round a non-negative integer ratio half-up
+const divideRounded = (numerator, denominator) => Math.floor((numerator * 2 + denominator) / (denominator * 2));
+
+// Percentages are handled in basis points (7.25% -> 725) to stay in integer arithmetic
+const toBasisPoints = (percent) => {
+  const parts = decimalParts(percent);
+  if (!parts || parts.fraction.length > 2) {
+    throw new RangeError(`Percentage ${percent} must have at most 2 decimal places`);
+  }
+  return Number(parts.whole + parts.fraction.padEnd(2, '0'));
+};
+
+const percentOf = (minor, basisPoints) => divideRounded(minor * basisPoints, 10000);
+
+module.exports = {
+  CURRENCIES,
+  isCurrency,
+  minorUnits,
+  decimalPlaces,
+  toMinor,
+  fromMinor,
+  toBasisPoints,
+  percentOf,
+  divideRounded
+};
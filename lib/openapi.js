@@ -0,0 +1,360 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { createLogger } = require('./logging');
+
+// OpenAPI contract validation
+//
+// openapi.yaml is the vendor contract. It is loaded at startup and used to
+// validate incoming requests (path, query and header parameters and the JSON
+// body), so the hand-written route checks only have to cover business rules
+// the spec cannot express. In strict mode every JSON response is checked
+// against the documented status codes and schemas as well, and a response
+// that does not match is replaced by a 500 so contract drift fails loudly.
+
+const DEFAULT_SPEC_FILE = path.join(__dirname, '..', 'openapi.yaml');
+
+const SPEC_ID = 'openapi.yaml';
+const METHODS = ['get', 'put', 'post', 'patch', 'delete'];
+
+const loadSpec = (file = DEFAULT_SPEC_FILE) => {
+  const source = fs.readFileSync(file, 'utf8');
+  return /\.json$/i.test(file) ? JSON.parse(source) : yaml.load(source);
+};
+
+// OpenAPI 3.0 schemas are not quite JSON Schema: `nullable` becomes a null type
+const toJsonSchema = (node) => {
+  if (Array.isArray(node)) {
+    return node.map(toJsonSchema);
+  }
+  if (!node || typeof node !== 'object') {
+    return node;
+  }
+
+  const { nullable, ...rest } = node;
+  const converted = {};
+  Object.entries(rest).forEach(([key, value]) => { converted[key] = toJsonSchema(value); });
+
+  if (nullable !== true) {
+    return converted;
+  }
+  if (typeof converted.type === 'string' && !converted.enum) {
+    return { ...converted, type: [converted.type, 'null'] };
+  }
+  return { anyOf: [converted, { type: 'null' }] };
+};
+
+// JSON pointer into the spec document, for Ajv $refs
+const pointer = (...segments) => `${SPEC_ID}#/${segments
+  .map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+  .join('/')}`;
+
+const refSegments = (ref) => ref
+  .replace(/^#\//, '')
+  .split('/')
+  .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+// Follow a local $ref (e.g. '#/components/responses/NotFound') inside the spec
+const resolve = (spec, node) => node && node.$ref
+  ? refSegments(node.$ref).reduce((target, segment) => target && target[segment], spec)
+  : node;
+
+// Where a (possibly $ref'd) spec node really lives, as path segments
+const locate = (node, owner) => node.$ref ? refSegments(node.$ref) : owner;
+
+const hasJsonSchema = (node) => Boolean(node && node.content && node.content['application/json'] && node.content['application/json'].schema);
+
+// '/orders/{orderId}' -> /^\/api\/v1\/orders\/([^/]+)$/ plus the parameter names
+const compilePath = (basePath, template) => {
+  const names = [];
+  const source = (basePath + template)
+    .split(/(\{[^}]+\})/)
+    .map(part => {
+      const match = /^\{([^}]+)\}$/.exec(part);
+      if (match) {
+        names.push(match[1]);
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return { regex: new RegExp(`^${source}/?$`), names };
+};
+
+// Query, header and path values arrive as strings; convert them to the schema's type first
+const coerce = (value, schema = {}) => {
+  if (value === undefined) {
+    return value;
+  }
+  if (schema.type === 'array') {
+    return [].concat(value).map(entry => coerce(entry, schema.items));
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && ['true', 'false'].includes(value)) {
+    return value === 'true';
+  }
+  return value;
+};
+
+const childPath = (base, key) => /^\d+$/.test(key) ? `${base}[${key}]` : `${base}.${key}`;
+
+// Ajv errors -> [{ path: 'body.items[0].quantity', message: 'must be >= 1' }]
+const formatErrors = (errors, location) => {
+  const seen = new Set();
+
+  return errors
+    .filter(error => error.keyword !== 'anyOf' && error.keyword !== 'if')
+    .map(error => {
+      let fieldPath = error.instancePath
+        ? refSegments(error.instancePath.slice(1)).reduce(childPath, location)
+        : location;
+      let title = error.parentSchema && error.parentSchema.title;
+      let message = error.message;
+
+      if (error.keyword === 'required') {
+        const property = error.params.missingProperty;
+        const propertySchema = error.parentSchema.properties && error.parentSchema.properties[property];
+        fieldPath = childPath(fieldPath, property);
+        title = propertySchema && propertySchema.title;
+        message = 'is required';
+      } else if (error.keyword === 'enum') {
+        message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+      }
+
+      return { path: fieldPath, message, title };
+    })
+    .filter(entry => {
+      const key = `${entry.path} ${entry.message}`;
+      return seen.has(key) ? false : seen.add(key);
+    });
+};
+
+const describeErrors = (errors) => errors
+  .map(({ path: fieldPath, message, title }) => `${title ? `${title} (${fieldPath})` : fieldPath} ${message}`)
+  .join('; ');
+
+// The 400 body for request validation errors
+const validationError = (errors) => ({
+  error: 'VALIDATION_ERROR',
+  message: describeErrors(errors),
+  details: { errors: errors.map(({ path: fieldPath, message }) => ({ path: fieldPath, message })) }
+});
+
+const createContractValidator = ({ spec, validateResponses = false, logger = createLogger() }) => {
+  const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+  addFormats(ajv);
+  ['int32', 'int64', 'float', 'double'].forEach(format => ajv.addFormat(format, true));
+  ajv.addSchema({ ...toJsonSchema(spec), $id: SPEC_ID });
+
+  const compile = (...segments) => ajv.getSchema(pointer(...segments));
+
+  const basePath = spec.servers && spec.servers[0]
+    ? new URL(spec.servers[0].url, 'http://localhost').pathname.replace(/\/$/, '')
+    : '';
+
+  // One entry per documented operation, with its validators compiled up front
+  const operations = [];
+
+  Object.entries(spec.paths || {}).forEach(([template, pathItem]) => {
+    const { regex, names } = compilePath(basePath, template);
+
+    METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      const owner = ['paths', template, method];
+
+      // Path-level parameters apply to every operation on the path
+      const parameters = [
+        ...(pathItem.parameters || []).map((parameter, index) => [parameter, ['paths', template, 'parameters', index]]),
+        ...(operation.parameters || []).map((parameter, index) => [parameter, [...owner, 'parameters', index]])
+      ].map(([parameter, location]) => {
+        const resolved = resolve(spec, parameter);
+        return { ...resolved, validate: resolved.schema ? compile(...locate(parameter, location), 'schema') : null };
+      });
+
+      const requestBody = resolve(spec, operation.requestBody);
+      const body = hasJsonSchema(requestBody)
+        ? {
+          required: Boolean(requestBody.required),
+          validate: compile(...locate(operation.requestBody, [...owner, 'requestBody']), 'content', 'application/json', 'schema')
+        }
+        : null;
+
+      // status -> validator, or null for responses without a JSON body
+      const responses = {};
+      Object.entries(operation.responses || {}).forEach(([status, response]) => {
+        responses[status] = hasJsonSchema(resolve(spec, response))
+          ? compile(...locate(response, [...owner, 'responses', status]), 'content', 'application/json', 'schema')
+          : null;
+      });
+
+      operations.push({ method: method.toUpperCase(), template, regex, names, parameters, body, responses });
+    });
+  });
+
+  // Literal paths win over templated ones (/orders/batch before /orders/{orderId})
+  operations.sort((a, b) => a.names.length - b.names.length);
+
+  const findOperation = (method, url) => {
+    const urlPath = new URL(url, 'http://localhost').pathname;
+    for (const operation of operations) {
+      const match = operation.method === method.toUpperCase() && operation.regex.exec(urlPath);
+      if (match) {
+        const params = {};
+        operation.names.forEach((name, index) => { params[name] = decodeURIComponent(match[index + 1]); });
+        return { operation, params };
+      }
+    }
+    return null;
+  };
+
+  const requestErrors = (req, { operation, params }) => {
+    const errors = [];
+    const sources = {
+      path: (name) => params[name],
+      query: (name) => req.query[name],
+      header: (name) => req.get(name)
+    };
+
+    operation.parameters
+      .filter(parameter => sources[parameter.in])
+      .forEach(parameter => {
+        const location = `${parameter.in}.${parameter.name}`;
+        const value = coerce(sources[parameter.in](parameter.name), parameter.schema);
+
+        if (value === undefined || value === '') {
+          if (parameter.required) {
+            errors.push({ path: location, message: 'is required' });
+          }
+          return;
+        }
+        if (parameter.validate && !parameter.validate(value)) {
+          errors.push(...formatErrors(parameter.validate.errors, location));
+        }
+      });
+
+    if (operation.body) {
+      const hasBody = req.body !== undefined && (Object.keys(req.body).length > 0 || req.get('content-length') > 0);
+      if (!hasBody && operation.body.required) {
+        errors.push({ path: 'body', message: 'is required' });
+      } else if (hasBody && !operation.body.validate(req.body)) {
+        errors.push(...formatErrors(operation.body.validate.errors, 'body'));
+      }
+    }
+
+    return errors;
+  };
+
+  // Route middleware: mount after authentication so unauthenticated callers still get 401
+  const validateRequest = (req, res, next) => {
+    const found = findOperation(req.method, req.originalUrl);
+    if (!found) {
+      return next();
+    }
+
+    const errors = requestErrors(req, found);
+    if (errors.length > 0) {
+      return res.status(400).json(validationError(errors));
+    }
+
+    next();
+  };
+
+  // Check a value against a component schema (e.g. one item of a batch request); [] if valid
+  const schemaErrors = (name, value, location = 'body') => {
+    const validate = compile('components', 'schemas', name);
+    if (!validate) {
+      throw new Error(`Unknown schema: ${name}`);
+    }
+    return validate(value) ? [] : formatErrors(validate.errors, location);
+  };
+
+  const operationResponseErrors = (operation, status, body) => {
+    const validate = operation.responses[status] !== undefined
+      ? operation.responses[status]
+      : operation.responses[`${String(status)[0]}XX`] !== undefined
+        ? operation.responses[`${String(status)[0]}XX`]
+        : operation.responses.default;
+
+    if (validate === undefined) {
+      return [{ path: 'status', message: `${status} is not a documented response for ${operation.method} ${operation.template}` }];
+    }
+    if (validate && !validate(body)) {
+      return formatErrors(validate.errors, 'response');
+    }
+    return [];
+  };
+
+  // App middleware (strict mode): check JSON responses of documented operations
+  const checkResponses = (req, res, next) => {
+    if (!validateResponses) {
+      return next();
+    }
+
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      const found = findOperation(req.method, req.originalUrl);
+      if (!found) {
+        return json(body);
+      }
+
+      // Validate what goes over the wire (drops undefined, serializes dates)
+      const wire = body === undefined ? body : JSON.parse(JSON.stringify(body));
+      const errors = operationResponseErrors(found.operation, res.statusCode, wire);
+      if (errors.length === 0) {
+        return json(body);
+      }
+
+      const status = res.statusCode;
+      const message = `Response does not match the OpenAPI contract for ${found.operation.method} ${found.operation.template}: ${describeErrors(errors)}`;
+      logger.error(message, { requestId: req.id, status, errors: errors.length });
+      res.status(500);
+      return json({
+        error: 'RESPONSE_VALIDATION_ERROR',
+        message,
+        details: { status, errors: errors.map(({ path: fieldPath, message: text }) => ({ path: fieldPath, message: text })) }
+      });
+    };
+
+    next();
+  };
+
+  // Check a response received from any implementation; null if the operation is not in the spec
+  const responseErrors = ({ method, url, status, body }) => {
+    const found = findOperation(method, url);
+    return found ? operationResponseErrors(found.operation, status, body) : null;
+  };
+
+  return {
+    basePath,
+    validateRequest,
+    schemaErrors,
+    checkResponses,
+    responseErrors
+  };
+};
+
+// Statuses and event types come from the workflow file, not the spec's example enums
+const applyWorkflow = (spec, { statuses, eventTypes }) => {
+  spec.components.schemas.OrderStatus.enum = statuses;
+  if (eventTypes) {
+    spec.components.schemas.WebhookEventType.enum = ['*', ...eventTypes];
+  }
+  return spec;
+};
+
+module.exports = {
+  DEFAULT_SPEC_FILE,
+  loadSpec,
+  applyWorkflow,
+  describeErrors,
+  validationError,
+  createContractValidator
+};
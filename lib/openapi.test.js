@@ -0,0 +1,142 @@
+const express = require('express');
+const request = require('supertest');
+const { createContractValidator, loadSpec } = require('./openapi');
+
+const spec = {
+  openapi: '3.0.3',
+  servers: [{ url: 'http://localhost:3000/api/v1' }],
+  paths: {
+    '/widgets': {
+      post: {
+        parameters: [
+          { name: 'Idempotency-Key', in: 'header', required: true, schema: { type: 'string', format: 'uuid' } }
+        ],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/Widget' } } }
+        },
+        responses: {
+          '201': { content: { 'application/json': { schema: { $ref: '#/components/schemas/Widget' } } } },
+          '400': { $ref: '#/components/responses/BadRequest' }
+        }
+      }
+    },
+    '/widgets/{widgetId}': {
+      parameters: [{ name: 'widgetId', in: 'path', required: true, schema: { type: 'string' } }],
+      get: {
+        parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer', maximum: 10 } }],
+        responses: {
+          '200': { content: { 'application/json': { schema: { $ref: '#/components/schemas/Widget' } } } },
+          '400': { $ref: '#/components/responses/BadRequest' }
+        }
+      }
+    }
+  },
+  components: {
+    schemas: {
+      Widget: {
+        type: 'object',
+        required: ['name', 'parts'],
+        properties: {
+          name: { type: 'string', title: 'Widget name' },
+          color: { type: 'string', nullable: true },
+          parts: { type: 'array', items: { type: 'object', properties: { quantity: { type: 'integer', minimum: 1 } } } }
+        }
+      },
+      Error: { type: 'object', required: ['error', 'message'] }
+    },
+    responses: {
+      BadRequest: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+    }
+  }
+};
+
+const createApp = ({ validateResponses, respondWith, logger }) => {
+  const contract = createContractValidator({ spec, validateResponses, logger });
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.id = req.get('X-Request-Id');
+    next();
+  });
+  app.use(contract.checkResponses);
+  app.post('/api/v1/widgets', contract.validateRequest, (req, res) => res.status(201).json(req.body));
+  app.get('/api/v1/widgets/:widgetId', contract.validateRequest, (req, res) => res.status(respondWith.status).json(respondWith.body));
+  return app;
+};
+
+describe('OpenAPI contract validation', () => {
+  test('should load the repository spec', () => {
+    const repoSpec = loadSpec();
+    expect(repoSpec.openapi).toBe('3.0.3');
+    expect(() => createContractValidator({ spec: repoSpec, validateResponses: true })).not.toThrow();
+  });
+
+  test('should reject invalid requests with field paths', async () => {
+    const app = createApp({ validateResponses: false });
+
+    const response = await request(app)
+      .post('/api/v1/widgets')
+      .set('Idempotency-Key', 'not-a-uuid')
+      .send({ color: null, parts: [{ quantity: 0 }] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('VALIDATION_ERROR');
+    expect(response.body.details.errors).toEqual([
+      { path: 'header.Idempotency-Key', message: 'must match format "uuid"' },
+      { path: 'body.name', message: 'is required' },
+      { path: 'body.parts[0].quantity', message: 'must be >= 1' }
+    ]);
+    expect(response.body.message).toContain('Widget name (body.name) is required');
+  });
+
+  test('should coerce query parameters before validating them', async () => {
+    const app = createApp({ validateResponses: false, respondWith: { status: 200, body: { name: 'w', parts: [] } } });
+
+    const ok = await request(app).get('/api/v1/widgets/w-1?limit=5');
+    expect(ok.status).toBe(200);
+
+    const tooMany = await request(app).get('/api/v1/widgets/w-1?limit=50');
+    expect(tooMany.status).toBe(400);
+    expect(tooMany.body.details.errors[0].path).toBe('query.limit');
+  });
+
+  test('should fail responses that drift from the contract in strict mode', async () => {
+    const logger = { error: jest.fn() };
+    const drifted = createApp({ validateResponses: true, logger, respondWith: { status: 200, body: { name: 42, parts: [] } } });
+    const response = await request(drifted).get('/api/v1/widgets/w-1').set('X-Request-Id', 'req-drift');
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe('RESPONSE_VALIDATION_ERROR');
+    expect(response.body.details).toEqual({ status: 200, errors: [{ path: 'response.name', message: 'must be string' }] });
+
+    expect(logger.error).toHaveBeenCalledWith(response.body.message, { requestId: 'req-drift', status: 200, errors: 1 });
+
+    const undocumented = createApp({ validateResponses: true, logger, respondWith: { status: 418, body: { error: 'TEAPOT', message: 'no' } } });
+    const teapot = await request(undocumented).get('/api/v1/widgets/w-1');
+
+    expect(teapot.status).toBe(500);
+    expect(teapot.body.message).toContain('418 is not a documented response');
+    expect(logger.error).toHaveBeenCalledTimes(2);
+  });
+
+  test('should check values against component schemas', () => {
+    const contract = createContractValidator({ spec });
+
+    expect(contract.schemaErrors('Widget', { name: 'w', parts: [] })).toEqual([]);
+    expect(contract.schemaErrors('Widget', { parts: [{ quantity: 0 }] }, 'items[2]').map(({ path, message }) => ({ path, message })))
+      .toEqual([
+        { path: 'items[2].name', message: 'is required' },
+        { path: 'items[2].parts[0].quantity', message: 'must be >= 1' }
+      ]);
+    expect(() => contract.schemaErrors('Gadget', {})).toThrow('Unknown schema: Gadget');
+  });
+
+  test('should pass responses through when not strict', async () => {
+    const app = createApp({ validateResponses: false, respondWith: { status: 200, body: { name: 42 } } });
+    const response = await request(app).get('/api/v1/widgets/w-1');
+
+    expect(response.status).toBe(200);
+    expect(response.body.name).toBe(42);
+  });
+});
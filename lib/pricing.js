@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const money = require('./money');
+
+// Order pricing
+//
+// Computes every amount on an order from its items in integer minor units:
+//
+//   subtotal       sum of quantity x unitPrice over the remaining (not cancelled) quantities
+//   discountTotal  per-line discounts plus the order-level discount
+//   taxAmount      taxRate applied to subtotal - discountTotal (shipping is not taxed)
+//   totalAmount    subtotal - discountTotal + taxAmount + shippingAmount
+//
+// Discounts are { "type": "percent", "value": 10 } or { "type": "amount", "value": 5.00 }
+// and are capped at the amount they apply to.
+
+const DEFAULT_TAX_RATES_FILE = path.join(__dirname, '..', 'config', 'tax-rates.yaml');
+const REGION_PATTERN = /^[A-Z]{2}(-[A-Z0-9]{1,3})?$/;
+
+const loadTaxRates = (file = DEFAULT_TAX_RATES_FILE) => {
+  const rates = yaml.load(fs.readFileSync(file, 'utf8')) || {};
+
+  Object.entries(rates).forEach(([region, rate]) => {
+    if (!REGION_PATTERN.test(region)) {
+      throw new Error(`Invalid tax region "${region}"; expected a country code such as GB or US-CA`);
+    }
+    money.toBasisPoints(rate);
+  });
+
+  return rates;
+};
+
+// Ordered quantity minus any line-level cancellations
+const activeQuantity = (item) => item.quantity - (item.cancelledQuantity || 0);
+
+const createPricing = ({ taxRates = {}, defaultCurrency = 'USD' } = {}) => {
+  if (!money.isCurrency(defaultCurrency)) {
+    throw new Error(`Unsupported default currency: ${defaultCurrency}`);
+  }
+
+  const validateAmount = (value, currency, label) => {
+    if (typeof value !== 'number' || value < 0) {
+      return `${label} must be a non-negative number`;
+    }
+    if (money.decimalPlaces(value) > money.minorUnits(currency)) {
+      return `${label} must have at most ${money.minorUnits(currency)} decimal places for ${currency}`;
+    }
+    return null;
+  };
+
+  const validateDiscount = (discount, currency, label) => {
+    if (discount === undefined || discount === null) {
+      return null;
+    }
+    if (typeof discount !== 'object' || !['percent', 'amount'].includes(discount.type)) {
+      return `${label} must be { "type": "percent" | "amount", "value": number }`;
+    }
+    if (discount.type === 'percent') {
+      if (typeof discount.value !== 'number' || discount.value < 0 || discount.value > 100 || money.decimalPlaces(discount.value) > 2) {
+        return `${label} percent must be between 0 and 100 with at most 2 decimal places`;
+      }
+      return null;
+    }
+    return validateAmount(discount.value, currency, `${label} amount`);
+  };
+
+  // Validate the pricing-related fields of an order request; returns an error message or null
+  const validate = ({ currency = defaultCurrency, items = [], discount, shippingAmount, taxRegion }) => {
+    if (!money.isCurrency(currency)) {
+      return `Unsupported currency: ${currency}. Must be one of: ${Object.keys(money.CURRENCIES).join(', ')}`;
+    }
+
+    for (const item of items) {
+      if (item.currency !== undefined && item.currency !== currency) {
+        return `Mixed currencies are not allowed: item ${item.productId || item.lineId} is priced in ${item.currency}, order is in ${currency}`;
+      }
+      if (item.unitPrice !== undefined) {
+        const priceError = validateAmount(item.unitPrice, currency, 'unitPrice');
+        if (priceError) {
+          return priceError;
+        }
+      }
+      const discountError = validateDiscount(item.discount, currency, 'Item discount');
+      if (discountError) {
+        return discountError;
+      }
+    }
+
+    const discountError = validateDiscount(discount, currency, 'Discount');
+    if (discountError) {
+      return discountError;
+    }
+
+    if (shippingAmount !== undefined) {
+      const shippingError = validateAmount(shippingAmount, currency, 'shippingAmount');
+      if (shippingError) {
+        return shippingError;
+      }
+    }
+
+    if (taxRegion !== undefined && taxRegion !== null && !Object.prototype.hasOwnProperty.call(taxRates, taxRegion)) {
+      return `Unknown tax region: ${taxRegion}. Must be one of: ${Object.keys(taxRates).join(', ')}`;
+    }
+
+    return null;
+  };
+
+  const discountMinor = (discount, baseMinor, currency) => {
+    if (!discount) {
+      return 0;
+    }
+    const amount = discount.type === 'percent'
+      ? money.percentOf(baseMinor, money.toBasisPoints(discount.value))
+      : money.toMinor(discount.value, currency);
+    return Math.min(amount, baseMinor);
+  };
+
+  // Explicit taxRegion wins, then the shipping address subdivision, then its country
+  const resolveTaxRegion = (order) => {
+    if (order.taxRegion) {
+      return order.taxRegion;
+    }
+    const address = order.shippingAddress;
+    if (!address || !address.country) {
+      return null;
+    }
+    const candidates = address.region ? [`${address.country}-${address.region}`, address.country] : [address.country];
+    return candidates.find(region => Object.prototype.hasOwnProperty.call(taxRates, region)) || null;
+  };
+
+  // Recompute all derived amounts on the order (mutates and returns it)
+  const priceOrder = (order) => {
+    const currency = order.currency || defaultCurrency;
+    const toMajor = (minor) => money.fromMinor(minor, currency);
+
+    let subtotal = 0;
+    let lineDiscounts = 0;
+
+    order.items.forEach(item => {
+      const baseMinor = activeQuantity(item) * money.toMinor(item.unitPrice, currency);
+      const lineDiscount = discountMinor(item.discount, baseMinor, currency);
+
+      subtotal += baseMinor;
+      lineDiscounts += lineDiscount;
+
+      item.discountAmount = toMajor(lineDiscount);
+      item.lineTotal = toMajor(baseMinor - lineDiscount);
+    });
+
+    const orderDiscount = discountMinor(order.discount, subtotal - lineDiscounts, currency);
+    const taxable = subtotal - lineDiscounts - orderDiscount;
+    const taxRegion = resolveTaxRegion(order);
+    const taxRate = taxRegion ? taxRates[taxRegion] : 0;
+    const tax = money.percentOf(taxable, money.toBasisPoints(taxRate));
+    const shipping = money.toMinor(order.shippingAmount || 0, currency);
+
+    order.currency = currency;
+    order.subtotal = toMajor(subtotal);
+    order.orderDiscountAmount = toMajor(orderDiscount);
+    order.discountTotal = toMajor(lineDiscounts + orderDiscount);
+    order.taxRegion = taxRegion;
+    order.taxRate = taxRate;
+    order.taxAmount = toMajor(tax);
+    order.shippingAmount = toMajor(shipping);
+    order.totalAmount = toMajor(taxable + tax + shipping);
+
+    return order;
+  };
+
+  // Refund for returning some quantity of an order's lines: each unit's share of its line
+  // amount after the line discount, less its share of the order discount, plus the tax charged
+  // on it. Shipping is not refunded. `lines` is [{ lineId, quantity }].
+  // `returned` (lineId -> quantity) holds units of earlier returns: a return gets what its units
+  // add to the line's running total, so the last unit gets whatever is left of the line.
+  const refundFor = (order, lines, returned = new Map()) => {
+    const currency = order.currency || defaultCurrency;
+    const toMajor = (minor) => money.fromMinor(minor, currency);
+
+    const netMinor = new Map(order.items.map(item => {
+      const baseMinor = activeQuantity(item) * money.toMinor(item.unitPrice, currency);
+      return [item.lineId, baseMinor - discountMinor(item.discount, baseMinor, currency)];
+    }));
+    const orderNet = Array.from(netMinor.values()).reduce((total, amount) => total + amount, 0);
+    const orderDiscount = discountMinor(order.discount, orderNet, currency);
+    const taxRate = money.toBasisPoints(order.taxRate || 0);
+
+    let itemsTotal = 0;
+    let discountTotal = 0;
+    let taxTotal = 0;
+
+    // Items amount, order discount share and tax of the first `quantity` units of a line
+    const lineShare = (item, quantity) => {
+      const itemsAmount = money.divideRounded(netMinor.get(item.lineId) * quantity, activeQuantity(item));
+      const discountShare = orderNet > 0 ? money.divideRounded(orderDiscount * itemsAmount, orderNet) : 0;
+      return { itemsAmount, discountShare, tax: money.percentOf(itemsAmount - discountShare, taxRate) };
+    };
+
+    const refundLines = lines.map(({ lineId, quantity }) => {
+      const item = order.items.find(candidate => candidate.lineId === lineId);
+      const before = returned.get(lineId) || 0;
+      const earlier = lineShare(item, before);
+      const total = lineShare(item, before + quantity);
+      const itemsAmount = total.itemsAmount - earlier.itemsAmount;
+      const discountShare = total.discountShare - earlier.discountShare;
+      const tax = total.tax - earlier.tax;
+
+      itemsTotal += itemsAmount;
+      discountTotal += discountShare;
+      taxTotal += tax;
+
+      return { lineId, quantity, refundAmount: toMajor(itemsAmount - discountShare + tax) };
+    });
+
+    return {
+      currency,
+      lines: refundLines,
+      itemsAmount: toMajor(itemsTotal),
+      discountAmount: toMajor(discountTotal),
+      taxAmount: toMajor(taxTotal),
+      totalAmount: toMajor(itemsTotal - discountTotal + taxTotal)
+    };
+  };
+
+  return {
+    defaultCurrency,
+    validate,
+    priceOrder,
+    refundFor
+  };
+};
+
+module.exports = {
+  DEFAULT_TAX_RATES_FILE,
+  activeQuantity,
+  loadTaxRates,
+  createPricing
+};
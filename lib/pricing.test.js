@@ -0,0 +1,142 @@
+const money = require('./money');
+const { createPricing, loadTaxRates } = require('./pricing');
+
+describe('Money', () => {
+  test('should convert amounts to minor units without float errors', () => {
+    expect(money.toMinor(29.99, 'USD')).toBe(2999);
+    expect(money.toMinor(0.1, 'USD')).toBe(10);
+    expect(money.toMinor(1999, 'JPY')).toBe(1999);
+    expect(money.toMinor(1.234, 'KWD')).toBe(1234);
+    expect(money.fromMinor(2999, 'USD')).toBe(29.99);
+  });
+
+  test('should reject amounts with too many decimal places', () => {
+    expect(() => money.toMinor(29.999, 'USD')).toThrow('decimal places');
+    expect(() => money.toMinor(10.5, 'JPY')).toThrow('decimal places');
+    expect(() => money.toMinor(1e-7, 'USD')).toThrow('decimal places');
+  });
+
+  test('should round percentages half-up', () => {
+    expect(money.percentOf(1000, money.toBasisPoints(7.25))).toBe(73);
+    expect(money.percentOf(200, money.toBasisPoints(2.5))).toBe(5);
+  });
+});
+
+describe('Pricing', () => {
+  const pricing = createPricing({ taxRates: { 'US-CA': 7.25, GB: 20 } });
+
+  test('should sum items exactly', () => {
+    const order = pricing.priceOrder({
+      items: [
+        { productId: 'prod-001', quantity: 3, unitPrice: 0.1 },
+        { productId: 'prod-002', quantity: 1, unitPrice: 0.2 }
+      ]
+    });
+
+    expect(order.currency).toBe('USD');
+    expect(order.subtotal).toBe(0.5);
+    expect(order.totalAmount).toBe(0.5);
+  });
+
+  test('should apply line and order discounts, tax and shipping', () => {
+    const order = pricing.priceOrder({
+      currency: 'USD',
+      taxRegion: 'US-CA',
+      shippingAmount: 4.99,
+      discount: { type: 'amount', value: 5 },
+      items: [
+        { productId: 'prod-001', quantity: 2, unitPrice: 29.99, discount: { type: 'percent', value: 10 } },
+        { productId: 'prod-002', quantity: 1, unitPrice: 15.5 }
+      ]
+    });
+
+    expect(order.items[0].discountAmount).toBe(6);
+    expect(order.items[0].lineTotal).toBe(53.98);
+    expect(order.subtotal).toBe(75.48);
+    expect(order.orderDiscountAmount).toBe(5);
+    expect(order.discountTotal).toBe(11);
+    expect(order.taxRate).toBe(7.25);
+    expect(order.taxAmount).toBe(4.67);
+    expect(order.totalAmount).toBe(74.14);
+  });
+
+  test('should cap discounts at the amount they apply to', () => {
+    const order = pricing.priceOrder({
+      items: [{ productId: 'prod-001', quantity: 1, unitPrice: 3, discount: { type: 'amount', value: 10 } }]
+    });
+
+    expect(order.items[0].lineTotal).toBe(0);
+    expect(order.totalAmount).toBe(0);
+  });
+
+  test('should derive the tax region from the shipping address', () => {
+    const order = pricing.priceOrder({
+      shippingAddress: { line1: '1 High St', city: 'London', postalCode: 'N1 9GU', country: 'GB' },
+      items: [{ productId: 'prod-001', quantity: 1, unitPrice: 10 }]
+    });
+
+    expect(order.taxRegion).toBe('GB');
+    expect(order.totalAmount).toBe(12);
+  });
+
+  test('should validate currencies, decimals, discounts and regions', () => {
+    expect(pricing.validate({ currency: 'XYZ', items: [] })).toContain('Unsupported currency');
+    expect(pricing.validate({ currency: 'USD', items: [{ productId: 'p', unitPrice: 1, currency: 'EUR' }] })).toContain('Mixed currencies');
+    expect(pricing.validate({ currency: 'USD', items: [{ productId: 'p', unitPrice: 1.005 }] })).toContain('decimal places');
+    expect(pricing.validate({ currency: 'JPY', items: [{ productId: 'p', unitPrice: 100.5 }] })).toContain('decimal places');
+    expect(pricing.validate({ items: [], discount: { type: 'percent', value: 150 } })).toContain('between 0 and 100');
+    expect(pricing.validate({ items: [], taxRegion: 'ZZ' })).toContain('Unknown tax region');
+    expect(pricing.validate({ currency: 'EUR', items: [{ productId: 'p', unitPrice: 1.5, currency: 'EUR' }] })).toBeNull();
+  });
+
+  test('should refund returned units at the prices the order charged', () => {
+    const order = pricing.priceOrder({
+      currency: 'USD',
+      taxRegion: 'US-CA',
+      shippingAmount: 4.99,
+      discount: { type: 'amount', value: 5 },
+      items: [
+        { productId: 'prod-001', quantity: 2, unitPrice: 29.99, discount: { type: 'percent', value: 10 } },
+        { productId: 'prod-002', quantity: 1, unitPrice: 15.5 }
+      ]
+    });
+    order.items = order.items.map((item, index) => ({ ...item, lineId: `line-${index + 1}` }));
+
+    const refund = pricing.refundFor(order, [{ lineId: 'line-1', quantity: 1 }, { lineId: 'line-2', quantity: 1 }]);
+
+    expect(refund.lines).toEqual([
+      { lineId: 'line-1', quantity: 1, refundAmount: 26.87 },
+      { lineId: 'line-2', quantity: 1, refundAmount: 15.42 }
+    ]);
+    expect(refund.itemsAmount).toBe(42.49);
+    expect(refund.discountAmount).toBe(3.06);
+    expect(refund.taxAmount).toBe(2.86);
+    expect(refund.totalAmount).toBe(42.29);
+
+    const everything = pricing.refundFor(order, [{ lineId: 'line-1', quantity: 2 }, { lineId: 'line-2', quantity: 1 }]);
+    expect(everything.totalAmount).toBe(money.fromMinor(money.toMinor(order.totalAmount, 'USD') - 499, 'USD'));
+  });
+
+  test('should never refund more than a line was charged over several partial returns', () => {
+    const order = pricing.priceOrder({
+      currency: 'USD',
+      items: [{ productId: 'prod-001', quantity: 3, unitPrice: 3.33, discount: { type: 'percent', value: 10 } }]
+    });
+    order.items = order.items.map((item, index) => ({ ...item, lineId: `line-${index + 1}` }));
+    expect(order.totalAmount).toBe(8.99);
+
+    const returned = new Map();
+    const refunds = [1, 1, 1].map(quantity => {
+      const refund = pricing.refundFor(order, [{ lineId: 'line-1', quantity }], returned);
+      returned.set('line-1', (returned.get('line-1') || 0) + quantity);
+      return refund.totalAmount;
+    });
+
+    expect(refunds).toEqual([3, 2.99, 3]);
+    expect(money.toMinor(refunds[0], 'USD') + money.toMinor(refunds[1], 'USD') + money.toMinor(refunds[2], 'USD')).toBe(899);
+  });
+
+  test('default tax rate table should load', () => {
+    expect(loadTaxRates()['US-CA']).toBe(7.25);
+  });
+});
@@ -0,0 +1,259 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { v4: uuidv4 } = require('uuid');
+const { parseDuration } = require('./clock');
+const { toRoutePattern } = require('./faults');
+
+// Rate limits
+//
+// Token buckets in front of /api/v1, so client retry and backoff code can be
+// exercised. A limit allows `limit` requests per `window`: its bucket starts
+// full and refills steadily over the window, so short bursts are allowed. By
+// default every caller (bearer token, else client IP) has a bucket of its own
+// for each limit; `scope: global` shares one bucket between all callers.
+//
+// Responses to limited routes carry RateLimit-Limit, RateLimit-Remaining,
+// RateLimit-Reset and RateLimit-Policy headers for the tightest matching
+// limit. A request that finds a bucket empty gets a 429 RATE_LIMITED with
+// Retry-After, and uses up nothing. Buckets refill on the mock clock's shared
+// time line (`nowMs`), not on per-request X-Mock-Time overrides.
+
+const DEFAULT_RATE_LIMITS_FILE = path.join(__dirname, '..', 'config', 'rate-limits.yaml');
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const SCOPES = ['token', 'global'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Returns an error message for a limit definition, or null. With `partial`, only the given fields are checked.
+const validateLimit = (body, { partial = false } = {}) => {
+  if (!isPlainObject(body)) {
+    return 'Limit must be an object';
+  }
+
+  const { route, method, token, scope, limit, window } = body;
+
+  // Routes use the fault rule syntax: /api/v1/orders/:orderId, with /api/v1 optional
+  if (route !== undefined && (typeof route !== 'string' || !route.startsWith('/'))) {
+    return 'route must start with /';
+  }
+  if (method !== undefined && !HTTP_METHODS.includes(String(method).toUpperCase())) {
+    return `Invalid method. Must be one of: ${HTTP_METHODS.join(', ')}`;
+  }
+  if (token !== undefined && (typeof token !== 'string' || !token)) {
+    return 'token must be a non-empty string';
+  }
+  if (scope !== undefined && !SCOPES.includes(scope)) {
+    return `Invalid scope. Must be one of: ${SCOPES.join(', ')}`;
+  }
+  if ((!partial || limit !== undefined) && (!Number.isInteger(limit) || limit < 1)) {
+    return 'limit must be a positive integer';
+  }
+  if (window !== undefined && !parseDuration(window)) {
+    return 'window must be milliseconds or a duration such as "30s", "1m" or "1h"';
+  }
+  return null;
+};
+
+const loadRateLimits = (file = DEFAULT_RATE_LIMITS_FILE) => yaml.load(fs.readFileSync(file, 'utf8')) || {};
+
+// Returns an error message for a rate limits file, or null
+const validateRateLimitsFile = (definition) => {
+  if (!isPlainObject(definition) || (definition.limits !== undefined && !Array.isArray(definition.limits))) {
+    return 'limits must be a list';
+  }
+  for (const [index, limit] of (definition.limits || []).entries()) {
+    const error = validateLimit(limit);
+    if (error) {
+      return `limits[${index}]: ${error}`;
+    }
+  }
+  return null;
+};
+
+// The caller a per-token bucket belongs to
+const callerOf = (req) => {
+  const authHeader = req.headers['authorization'];
+  const token = (authHeader && authHeader.split(' ')[1]) || req.query.access_token;
+  return token ? `token:${token}` : `ip:${req.ip}`;
+};
+
+const createRateLimiter = ({ limits: definitions = [], nowMs = Date.now } = {}) => {
+  const limits = new Map();
+  // `${limitId} ${caller}` -> { tokens, updatedAt }
+  const buckets = new Map();
+
+  const toLimit = (limitId, body) => {
+    const window = body.window === undefined ? '1m' : body.window;
+    return {
+      limitId,
+      route: body.route || null,
+      method: body.method ? body.method.toUpperCase() : null,
+      token: body.token || null,
+      scope: body.scope || 'token',
+      limit: body.limit,
+      window,
+      windowMs: parseDuration(window)
+    };
+  };
+
+  const store = (limit) => {
+    limits.set(limit.limitId, { ...limit, pattern: limit.route ? toRoutePattern(limit.route) : null });
+    return limit;
+  };
+
+  const forget = (limitId) => {
+    Array.from(buckets.keys())
+      .filter(key => key.startsWith(`${limitId} `))
+      .forEach(key => buckets.delete(key));
+  };
+
+  const addLimit = (body) => store(toLimit(body.limitId || `limit-${uuidv4()}`, body));
+
+  // Change a limit's settings; its buckets start again full
+  const updateLimit = (limitId, changes) => {
+    const { pattern, windowMs, ...current } = limits.get(limitId);
+    forget(limitId);
+    return store(toLimit(limitId, { ...current, ...changes }));
+  };
+
+  const removeLimit = (limitId) => {
+    forget(limitId);
+    return limits.delete(limitId);
+  };
+
+  const toPublicLimit = ({ pattern, windowMs, ...limit }) => limit;
+
+  const matches = (limit, req, caller) => (!limit.method || limit.method === req.method)
+    && (!limit.pattern || limit.pattern.test(req.baseUrl + req.path))
+    && (!limit.token || caller === `token:${limit.token}`);
+
+  // The bucket for a limit and caller, refilled up to now
+  const bucketFor = (limit, caller, now) => {
+    const key = limit.scope === 'global' ? `${limit.limitId} *` : `${limit.limitId} ${caller}`;
+    const bucket = buckets.get(key) || { tokens: limit.limit, updatedAt: now };
+    const elapsed = Math.max(0, now - bucket.updatedAt);
+    bucket.tokens = Math.min(limit.limit, bucket.tokens + elapsed * limit.limit / limit.windowMs);
+    bucket.updatedAt = Math.max(now, bucket.updatedAt);
+    buckets.set(key, bucket);
+    return bucket;
+  };
+
+  // Seconds until `bucket` holds `tokens` again
+  const secondsUntil = (limit, bucket, tokens) => Math.max(0, Math.ceil((tokens - bucket.tokens) * limit.windowMs / limit.limit / 1000));
+
+  const setHeaders = (res, limit, bucket) => {
+    res.set({
+      'RateLimit-Limit': String(limit.limit),
+      'RateLimit-Remaining': String(Math.floor(bucket.tokens)),
+      'RateLimit-Reset': String(secondsUntil(limit, bucket, limit.limit)),
+      'RateLimit-Policy': `${limit.limit};w=${Math.ceil(limit.windowMs / 1000)}`
+    });
+  };
+
+  const middleware = (req, res, next) => {
+    const caller = callerOf(req);
+    const now = nowMs();
+    const checked = Array.from(limits.values())
+      .filter(limit => matches(limit, req, caller))
+      .map(limit => ({ limit, bucket: bucketFor(limit, caller, now) }));
+
+    if (checked.length === 0) {
+      return next();
+    }
+
+    const exceeded = checked
+      .filter(({ bucket }) => bucket.tokens < 1)
+      .sort((a, b) => secondsUntil(b.limit, b.bucket, 1) - secondsUntil(a.limit, a.bucket, 1))[0];
+
+    if (exceeded) {
+      const { limit, bucket } = exceeded;
+      const retryAfter = Math.max(1, secondsUntil(limit, bucket, 1));
+      setHeaders(res, limit, bucket);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'RATE_LIMITED',
+        message: `Rate limit of ${limit.limit} request${limit.limit === 1 ? '' : 's'} per ${limit.window} exceeded. Retry after ${retryAfter} seconds`,
+        details: { limitId: limit.limitId, limit: limit.limit, window: limit.window, retryAfter }
+      });
+    }
+
+    checked.forEach(({ bucket }) => { bucket.tokens -= 1; });
+
+    const tightest = checked.reduce((a, b) => (b.bucket.tokens / b.limit.limit < a.bucket.tokens / a.limit.limit ? b : a));
+    setHeaders(res, tightest.limit, tightest.bucket);
+    next();
+  };
+
+  definitions.forEach(addLimit);
+
+  const router = express.Router();
+
+  const validateBody = ({ partial }) => (req, res, next) => {
+    const validationError = validateLimit(req.body || {}, { partial });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: validationError
+      });
+    }
+    next();
+  };
+
+  const findLimit = (req, res, next) => {
+    if (!limits.has(req.params.limitId)) {
+      return res.status(404).json({
+        error: 'NOT_FOUND',
+        message: 'Rate limit not found'
+      });
+    }
+    next();
+  };
+
+  router.get('/', (req, res) => {
+    res.json({ limits: Array.from(limits.values()).map(toPublicLimit) });
+  });
+
+  router.post('/', validateBody({ partial: false }), (req, res) => {
+    const { limitId, ...body } = req.body;
+    res.status(201).json(addLimit(body));
+  });
+
+  // Refill every bucket, e.g. between tests
+  router.post('/reset', (req, res) => {
+    buckets.clear();
+    res.status(204).end();
+  });
+
+  router.delete('/', (req, res) => {
+    limits.clear();
+    buckets.clear();
+    res.status(204).end();
+  });
+
+  router.patch('/:limitId', findLimit, validateBody({ partial: true }), (req, res) => {
+    const { limitId, ...changes } = req.body;
+    res.json(updateLimit(req.params.limitId, changes));
+  });
+
+  router.delete('/:limitId', findLimit, (req, res) => {
+    removeLimit(req.params.limitId);
+    res.status(204).end();
+  });
+
+  return {
+    middleware,
+    router,
+    addLimit
+  };
+};
+
+module.exports = {
+  DEFAULT_RATE_LIMITS_FILE,
+  validateLimit,
+  loadRateLimits,
+  validateRateLimitsFile,
+  createRateLimiter
+};
@@ -0,0 +1,104 @@
+const express = require('express');
+const request = require('supertest');
+const { createRateLimiter, validateLimit, validateRateLimitsFile, loadRateLimits } = require('./rate-limits');
+
+describe('Rate limits', () => {
+  let now;
+  let limiter;
+  let app;
+
+  beforeEach(() => {
+    now = Date.parse('2024-03-15T12:00:00Z');
+    limiter = createRateLimiter({ nowMs: () => now });
+    app = express();
+    app.use(express.json());
+    app.use('/admin/rate-limits', limiter.router);
+    app.use('/api/v1', limiter.middleware);
+    app.get('/api/v1/orders/:orderId', (req, res) => res.json({ orderId: req.params.orderId }));
+    app.post('/api/v1/orders', (req, res) => res.status(201).json({}));
+  });
+
+  const getOrder = (token = 'token-a') => request(app).get('/api/v1/orders/ord-1').set('Authorization', `Bearer ${token}`);
+
+  test('should ship with a valid rate limits file', () => {
+    expect(validateRateLimitsFile(loadRateLimits())).toBeNull();
+  });
+
+  test('should validate limits', () => {
+    expect(validateLimit({ route: '/orders', limit: 5, window: '10s' })).toBeNull();
+    expect(validateLimit({ route: 'orders', limit: 5 })).toContain('start with /');
+    expect(validateLimit({ limit: 0 })).toContain('positive integer');
+    expect(validateLimit({ limit: 5, window: 'soon' })).toContain('window');
+    expect(validateLimit({ scope: 'global' }, { partial: true })).toBeNull();
+    expect(validateRateLimitsFile({ limits: [{ limit: 5, scope: 'everyone' }] })).toContain('limits[0]');
+  });
+
+  test('should answer 429 with Retry-After once a token uses up its bucket', async () => {
+    limiter.addLimit({ route: '/orders/:orderId', limit: 2, window: '10s' });
+
+    const first = await getOrder();
+    expect(first.status).toBe(200);
+    expect(first.headers).toMatchObject({
+      'ratelimit-limit': '2',
+      'ratelimit-remaining': '1',
+      'ratelimit-reset': '5',
+      'ratelimit-policy': '2;w=10'
+    });
+
+    expect((await getOrder()).headers['ratelimit-remaining']).toBe('0');
+
+    const limited = await getOrder();
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('5');
+    expect(limited.body).toMatchObject({ error: 'RATE_LIMITED', details: { limit: 2, window: '10s', retryAfter: 5 } });
+
+    // Other tokens and other routes have buckets of their own
+    expect((await getOrder('token-b')).status).toBe(200);
+    expect((await request(app).post('/api/v1/orders').set('Authorization', 'Bearer token-a')).headers['ratelimit-limit']).toBeUndefined();
+
+    // Half the window refills one request
+    now += 5000;
+    expect((await getOrder()).status).toBe(200);
+    expect((await getOrder()).status).toBe(429);
+  });
+
+  test('should share global buckets and limit single tokens', async () => {
+    limiter.addLimit({ limitId: 'quota', scope: 'global', limit: 2, window: '1h' });
+    limiter.addLimit({ token: 'noisy', limit: 1, window: '1m' });
+
+    expect((await getOrder('noisy')).status).toBe(200);
+    const noisy = await getOrder('noisy');
+    expect(noisy.status).toBe(429);
+    expect(noisy.body.details.limitId).not.toBe('quota');
+
+    expect((await getOrder('token-a')).status).toBe(200);
+    const quota = await getOrder('token-b');
+    expect(quota.status).toBe(429);
+    expect(quota.headers['retry-after']).toBe('1800');
+  });
+
+  test('should manage limits at runtime', async () => {
+    const created = await request(app)
+      .post('/admin/rate-limits')
+      .send({ route: '/api/v1/orders/:orderId', method: 'get', limit: 1 });
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ method: 'GET', limit: 1, window: '1m', scope: 'token' });
+    const { limitId } = created.body;
+
+    await getOrder();
+    expect((await getOrder()).status).toBe(429);
+
+    const raised = await request(app).patch(`/admin/rate-limits/${limitId}`).send({ limit: 5 });
+    expect(raised.body.limit).toBe(5);
+    expect((await getOrder()).headers['ratelimit-remaining']).toBe('4');
+
+    await request(app).post('/admin/rate-limits/reset');
+    expect((await getOrder()).headers['ratelimit-remaining']).toBe('4');
+
+    expect((await request(app).get('/admin/rate-limits')).body.limits).toHaveLength(1);
+    expect((await request(app).post('/admin/rate-limits').send({ limit: -1 })).status).toBe(400);
+    expect((await request(app).delete(`/admin/rate-limits/${limitId}`)).status).toBe(204);
+    expect((await request(app).delete(`/admin/rate-limits/${limitId}`)).status).toBe(404);
+    expect((await getOrder()).headers['ratelimit-limit']).toBeUndefined();
+  });
+});
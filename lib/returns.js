@@ -0,0 +1,136 @@
+const { v4: uuidv4 } = require('uuid');
+const money = require('./money');
+const { activeQuantity } = require('./pricing');
+
+// Returns (RMAs)
+//
+// A return covers some quantity of some lines of a delivered order and moves
+// through its own small workflow:
+//
+//   requested -> approved -> received -> refunded
+//            \-> rejected
+//
+// The refund is priced when the return is requested, from the prices the
+// order was charged at. The order records returned quantities once the goods
+// are received, and the refunded amount once the refund is issued.
+
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'received', 'refunded'];
+
+const RETURN_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received'],
+  rejected: [],
+  received: ['refunded'],
+  refunded: []
+};
+
+const canTransitionReturn = (from, to) => (RETURN_TRANSITIONS[from] || []).includes(to);
+
+// lineId -> quantity covered by returns that have not been rejected
+const claimedQuantities = (returns) => {
+  const claimed = new Map();
+  returns
+    .filter(rma => rma.status !== 'rejected')
+    .forEach(rma => rma.items.forEach(({ lineId, quantity }) => {
+      claimed.set(lineId, (claimed.get(lineId) || 0) + quantity);
+    }));
+  return claimed;
+};
+
+// Validate the lines of a new return against what is left to return; returns { error } or { items }
+const planReturnItems = (order, returns, items) => {
+  const claimed = claimedQuantities(returns);
+  const seen = new Set();
+
+  for (const { lineId, quantity } of items) {
+    const line = order.items.find(item => item.lineId === lineId);
+    if (!line) {
+      return { error: `Unknown line item: ${lineId}` };
+    }
+    if (seen.has(lineId)) {
+      return { error: `Line item ${lineId} is listed more than once` };
+    }
+    seen.add(lineId);
+
+    const remaining = activeQuantity(line) - (claimed.get(lineId) || 0);
+    if (quantity > remaining) {
+      return { error: `Only ${remaining} of ${lineId} can be returned` };
+    }
+  }
+
+  return { items: items.map(({ lineId, quantity, reason }) => ({ lineId, quantity, reason: reason || null })) };
+};
+
+const createReturn = (order, { reason, items, refund, changedBy, now }) => {
+  const byLine = new Map(order.items.map(item => [item.lineId, item]));
+  const refundByLine = new Map(refund.lines.map(line => [line.lineId, line.refundAmount]));
+
+  return {
+    returnId: `rma-${uuidv4()}`,
+    orderId: order.orderId,
+    customerId: order.customerId,
+    status: 'requested',
+    reason: reason || null,
+    items: items.map(({ lineId, quantity, reason: itemReason }) => ({
+      lineId,
+      productId: byLine.get(lineId).productId,
+      quantity,
+      unitPrice: byLine.get(lineId).unitPrice,
+      reason: itemReason,
+      refundAmount: refundByLine.get(lineId)
+    })),
+    refund: {
+      currency: refund.currency,
+      itemsAmount: refund.itemsAmount,
+      discountAmount: refund.discountAmount,
+      taxAmount: refund.taxAmount,
+      totalAmount: refund.totalAmount
+    },
+    createdAt: now,
+    updatedAt: now,
+    refundedAt: null,
+    history: [{ from: null, to: 'requested', reason: reason || null, changedAt: now, changedBy }]
+  };
+};
+
+const transitionReturn = (rma, status, { reason = null, changedBy = null, now }) => ({
+  ...rma,
+  status,
+  updatedAt: now,
+  refundedAt: status === 'refunded' ? now : rma.refundedAt,
+  history: [...rma.history, { from: rma.status, to: status, reason, changedAt: now, changedBy }]
+});
+
+// Returned quantities and refunded total that the order should show for its returns
+const returnSummary = (order, returns) => {
+  const returned = new Map();
+  let refundedMinor = 0;
+
+  returns.forEach(rma => {
+    if (rma.status === 'received' || rma.status === 'refunded') {
+      rma.items.forEach(({ lineId, quantity }) => returned.set(lineId, (returned.get(lineId) || 0) + quantity));
+    }
+    if (rma.status === 'refunded') {
+      refundedMinor += money.toMinor(rma.refund.totalAmount, order.currency);
+    }
+  });
+
+  const totalActive = order.items.reduce((total, item) => total + activeQuantity(item), 0);
+  const totalReturned = Array.from(returned.values()).reduce((total, quantity) => total + quantity, 0);
+
+  return {
+    returnedQuantities: returned,
+    refundedAmount: money.fromMinor(refundedMinor, order.currency),
+    returnStatus: totalReturned === 0 ? null : (totalReturned >= totalActive ? 'returned' : 'partially_returned')
+  };
+};
+
+module.exports = {
+  RETURN_STATUSES,
+  canTransitionReturn,
+  claimedQuantities,
+  planReturnItems,
+  createReturn,
+  transitionReturn,
+  returnSummary
+};
@@ -0,0 +1,69 @@
+const { planReturnItems, createReturn, transitionReturn, returnSummary, canTransitionReturn } = require('./returns');
+
+describe('Returns', () => {
+  const order = {
+    orderId: 'ord-1',
+    customerId: 'cust-1',
+    currency: 'USD',
+    items: [
+      { lineId: 'line-1', productId: 'prod-001', quantity: 3, cancelledQuantity: 1, unitPrice: 10.25 },
+      { lineId: 'line-2', productId: 'prod-002', quantity: 1, unitPrice: 4.5 }
+    ]
+  };
+  const now = '2024-03-20T12:00:00.000Z';
+
+  // Refunds the unit price of each returned unit, tax free
+  const rmaFor = (items) => {
+    const lines = items.map(({ lineId, quantity }) => ({
+      lineId,
+      quantity,
+      refundAmount: quantity * order.items.find(item => item.lineId === lineId).unitPrice
+    }));
+    const totalAmount = lines.reduce((total, line) => total + line.refundAmount, 0);
+    return createReturn(order, {
+      items,
+      refund: { currency: 'USD', lines, itemsAmount: totalAmount, discountAmount: 0, taxAmount: 0, totalAmount },
+      changedBy: null,
+      now
+    });
+  };
+
+  test('should only return quantities that were not cancelled or already claimed', () => {
+    const first = rmaFor([{ lineId: 'line-1', quantity: 1 }]);
+
+    expect(planReturnItems(order, [first], [{ lineId: 'line-1', quantity: 2 }]).error).toBe('Only 1 of line-1 can be returned');
+    expect(planReturnItems(order, [first], [{ lineId: 'line-9', quantity: 1 }]).error).toBe('Unknown line item: line-9');
+    expect(planReturnItems(order, [first], [{ lineId: 'line-2', quantity: 1 }, { lineId: 'line-2', quantity: 1 }]).error)
+      .toBe('Line item line-2 is listed more than once');
+
+    const rejected = transitionReturn(first, 'rejected', { now });
+    expect(planReturnItems(order, [rejected], [{ lineId: 'line-1', quantity: 2 }]).items)
+      .toEqual([{ lineId: 'line-1', quantity: 2, reason: null }]);
+  });
+
+  test('should follow the return workflow', () => {
+    expect(canTransitionReturn('requested', 'approved')).toBe(true);
+    expect(canTransitionReturn('requested', 'received')).toBe(false);
+    expect(canTransitionReturn('refunded', 'requested')).toBe(false);
+
+    const refunded = ['approved', 'received', 'refunded']
+      .reduce((rma, status) => transitionReturn(rma, status, { now }), rmaFor([{ lineId: 'line-2', quantity: 1 }]));
+    expect(refunded.history.map(entry => entry.to)).toEqual(['requested', 'approved', 'received', 'refunded']);
+    expect(refunded.refundedAt).toBe(now);
+  });
+
+  test('should summarise received and refunded returns for the order', () => {
+    const received = transitionReturn(transitionReturn(rmaFor([{ lineId: 'line-1', quantity: 1 }]), 'approved', { now }), 'received', { now });
+    const partial = returnSummary(order, [received, rmaFor([{ lineId: 'line-2', quantity: 1 }])]);
+    expect(Array.from(partial.returnedQuantities)).toEqual([['line-1', 1]]);
+    expect(partial.refundedAmount).toBe(0);
+    expect(partial.returnStatus).toBe('partially_returned');
+
+    const everything = ['approved', 'received', 'refunded']
+      .reduce((rma, status) => transitionReturn(rma, status, { now }), rmaFor([{ lineId: 'line-1', quantity: 1 }, { lineId: 'line-2', quantity: 1 }]));
+    const full = returnSummary(order, [received, everything]);
+    expect(full.refundedAmount).toBe(14.75);
+    expect(full.returnStatus).toBe('returned');
+    expect(returnSummary(order, []).returnStatus).toBeNull();
+  });
+});
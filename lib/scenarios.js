@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { validateAddress, validateContact } = require('./customers');
+
+// Scenarios
+//
+// Named fixture files (YAML or JSON, see config/scenarios/) declaring customers
+// and orders with fixed IDs, placement dates and status histories. Orders are
+// replayed through the workflow rather than having their status set directly,
+// so every fixture is a state the API itself could have produced.
+//
+// An order's history lists the status changes after creation:
+//
+//   history:
+//     - to: confirmed
+//       at: 2024-03-15T15:00:00Z
+//       reason: Payment received
+//     - to: shipped
+//       trackingNumber: 1Z999AA10123456784   # only fields the transition requires
+//
+// With only a `status`, the shortest workflow path to it is used.
+
+const DEFAULT_SCENARIOS_DIR = path.join(__dirname, '..', 'config', 'scenarios');
+
+const SCENARIO_NAME = /^[A-Za-z0-9_-]+$/;
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+const STEP_FIELDS = ['to', 'at', 'reason'];
+
+const STEP_MINUTES = 60 * 1000;
+
+const parseFile = (file) => {
+  const source = fs.readFileSync(file, 'utf8');
+  return /\.json$/i.test(file) ? JSON.parse(source) : yaml.load(source);
+};
+
+const isDate = (value) => !isNaN(new Date(value).getTime());
+
+const createScenarios = ({ dir = DEFAULT_SCENARIOS_DIR, workflow, pricing, now = () => new Date() }) => {
+  const list = () => (fs.existsSync(dir) ? fs.readdirSync(dir) : [])
+    .filter(file => EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .map(file => path.basename(file, path.extname(file)))
+    .sort();
+
+  // Definition of a named scenario in `dir`, or null if there is none
+  const read = (name) => {
+    if (!SCENARIO_NAME.test(String(name))) {
+      return null;
+    }
+    const file = EXTENSIONS
+      .map(extension => path.join(dir, `${name}${extension}`))
+      .find(candidate => fs.existsSync(candidate));
+    return file ? parseFile(file) : null;
+  };
+
+  // Status changes for one order, checked against the workflow
+  const planSteps = (order, placementDate, label, errors) => {
+    const declared = order.history !== undefined
+      ? order.history
+      : (workflow.pathTo(order.status || workflow.initial) || []).map(to => ({ to }));
+
+    if (!Array.isArray(declared)) {
+      errors.push(`${label}.history must be a list of status changes`);
+      return [];
+    }
+    if (order.status && order.history === undefined && !workflow.pathTo(order.status)) {
+      errors.push(`${label}.status ${order.status} cannot be reached from ${workflow.initial}`);
+      return [];
+    }
+
+    let current = workflow.initial;
+    let previousAt = placementDate.getTime();
+
+    const steps = declared.map((step, index) => {
+      const stepLabel = `${label}.history[${index}]`;
+      const to = step && step.to;
+      const at = step && step.at !== undefined ? new Date(step.at) : new Date(previousAt + STEP_MINUTES);
+
+      if (!workflow.isStatus(to)) {
+        errors.push(`${stepLabel}.to must be one of: ${workflow.statuses.join(', ')}`);
+      } else if (!workflow.canTransition(current, to)) {
+        errors.push(`${stepLabel}: cannot transition from ${current} to ${to}`);
+      } else {
+        const missing = workflow.missingRequirements(current, to, { reason: 'Scenario setup', ...step });
+        if (missing.length > 0) {
+          errors.push(`${stepLabel}: transition from ${current} to ${to} requires: ${missing.join(', ')}`);
+        }
+      }
+      if (isNaN(at.getTime())) {
+        errors.push(`${stepLabel}.at must be a date-time`);
+      }
+
+      // Details are copied onto the order, so only the fields the transition requires are taken
+      const required = workflow.requirementsFor(current, to);
+      const fields = Object.keys(step || {}).filter(field => !STEP_FIELDS.includes(field));
+      const unknown = fields.filter(field => !required.includes(field));
+      if (unknown.length > 0) {
+        errors.push(`${stepLabel}: unknown fields ${unknown.join(', ')} (only ${[...STEP_FIELDS, ...required].join(', ')} are allowed)`);
+      }
+
+      const details = {};
+      fields
+        .filter(field => required.includes(field))
+        .forEach(field => { details[field] = step[field]; });
+
+      current = to;
+      previousAt = at.getTime();
+      return { to, at: isNaN(at.getTime()) ? null : at.toISOString(), reason: (step && step.reason) || 'Scenario setup', details };
+    });
+
+    if (order.status && order.status !== current && errors.length === 0) {
+      errors.push(`${label}.status ${order.status} does not match the last history entry (${current})`);
+    }
+
+    return steps;
+  };
+
+  // Validate a scenario and turn it into customers and orders to create; returns { errors } or { plan }
+  const plan = (definition, { existingOrderIds = [] } = {}) => {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      return { errors: ['Scenario must be an object with customers and/or orders'] };
+    }
+
+    const { customers = [], orders = [] } = definition;
+    if (!Array.isArray(customers) || !Array.isArray(orders)) {
+      return { errors: ['Scenario customers and orders must be lists'] };
+    }
+
+    const customerIds = new Set();
+    customers.forEach((customer, index) => {
+      if (!customer || typeof customer.customerId !== 'string' || !customer.customerId) {
+        errors.push(`customers[${index}].customerId is required`);
+      } else if (customerIds.has(customer.customerId)) {
+        errors.push(`customers[${index}].customerId ${customer.customerId} is declared twice`);
+      } else {
+        customerIds.add(customer.customerId);
+      }
+      if (!customer) {
+        return;
+      }
+
+      const contactError = validateContact(customer);
+      if (contactError) {
+        errors.push(`customers[${index}]: ${contactError}`);
+      }
+      if (customer.addresses !== undefined && !Array.isArray(customer.addresses)) {
+        errors.push(`customers[${index}].addresses must be a list`);
+      }
+      (Array.isArray(customer.addresses) ? customer.addresses : []).forEach((address, addressIndex) => {
+        const addressError = validateAddress(address);
+        if (addressError) {
+          errors.push(`customers[${index}].addresses[${addressIndex}]: ${addressError}`);
+        }
+      });
+    });
+
+    const orderIds = new Set(existingOrderIds);
+    const plannedOrders = orders.map((order, index) => {
+      const label = `orders[${index}]`;
+
+      if (!order || typeof order !== 'object') {
+        errors.push(`${label} must be an object`);
+        return null;
+      }
+      if (typeof order.orderId !== 'string' || !order.orderId) {
+        errors.push(`${label}.orderId is required`);
+      } else if (orderIds.has(order.orderId)) {
+        errors.push(`${label}.orderId ${order.orderId} already exists`);
+      } else {
+        orderIds.add(order.orderId);
+      }
+      if (typeof order.customerId !== 'string' || !order.customerId) {
+        errors.push(`${label}.customerId is required`);
+      }
+
+      const items = Array.isArray(order.items) ? order.items : [];
+      if (items.length === 0) {
+        errors.push(`${label}.items must list at least one item`);
+      }
+      items.forEach((item, itemIndex) => {
+        if (!item || typeof item.productId !== 'string' || !Number.isInteger(item.quantity) || item.quantity < 1
+          || typeof item.unitPrice !== 'number' || item.unitPrice < 0) {
+          errors.push(`${label}.items[${itemIndex}] needs a productId, a positive integer quantity and a non-negative unitPrice`);
+        }
+      });
+
+      const pricingError = items.length > 0 && pricing.validate(order);
+      if (pricingError) {
+        errors.push(`${label}: ${pricingError}`);
+      }
+
+      ['shippingAddress', 'billingAddress']
+        .filter(field => order[field] !== undefined)
+        .forEach(field => {
+          const addressError = validateAddress(order[field]);
+          if (addressError) {
+            errors.push(`${label}.${field}: ${addressError}`);
+          }
+        });
+
+      if (order.placementDate !== undefined && !isDate(order.placementDate)) {
+        errors.push(`${label}.placementDate must be a date-time`);
+      }
+      if (order.status !== undefined && !workflow.isStatus(order.status)) {
+        errors.push(`${label}.status must be one of: ${workflow.statuses.join(', ')}`);
+        return null;
+      }
+
+      const placementDate = order.placementDate !== undefined && isDate(order.placementDate)
+        ? new Date(order.placementDate)
+        : now();
+
+      return {
+        orderId: order.orderId,
+        placementDate: placementDate.toISOString(),
+        data: {
+          customerId: order.customerId,
+          items,
+          currency: order.currency,
+          discount: order.discount,
+          shippingAmount: order.shippingAmount,
+          taxRegion: order.taxRegion,
+          shippingAddress: order.shippingAddress,
+          billingAddress: order.billingAddress
+        },
+        steps: planSteps(order, placementDate, label, errors)
+      };
+    });
+
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    return {
+      plan: {
+        customers: customers.map(customer => ({ ...customer })),
+        orders: plannedOrders
+      }
+    };
+  };
+
+  return {
+    dir,
+    list,
+    read,
+    readFile: parseFile,
+    plan
+  };
+};
+
+module.exports = {
+  DEFAULT_SCENARIOS_DIR,
+  createScenarios
+};
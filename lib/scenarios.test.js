@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { loadWorkflow, createWorkflow } = require('./workflow');
+const { createPricing } = require('./pricing');
+const { createScenarios } = require('./scenarios');
+
+describe('Scenarios', () => {
+  const scenarios = createScenarios({ workflow: loadWorkflow(), pricing: createPricing() });
+  const item = { productId: 'prod-001', quantity: 1, unitPrice: 10.00 };
+
+  test('should list and plan the bundled scenarios', () => {
+    expect(scenarios.list()).toEqual(expect.arrayContaining(['default', 'empty']));
+    expect(scenarios.read('../package')).toBeNull();
+    expect(scenarios.read('missing')).toBeNull();
+
+    const { errors, plan } = scenarios.plan(scenarios.read('default'));
+
+    expect(errors).toBeUndefined();
+    expect(plan.orders.map(order => order.orderId)).toEqual(['ord-sample-0001', 'ord-sample-0002', 'ord-sample-0003']);
+    expect(plan.orders[2].steps.map(step => step.to)).toEqual(['confirmed', 'processing', 'shipped']);
+    expect(plan.orders[2].steps[2]).toMatchObject({ reason: 'Package dispatched via FedEx', details: {} });
+  });
+
+  test('should follow the shortest workflow path when only a status is given', () => {
+    const { plan } = scenarios.plan({
+      orders: [{ orderId: 'ord-1', customerId: 'cust-1', placementDate: '2024-01-01T00:00:00Z', status: 'processing', items: [item] }]
+    });
+
+    expect(plan.orders[0].steps).toEqual([
+      { to: 'confirmed', at: '2024-01-01T00:01:00.000Z', reason: 'Scenario setup', details: {} },
+      { to: 'processing', at: '2024-01-01T00:02:00.000Z', reason: 'Scenario setup', details: {} }
+    ]);
+  });
+
+  test('should reject histories the workflow does not allow', () => {
+    const strict = createScenarios({
+      workflow: createWorkflow({
+        initial: 'pending',
+        states: {
+          pending: { transitions: ['confirmed'] },
+          confirmed: { transitions: ['processing'] },
+          processing: { transitions: { shipped: { requires: ['trackingNumber'] } } },
+          shipped: { terminal: true }
+        }
+      }),
+      pricing: createPricing()
+    });
+
+    const { errors } = strict.plan({
+      orders: [
+        { orderId: 'ord-1', customerId: 'cust-1', items: [item], history: [{ to: 'shipped' }] },
+        { orderId: 'ord-2', customerId: 'cust-1', items: [item], history: [{ to: 'confirmed' }, { to: 'processing' }, { to: 'shipped' }] },
+        { orderId: 'ord-1', items: [], status: 'lost' }
+      ]
+    }, { existingOrderIds: ['ord-2'] });
+
+    expect(errors).toEqual([
+      'orders[0].history[0]: cannot transition from pending to shipped',
+      'orders[1].orderId ord-2 already exists',
+      'orders[1].history[2]: transition from processing to shipped requires: trackingNumber',
+      'orders[2].orderId ord-1 already exists',
+      'orders[2].customerId is required',
+      'orders[2].items must list at least one item',
+      'orders[2].status must be one of: pending, confirmed, processing, shipped'
+    ]);
+  });
+
+  test('should only take the fields a transition requires', () => {
+    const strict = createScenarios({
+      workflow: createWorkflow({
+        initial: 'pending',
+        states: {
+          pending: { transitions: { shipped: { requires: ['trackingNumber'] } } },
+          shipped: { terminal: true }
+        }
+      }),
+      pricing: createPricing()
+    });
+
+    const shipped = { to: 'shipped', at: '2024-01-01T01:00:00Z', trackingNumber: '1Z999' };
+    const { plan } = strict.plan({ orders: [{ orderId: 'ord-1', customerId: 'cust-1', placementDate: '2024-01-01T00:00:00Z', items: [item], history: [shipped] }] });
+    expect(plan.orders[0].steps[0].details).toEqual({ trackingNumber: '1Z999' });
+
+    const { errors } = strict.plan({
+      orders: [{ orderId: 'ord-1', customerId: 'cust-1', items: [item], history: [{ ...shipped, orderId: 'ord-9', totalAmount: 0 }] }]
+    });
+    expect(errors).toEqual(['orders[0].history[0]: unknown fields orderId, totalAmount (only to, at, reason, trackingNumber are allowed)']);
+  });
+
+  test('should reject invalid customer and order addresses', () => {
+    const address = { line1: '1 Main St', city: 'Springfield', postalCode: '12345', country: 'US' };
+
+    const { errors } = scenarios.plan({
+      customers: [{ customerId: 'cust-1', email: 'nope', addresses: [address, { ...address, postalCode: '123' }] }],
+      orders: [{ orderId: 'ord-1', customerId: 'cust-1', items: [item], shippingAddress: address, billingAddress: { line1: '1 Main St' } }]
+    });
+
+    expect(errors).toEqual([
+      'customers[0]: email nope is not a valid email address',
+      'customers[0].addresses[1]: postalCode 123 is not valid for US',
+      'orders[0].billingAddress: city, postalCode, country are required'
+    ]);
+  });
+});
+
+describe('Scenario admin API', () => {
+  let dir;
+  let app;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenarios-'));
+    fs.copyFileSync(path.join(__dirname, '..', 'config', 'scenarios', 'default.yaml'), path.join(dir, 'default.yaml'));
+    fs.writeFileSync(path.join(dir, 'broken.json'), JSON.stringify({ orders: [{ orderId: 'ord-x', customerId: 'c', items: [] }] }));
+
+    process.env.SCENARIOS_DIR = dir;
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    delete process.env.SCENARIOS_DIR;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const getOrder = (orderId) => request(app).get(`/api/v1/orders/${orderId}`).set('Authorization', 'Bearer qa-token');
+
+  test('should reset the store to a scenario', async () => {
+    const list = await request(app).get('/admin/scenarios');
+    expect(list.body.scenarios).toEqual(['broken', 'default']);
+
+    const reset = await request(app).post('/admin/scenarios/default/reset');
+    expect(reset.status).toBe(200);
+    expect(reset.body).toEqual({ scenario: 'default', reset: true, customers: 2, orders: 3 });
+
+    const shipped = await getOrder('ord-sample-0003');
+    expect(shipped.body.status).toBe('shipped');
+    expect(shipped.body.statusReason).toBe('Package dispatched via FedEx');
+
+    const history = await request(app).get('/api/v1/orders/ord-sample-0003/history').set('Authorization', 'Bearer qa-token');
+    expect(history.body.history.map(entry => entry.to)).toEqual(['pending', 'confirmed', 'processing', 'shipped']);
+  });
+
+  test('should reject conflicting and invalid scenarios without changing state', async () => {
+    await request(app).post('/admin/scenarios/default/reset');
+
+    const conflict = await request(app).post('/admin/scenarios/default/load');
+    expect(conflict.status).toBe(400);
+    expect(conflict.body.details.errors).toContain('orders[0].orderId ord-sample-0001 already exists');
+
+    const broken = await request(app).post('/admin/scenarios/broken/reset');
+    expect(broken.status).toBe(400);
+    expect(broken.body.error).toBe('VALIDATION_ERROR');
+    expect((await getOrder('ord-sample-0001')).status).toBe(200);
+
+    const missing = await request(app).post('/admin/scenarios/nope/reset');
+    expect(missing.status).toBe(404);
+  });
+});
@@ -0,0 +1,210 @@
+// Order search
+//
+// Filtering, sorting and pagination for GET /orders. Two pagination styles are
+// supported:
+//
+//   offset  - ?limit=20&offset=40 (kept for existing clients)
+//   cursor  - ?limit=20&cursor=<nextCursor|prevCursor from a previous page>
+//
+// Cursors are opaque (base64url JSON) and encode the sort key and orderId of
+// the page boundary rather than a position, so pages stay stable while new
+// orders are inserted.
+
+const SORT_FIELDS = ['placementDate', 'totalAmount', 'lastUpdated'];
+const DEFAULT_SORT = '-placementDate';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (token) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (!cursor || typeof cursor.id !== 'string' || !['next', 'prev'].includes(cursor.dir)) {
+      return null;
+    }
+    return cursor;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Query values may be repeated (?status=a&status=b) or comma-separated (?status=a,b)
+const toList = (value) => []
+  .concat(value === undefined ? [] : value)
+  .flatMap(entry => String(entry).split(','))
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+const parseAmount = (value, label) => {
+  if (value === undefined) {
+    return { value: undefined };
+  }
+  const amount = Number(value);
+  if (value === '' || !Number.isFinite(amount) || amount < 0) {
+    return { error: `${label} must be a non-negative number` };
+  }
+  return { value: amount };
+};
+
+// Dates may be relative to `now`: "today", or "-7d" for seven days before today
+const RELATIVE_DATE = /^(?:today|-(\d+)d)$/;
+
+const resolveDate = (value, now) => {
+  const relative = RELATIVE_DATE.exec(value);
+  if (!relative) {
+    return value;
+  }
+  const days = Number(relative[1] || 0);
+  return new Date(now.getTime() - days * DAY_MS).toISOString().split('T')[0];
+};
+
+// Validate query parameters; returns { error } or { criteria }
+const parseSearchQuery = (query, { statuses = [], now = new Date() } = {}) => {
+  const { productId, sort = DEFAULT_SORT, cursor } = query;
+  const startDate = query.startDate && resolveDate(query.startDate, now);
+  const endDate = query.endDate && resolveDate(query.endDate, now);
+  const criteria = { productId, sort };
+
+  if (startDate) {
+    const start = new Date(startDate);
+    if (isNaN(start.getTime())) {
+      return { error: 'Invalid start date format' };
+    }
+    criteria.start = start;
+  }
+
+  if (endDate) {
+    const end = new Date(endDate + 'T23:59:59.999Z'); // End of day
+    if (isNaN(end.getTime())) {
+      return { error: 'Invalid end date format' };
+    }
+    criteria.end = end;
+  }
+
+  criteria.statuses = toList(query.status);
+  const unknownStatuses = criteria.statuses.filter(status => !statuses.includes(status));
+  if (statuses.length > 0 && unknownStatuses.length > 0) {
+    return { error: `Invalid status filter: ${unknownStatuses.join(', ')}. Must be one of: ${statuses.join(', ')}` };
+  }
+
+  const minTotal = parseAmount(query.minTotalAmount, 'minTotalAmount');
+  const maxTotal = parseAmount(query.maxTotalAmount, 'maxTotalAmount');
+  if (minTotal.error || maxTotal.error) {
+    return { error: minTotal.error || maxTotal.error };
+  }
+  criteria.minTotalAmount = minTotal.value;
+  criteria.maxTotalAmount = maxTotal.value;
+
+  const sortField = sort.replace(/^-/, '');
+  if (!SORT_FIELDS.includes(sortField)) {
+    return { error: `Invalid sort. Must be one of: ${SORT_FIELDS.flatMap(field => [field, `-${field}`]).join(', ')}` };
+  }
+  criteria.sortField = sortField;
+  criteria.sortDirection = sort.startsWith('-') ? -1 : 1;
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (isNaN(limit) || limit < 1) {
+    return { error: 'Limit must be a positive integer' };
+  }
+  criteria.limit = Math.min(limit, MAX_LIMIT);
+
+  if (cursor !== undefined) {
+    if (query.offset !== undefined) {
+      return { error: 'Use either cursor or offset, not both' };
+    }
+    criteria.cursor = decodeCursor(cursor);
+    if (!criteria.cursor) {
+      return { error: 'Invalid cursor' };
+    }
+    if (criteria.cursor.sort !== sort) {
+      return { error: 'Cursor was issued for a different sort order' };
+    }
+  } else {
+    const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+    if (isNaN(offset) || offset < 0) {
+      return { error: 'Offset must be a non-negative integer' };
+    }
+    criteria.offset = offset;
+  }
+
+  return { criteria };
+};
+
+const matches = (order, criteria) => {
+  if (criteria.customerId && order.customerId !== criteria.customerId) {
+    return false;
+  }
+  if (criteria.start && new Date(order.placementDate) < criteria.start) {
+    return false;
+  }
+  if (criteria.end && new Date(order.placementDate) > criteria.end) {
+    return false;
+  }
+  if (criteria.statuses.length > 0 && !criteria.statuses.includes(order.status)) {
+    return false;
+  }
+  if (criteria.productId && !order.items.some(item => item.productId === criteria.productId)) {
+    return false;
+  }
+  if (criteria.minTotalAmount !== undefined && order.totalAmount < criteria.minTotalAmount) {
+    return false;
+  }
+  if (criteria.maxTotalAmount !== undefined && order.totalAmount > criteria.maxTotalAmount) {
+    return false;
+  }
+  return true;
+};
+
+// Orders are compared by the sort field, then by orderId so the order is total
+const createComparator = ({ sortField, sortDirection }) => (a, b) => {
+  const valueA = a[sortField];
+  const valueB = b[sortField];
+  const byValue = valueA < valueB ? -1 : (valueA > valueB ? 1 : 0);
+  const byId = a.orderId < b.orderId ? -1 : (a.orderId > b.orderId ? 1 : 0);
+  return sortDirection * (byValue || byId);
+};
+
+const searchOrders = (orders, criteria) => {
+  const compare = createComparator(criteria);
+  const filtered = orders.filter(order => matches(order, criteria)).sort(compare);
+  const { limit, cursor, sort, sortField } = criteria;
+
+  let start;
+  let end;
+
+  if (cursor) {
+    const boundary = { [sortField]: cursor.value, orderId: cursor.id };
+    if (cursor.dir === 'next') {
+      start = filtered.findIndex(order => compare(order, boundary) > 0);
+      start = start === -1 ? filtered.length : start;
+      end = Math.min(start + limit, filtered.length);
+    } else {
+      end = filtered.findIndex(order => compare(order, boundary) >= 0);
+      end = end === -1 ? filtered.length : end;
+      start = Math.max(end - limit, 0);
+    }
+  } else {
+    start = Math.min(criteria.offset, filtered.length);
+    end = Math.min(start + limit, filtered.length);
+  }
+
+  const page = filtered.slice(start, end);
+  const cursorFor = (order, dir) => encodeCursor({ sort, value: order[sortField], id: order.orderId, dir });
+
+  return {
+    orders: page,
+    totalCount: filtered.length,
+    limit,
+    offset: cursor ? null : criteria.offset,
+    nextCursor: end < filtered.length && page.length > 0 ? cursorFor(page[page.length - 1], 'next') : null,
+    prevCursor: start > 0 && page.length > 0 ? cursorFor(page[0], 'prev') : null
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseSearchQuery,
+  searchOrders
+};
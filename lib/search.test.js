@@ -0,0 +1,54 @@
+const { parseSearchQuery, searchOrders } = require('./search');
+
+const order = (orderId, totalAmount, placementDate) => ({
+  orderId,
+  customerId: 'cust-1',
+  status: 'pending',
+  items: [],
+  totalAmount,
+  placementDate,
+  lastUpdated: placementDate
+});
+
+describe('Order search', () => {
+  const orders = [
+    order('ord-a', 10, '2024-03-01T00:00:00.000Z'),
+    order('ord-b', 10, '2024-03-02T00:00:00.000Z'),
+    order('ord-c', 30, '2024-03-03T00:00:00.000Z'),
+    order('ord-d', 20, '2024-03-04T00:00:00.000Z')
+  ];
+
+  const search = (query, list = orders) => {
+    const { criteria, error } = parseSearchQuery(query, { statuses: ['pending', 'confirmed'] });
+    expect(error).toBeUndefined();
+    return searchOrders(list, criteria);
+  };
+
+  test('should break sort ties by orderId', () => {
+    expect(search({ sort: 'totalAmount' }).orders.map(o => o.orderId)).toEqual(['ord-a', 'ord-b', 'ord-d', 'ord-c']);
+    expect(search({ sort: '-totalAmount' }).orders.map(o => o.orderId)).toEqual(['ord-c', 'ord-d', 'ord-b', 'ord-a']);
+  });
+
+  test('should walk forwards and backwards with cursors', () => {
+    const first = search({ sort: 'totalAmount', limit: '2' });
+    expect(first.orders.map(o => o.orderId)).toEqual(['ord-a', 'ord-b']);
+
+    const second = search({ sort: 'totalAmount', limit: '2', cursor: first.nextCursor });
+    expect(second.orders.map(o => o.orderId)).toEqual(['ord-d', 'ord-c']);
+    expect(second.nextCursor).toBeNull();
+
+    const back = search({ sort: 'totalAmount', limit: '2', cursor: second.prevCursor });
+    expect(back.orders.map(o => o.orderId)).toEqual(['ord-a', 'ord-b']);
+    expect(back.prevCursor).toBeNull();
+  });
+
+  test('should reject invalid queries', () => {
+    const cursor = search({ limit: '1' }).nextCursor;
+
+    expect(parseSearchQuery({ status: 'unknown' }, { statuses: ['pending'] }).error).toMatch(/Invalid status/);
+    expect(parseSearchQuery({ minTotalAmount: '-1' }).error).toMatch(/minTotalAmount/);
+    expect(parseSearchQuery({ cursor, offset: '0' }).error).toMatch(/not both/);
+    expect(parseSearchQuery({ cursor, sort: 'totalAmount' }).error).toMatch(/different sort/);
+    expect(parseSearchQuery({ cursor: '!!!' }).error).toBe('Invalid cursor');
+  });
+});
@@ -0,0 +1,113 @@
+const { v4: uuidv4 } = require('uuid');
+const { activeQuantity } = require('./pricing');
+
+// Shipments
+//
+// An order can be dispatched in several shipments, each carrying some quantity
+// of some lines with its own carrier, tracking number and tracking events.
+// The order follows its shipments: it becomes `shipped` once every remaining
+// (not cancelled) unit has been dispatched, and `delivered` once all of its
+// shipments have been delivered.
+
+const SHIPPED_STATUS = 'shipped';
+const DELIVERED_STATUS = 'delivered';
+
+// Tracking event statuses; a shipment's status is that of its latest event
+const TRACKING_STATUSES = ['in_transit', 'out_for_delivery', 'delivered', 'exception'];
+
+// lineId -> quantity already dispatched in earlier shipments
+const shippedQuantities = (shipments) => {
+  const shipped = new Map();
+  shipments.forEach(shipment => shipment.items.forEach(({ lineId, quantity }) => {
+    shipped.set(lineId, (shipped.get(lineId) || 0) + quantity);
+  }));
+  return shipped;
+};
+
+// lineId -> quantity still to dispatch
+const unshippedQuantities = (order, shipments) => {
+  const shipped = shippedQuantities(shipments);
+  return new Map(order.items
+    .map(item => [item.lineId, activeQuantity(item) - (shipped.get(item.lineId) || 0)])
+    .filter(([, quantity]) => quantity > 0));
+};
+
+const isFullyShipped = (order, shipments) => unshippedQuantities(order, shipments).size === 0;
+
+const isFullyDelivered = (shipments) => shipments.length > 0
+  && shipments.every(shipment => shipment.status === 'delivered');
+
+// Lines and quantities for a new shipment (everything left to ship when `items` is omitted);
+// returns { error } or { items }
+const planShipmentItems = (order, shipments, items) => {
+  const unshipped = unshippedQuantities(order, shipments);
+
+  if (items === undefined) {
+    return unshipped.size === 0
+      ? { error: 'Every item on this order has already been shipped' }
+      : { items: Array.from(unshipped, ([lineId, quantity]) => ({ lineId, quantity })) };
+  }
+
+  const seen = new Set();
+  for (const { lineId, quantity } of items) {
+    const line = order.items.find(item => item.lineId === lineId);
+    if (!line) {
+      return { error: `Unknown line item: ${lineId}` };
+    }
+    if (seen.has(lineId)) {
+      return { error: `Line item ${lineId} is listed more than once` };
+    }
+    seen.add(lineId);
+
+    const remaining = unshipped.get(lineId) || 0;
+    if (quantity > remaining) {
+      return { error: `Only ${remaining} of ${lineId} left to ship` };
+    }
+  }
+
+  return { items: items.map(({ lineId, quantity }) => ({ lineId, quantity })) };
+};
+
+const createShipment = (order, { carrier, trackingNumber, trackingUrl, shippedAt }, items) => {
+  const productIds = new Map(order.items.map(item => [item.lineId, item.productId]));
+
+  return {
+    shipmentId: `shp-${uuidv4()}`,
+    orderId: order.orderId,
+    carrier,
+    trackingNumber,
+    trackingUrl: trackingUrl || null,
+    status: 'in_transit',
+    items: items.map(({ lineId, quantity }) => ({ lineId, productId: productIds.get(lineId), quantity })),
+    shippedAt,
+    deliveredAt: null,
+    events: [{ status: 'in_transit', description: 'Shipment dispatched', location: null, occurredAt: shippedAt }]
+  };
+};
+
+// Append a tracking event, keeping events in the order they occurred
+const addTrackingEvent = (shipment, { status, description, location, occurredAt }) => {
+  const event = { status, description: description || null, location: location || null, occurredAt };
+  const events = [...shipment.events, event]
+    .sort((a, b) => Date.parse(a.occurredAt) - Date.parse(b.occurredAt));
+  const latest = events[events.length - 1];
+
+  return {
+    ...shipment,
+    events,
+    status: latest.status,
+    deliveredAt: latest.status === 'delivered' ? latest.occurredAt : null
+  };
+};
+
+module.exports = {
+  SHIPPED_STATUS,
+  DELIVERED_STATUS,
+  TRACKING_STATUSES,
+  unshippedQuantities,
+  isFullyShipped,
+  isFullyDelivered,
+  planShipmentItems,
+  createShipment,
+  addTrackingEvent
+};
@@ -0,0 +1,40 @@
+const { planShipmentItems, createShipment, addTrackingEvent, unshippedQuantities, isFullyDelivered } = require('./shipments');
+
+describe('Shipments', () => {
+  const order = {
+    orderId: 'ord-1',
+    items: [
+      { lineId: 'line-1', productId: 'prod-001', quantity: 3, cancelledQuantity: 1 },
+      { lineId: 'line-2', productId: 'prod-002', quantity: 1, cancelledQuantity: 1 },
+      { lineId: 'line-3', productId: 'prod-003', quantity: 2 }
+    ]
+  };
+  const details = { carrier: 'DHL', trackingNumber: 'JD0000001', shippedAt: '2024-03-15T12:00:00.000Z' };
+
+  test('should only ship quantities that are neither cancelled nor shipped', () => {
+    const first = createShipment(order, details, [{ lineId: 'line-1', quantity: 1 }]);
+
+    expect(Array.from(unshippedQuantities(order, [first]))).toEqual([['line-1', 1], ['line-3', 2]]);
+    expect(planShipmentItems(order, [first], undefined).items).toEqual([
+      { lineId: 'line-1', quantity: 1 },
+      { lineId: 'line-3', quantity: 2 }
+    ]);
+    expect(planShipmentItems(order, [first], [{ lineId: 'line-2', quantity: 1 }]).error).toBe('Only 0 of line-2 left to ship');
+    expect(planShipmentItems(order, [first], [{ lineId: 'line-3', quantity: 1 }, { lineId: 'line-3', quantity: 1 }]).error)
+      .toBe('Line item line-3 is listed more than once');
+  });
+
+  test('should take the status of the latest tracking event', () => {
+    const shipment = createShipment(order, details, [{ lineId: 'line-3', quantity: 2 }]);
+
+    const delivered = addTrackingEvent(shipment, { status: 'delivered', occurredAt: '2024-03-17T09:00:00.000Z' });
+    const backfilled = addTrackingEvent(delivered, { status: 'out_for_delivery', occurredAt: '2024-03-17T07:00:00.000Z' });
+
+    expect(backfilled.events.map(event => event.status)).toEqual(['in_transit', 'out_for_delivery', 'delivered']);
+    expect(backfilled.status).toBe('delivered');
+    expect(backfilled.deliveredAt).toBe('2024-03-17T09:00:00.000Z');
+    expect(isFullyDelivered([shipment, backfilled])).toBe(false);
+    expect(isFullyDelivered([backfilled])).toBe(true);
+    expect(isFullyDelivered([])).toBe(false);
+  });
+});
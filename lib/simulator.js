@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const express = require('express');
+const { parseDuration } = require('./clock');
+
+// Order lifecycle simulator
+//
+// Moves orders along the workflow on their own so UIs that track an order can
+// be exercised without a client driving every transition. Each order waits in
+// its status for the configured delay, then takes the first transition that is
+// not the cancel status, or is cancelled instead with a configured probability.
+//
+// Settings come from SIMULATOR_FILE and can be overridden per customer and per
+// order through the admin router (order settings win over customer settings,
+// which win over the defaults). Transitions go through the same code path as
+// PATCH /orders/{orderId}/status, so they produce the same history entries and
+// events. Timers run on the mock clock.
+
+const DEFAULT_SIMULATOR_FILE = path.join(__dirname, '..', 'config', 'simulator.yaml');
+
+const BUILT_IN_SETTINGS = {
+  enabled: false,
+  defaultDelay: '1m',
+  delays: {},
+  cancelProbability: 0,
+  cancelStatus: 'cancelled',
+  cancelReasons: ['Cancelled by simulator']
+};
+const SETTING_NAMES = Object.keys(BUILT_IN_SETTINGS);
+
+const ADVANCE_REASON = 'Simulated lifecycle';
+
+// Generated values for fields a transition requires (anything else gets a placeholder)
+const GENERATED_FIELDS = {
+  trackingNumber: (random) => `SIM${String(Math.floor(random() * 1e10)).padStart(10, '0')}`
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Returns an error message for a (partial) settings object, or null. Statuses are only
+// checked when `statuses` is given, so one settings file can serve several workflows.
+const validateSettings = (settings, statuses = null) => {
+  if (!isPlainObject(settings)) {
+    return 'Settings must be an object';
+  }
+
+  const unknown = Object.keys(settings).filter(name => !SETTING_NAMES.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown settings: ${unknown.join(', ')}. Allowed: ${SETTING_NAMES.join(', ')}`;
+  }
+
+  const { enabled, defaultDelay, delays, cancelProbability, cancelStatus, cancelReasons } = settings;
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return 'enabled must be true or false';
+  }
+  if (defaultDelay !== undefined && parseDuration(defaultDelay) === null) {
+    return 'defaultDelay must be milliseconds or a duration such as "30s", "15m" or "2h"';
+  }
+  if (delays !== undefined) {
+    if (!isPlainObject(delays)) {
+      return 'delays must map statuses to durations';
+    }
+    const invalid = Object.entries(delays).find(([status, delay]) => (statuses && !statuses.includes(status)) || parseDuration(delay) === null);
+    if (invalid) {
+      return `delays.${invalid[0]} must be a workflow status with a duration such as "30s", "15m" or "2h"`;
+    }
+  }
+  if (cancelProbability !== undefined && (typeof cancelProbability !== 'number' || cancelProbability < 0 || cancelProbability > 1)) {
+    return 'cancelProbability must be a number between 0 and 1';
+  }
+  if (cancelStatus !== undefined && statuses && !statuses.includes(cancelStatus)) {
+    return `cancelStatus must be one of: ${statuses.join(', ')}`;
+  }
+  if (cancelReasons !== undefined && (!Array.isArray(cancelReasons) || cancelReasons.length === 0
+    || cancelReasons.some(reason => typeof reason !== 'string' || !reason))) {
+    return 'cancelReasons must be a non-empty list of strings';
+  }
+  return null;
+};
+
+const loadSimulatorSettings = (file = DEFAULT_SIMULATOR_FILE) => yaml.load(fs.readFileSync(file, 'utf8')) || {};
+
+// Later layers override earlier ones; delays are merged per status
+const mergeSettings = (...layers) => layers.reduce((merged, layer) => ({
+  ...merged,
+  ...layer,
+  delays: { ...merged.delays, ...layer.delays }
+}), {});
+
+const createSimulator = ({
+  workflow,
+  settings = {},
+  events,
+  getOrder,
+  listOrders,
+  advance,
+  now = () => new Date(),
+  schedule = (callback, delayMs) => {
+    const timer = setTimeout(callback, delayMs);
+    timer.unref();
+    return () => clearTimeout(timer);
+  },
+  random = Math.random
+}) => {
+  const settingsError = validateSettings(settings);
+  if (settingsError) {
+    throw new Error(`Invalid simulator settings: ${settingsError}`);
+  }
+
+  let defaults = mergeSettings(BUILT_IN_SETTINGS, settings);
+  const customerSettings = new Map();
+  const orderSettings = new Map();
+
+  // orderId -> { orderId, status, dueAt, cancel }
+  const scheduled = new Map();
+
+  const settingsFor = (order) => mergeSettings(
+    defaults,
+    customerSettings.get(order.customerId) || {},
+    orderSettings.get(order.orderId) || {}
+  );
+
+  const unschedule = (orderId) => {
+    const entry = scheduled.get(orderId);
+    if (entry) {
+      entry.cancel();
+      scheduled.delete(orderId);
+    }
+  };
+
+  const detailsFor = (from, to) => {
+    const details = {};
+    workflow.requirementsFor(from, to)
+      .filter(field => field !== 'reason')
+      .forEach(field => {
+        details[field] = GENERATED_FIELDS[field] ? GENERATED_FIELDS[field](random) : `simulated-${field}`;
+      });
+    return details;
+  };
+
+  // Take the order's next step, unless it was removed or has moved on since the step was scheduled
+  const step = (orderId, expectedStatus) => {
+    scheduled.delete(orderId);
+
+    const order = getOrder(orderId);
+    if (!order || order.status !== expectedStatus) {
+      return;
+    }
+
+    const current = settingsFor(order);
+    const next = workflow.nextStatuses(order.status);
+    const forward = next.find(status => status !== current.cancelStatus);
+
+    if (next.includes(current.cancelStatus) && random() < current.cancelProbability) {
+      const reason = current.cancelReasons[Math.floor(random() * current.cancelReasons.length)];
+      advance(order, current.cancelStatus, { reason, details: detailsFor(order.status, current.cancelStatus) });
+    } else if (forward) {
+      advance(order, forward, { reason: ADVANCE_REASON, details: detailsFor(order.status, forward) });
+    }
+  };
+
+  // (Re)schedule the next step for an order in its current status
+  const track = (order) => {
+    unschedule(order.orderId);
+
+    const current = settingsFor(order);
+    if (!current.enabled || workflow.nextStatuses(order.status).length === 0) {
+      return;
+    }
+
+    const delay = current.delays[order.status] !== undefined ? current.delays[order.status] : current.defaultDelay;
+    const delayMs = parseDuration(delay);
+    const { orderId, status } = order;
+
+    scheduled.set(orderId, {
+      orderId,
+      status,
+      dueAt: new Date(now().getTime() + delayMs).toISOString(),
+      cancel: schedule(() => step(orderId, status), delayMs)
+    });
+  };
+
+  // Pick up orders the simulator now applies to, and drop those it no longer does
+  const refresh = () => {
+    Array.from(scheduled.keys())
+      .filter(orderId => !getOrder(orderId))
+      .forEach(unschedule);
+
+    listOrders().forEach(order => {
+      if (!scheduled.has(order.orderId) || !settingsFor(order).enabled) {
+        track(order);
+      }
+    });
+  };
+
+  events.subscribe(event => {
+    if (event.type !== 'order.created' && event.type !== 'order.status_changed') {
+      return;
+    }
+    const order = getOrder(event.data.order.orderId);
+    if (order) {
+      track(order);
+    }
+  });
+
+  const toState = () => ({
+    settings: defaults,
+    customers: Object.fromEntries(customerSettings),
+    orders: Object.fromEntries(orderSettings),
+    scheduled: Array.from(scheduled.values()).map(({ cancel, ...entry }) => entry)
+  });
+
+  const router = express.Router();
+
+  const validateBody = (req, res, next) => {
+    const validationError = validateSettings(req.body, workflow.statuses);
+    if (validationError) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: validationError
+      });
+    }
+    next();
+  };
+
+  const notFound = (res, message) => res.status(404).json({
+    error: 'NOT_FOUND',
+    message
+  });
+
+  router.get('/', (req, res) => {
+    res.json(toState());
+  });
+
+  router.patch('/', validateBody, (req, res) => {
+    defaults = mergeSettings(defaults, req.body);
+    refresh();
+    res.json(toState());
+  });
+
+  router.put('/customers/:customerId', validateBody, (req, res) => {
+    customerSettings.set(req.params.customerId, req.body);
+    refresh();
+    res.json(toState());
+  });
+
+  router.delete('/customers/:customerId', (req, res) => {
+    if (!customerSettings.delete(req.params.customerId)) {
+      return notFound(res, 'No simulator settings for this customer');
+    }
+    refresh();
+    res.status(204).end();
+  });
+
+  router.put('/orders/:orderId', validateBody, (req, res) => {
+    const order = getOrder(req.params.orderId);
+    if (!order) {
+      return notFound(res, 'Order not found');
+    }
+    orderSettings.set(order.orderId, req.body);
+    track(order);
+    res.json(toState());
+  });
+
+  router.delete('/orders/:orderId', (req, res) => {
+    if (!orderSettings.delete(req.params.orderId)) {
+      return notFound(res, 'No simulator settings for this order');
+    }
+    const order = getOrder(req.params.orderId);
+    if (order) {
+      track(order);
+    }
+    res.status(204).end();
+  });
+
+  return {
+    router,
+    track,
+    refresh,
+    settingsFor,
+    scheduled: () => toState().scheduled
+  };
+};
+
+module.exports = {
+  DEFAULT_SIMULATOR_FILE,
+  loadSimulatorSettings,
+  validateSettings,
+  createSimulator
+};
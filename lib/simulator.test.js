@@ -0,0 +1,194 @@
+const express = require('express');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { createClock } = require('./clock');
+const { createEventBus } = require('./events');
+const { loadWorkflow, createWorkflow } = require('./workflow');
+const { createSimulator, validateSettings } = require('./simulator');
+
+describe('Lifecycle simulator', () => {
+  let clock;
+  let events;
+  let orders;
+  let published;
+
+  const createSimulated = ({ workflow = loadWorkflow(), settings, random = () => 0.5 }) => createSimulator({
+    workflow,
+    settings,
+    events,
+    getOrder: (orderId) => orders.get(orderId),
+    listOrders: () => Array.from(orders.values()),
+    advance: (order, status, { reason, details }) => {
+      order.status = status;
+      Object.assign(order, details);
+      events.publish('order.status_changed', { order, reason });
+    },
+    now: clock.now,
+    schedule: clock.setTimeout,
+    random
+  });
+
+  const place = (order) => {
+    orders.set(order.orderId, { status: 'pending', ...order });
+    events.publish('order.created', { order });
+  };
+
+  beforeEach(() => {
+    clock = createClock();
+    clock.freeze(Date.parse('2024-03-15T12:00:00Z'));
+    events = createEventBus({ now: clock.now });
+    orders = new Map();
+    published = [];
+    events.subscribe(event => published.push(event));
+  });
+
+  test('should advance orders along the workflow after each delay', () => {
+    createSimulated({ settings: { enabled: true, defaultDelay: '1m', delays: { pending: '30s' } } });
+    place({ orderId: 'ord-1', customerId: 'cust-1' });
+
+    clock.advance(29 * 1000);
+    expect(orders.get('ord-1').status).toBe('pending');
+
+    clock.advance(1000);
+    expect(orders.get('ord-1').status).toBe('confirmed');
+
+    clock.advance(3 * 60 * 1000);
+    expect(orders.get('ord-1').status).toBe('delivered');
+    expect(published.filter(event => event.type === 'order.status_changed').map(event => event.data.order.status))
+      .toEqual(['confirmed', 'processing', 'shipped', 'delivered']);
+  });
+
+  test('should cancel with a generated reason', () => {
+    const rolls = [0.9, 0.2, 0.6];
+    createSimulated({
+      settings: { enabled: true, cancelProbability: 0.5, cancelReasons: ['Payment declined', 'Item out of stock'] },
+      random: () => rolls.shift()
+    });
+    place({ orderId: 'ord-1', customerId: 'cust-1' });
+
+    clock.advance(60 * 1000);
+    expect(orders.get('ord-1').status).toBe('confirmed');
+
+    clock.advance(60 * 1000);
+    expect(orders.get('ord-1').status).toBe('cancelled');
+    expect(published[published.length - 1].data.reason).toBe('Item out of stock');
+  });
+
+  test('should apply customer and order overrides', async () => {
+    const simulator = createSimulated({ settings: { enabled: false }, random: () => 0 });
+    const admin = express().use(express.json()).use(simulator.router);
+    place({ orderId: 'ord-1', customerId: 'cust-1' });
+    place({ orderId: 'ord-2', customerId: 'cust-2' });
+
+    await request(admin).put('/customers/cust-1').send({ enabled: true, cancelProbability: 1, cancelReasons: ['Duplicate order'] });
+    const orderOverride = await request(admin).put('/orders/ord-2').send({ enabled: true, delays: { pending: '5m' } });
+    expect(orderOverride.body.scheduled).toEqual([
+      { orderId: 'ord-1', status: 'pending', dueAt: '2024-03-15T12:01:00.000Z' },
+      { orderId: 'ord-2', status: 'pending', dueAt: '2024-03-15T12:05:00.000Z' }
+    ]);
+
+    clock.advance(60 * 1000);
+    expect(orders.get('ord-1').status).toBe('cancelled');
+    expect(published.find(event => event.data.order.orderId === 'ord-1' && event.type === 'order.status_changed').data.reason)
+      .toBe('Duplicate order');
+    expect(orders.get('ord-2').status).toBe('pending');
+
+    clock.advance(4 * 60 * 1000);
+    expect(orders.get('ord-2').status).toBe('confirmed');
+  });
+
+  test('should fill in fields a transition requires', () => {
+    const workflow = createWorkflow({
+      initial: 'pending',
+      states: {
+        pending: { transitions: { shipped: { requires: ['trackingNumber'] } } },
+        shipped: { terminal: true }
+      }
+    });
+    createSimulated({ workflow, settings: { enabled: true } });
+    place({ orderId: 'ord-1', customerId: 'cust-1' });
+
+    clock.advance(60 * 1000);
+    expect(orders.get('ord-1').trackingNumber).toBe('SIM5000000000');
+  });
+
+  test('should validate settings', () => {
+    const statuses = loadWorkflow().statuses;
+    expect(validateSettings({ enabled: true, delays: { pending: '30s' } }, statuses)).toBeNull();
+    expect(validateSettings({ delays: { lost: '30s' } }, statuses)).toContain('delays.lost');
+    expect(validateSettings({ cancelProbability: 2 }, statuses)).toContain('cancelProbability');
+    expect(validateSettings({ speed: 'fast' }, statuses)).toContain('Unknown settings: speed');
+  });
+});
+
+describe('Lifecycle simulator in the mock', () => {
+  let app;
+
+  beforeEach(() => {
+    process.env.CLOCK_START = '2024-03-15T12:00:00Z';
+    process.env.CLOCK_FROZEN = 'true';
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    delete process.env.CLOCK_START;
+    delete process.env.CLOCK_FROZEN;
+  });
+
+  test('should record simulated transitions like manual ones', async () => {
+    const customerId = `cust-${uuidv4()}`;
+    await request(app).put(`/admin/simulator/customers/${customerId}`).send({ enabled: true, cancelProbability: 0, delays: { pending: '10m', confirmed: '10m', processing: '1h' } });
+
+    const created = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer sim-token')
+      .set('Idempotency-Key', uuidv4())
+      .send({ customerId, items: [{ productId: 'prod-001', quantity: 1, unitPrice: 10.00 }] });
+
+    await request(app).post('/admin/clock/advance').send({ by: '20m' });
+
+    const history = await request(app)
+      .get(`/api/v1/orders/${created.body.orderId}/history`)
+      .set('Authorization', 'Bearer sim-token');
+
+    expect(history.body.history.map(entry => entry.to)).toEqual(['pending', 'confirmed', 'processing']);
+    expect(history.body.history[2]).toMatchObject({
+      from: 'confirmed',
+      reason: 'Simulated lifecycle',
+      changedAt: '2024-03-15T12:20:00.000Z',
+      changedBy: null
+    });
+
+    const invalid = await request(app).patch('/admin/simulator').send({ delays: { pending: 'soon' } });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error).toBe('VALIDATION_ERROR');
+  });
+
+  test('should leave orders with open shipments to their shipments', async () => {
+    const customerId = `cust-${uuidv4()}`;
+    await request(app).put(`/admin/simulator/customers/${customerId}`).send({ enabled: true, cancelProbability: 0, delays: { pending: '10m', confirmed: '10m', processing: '10m', shipped: '10m' } });
+
+    const created = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer sim-token')
+      .set('Idempotency-Key', uuidv4())
+      .send({ customerId, items: [{ productId: 'prod-001', quantity: 2, unitPrice: 10.00 }] });
+    const { orderId } = created.body;
+
+    await request(app).post('/admin/clock/advance').send({ by: '20m' });
+
+    const ship = (quantity) => request(app)
+      .post(`/api/v1/orders/${orderId}/shipments`)
+      .set('Authorization', 'Bearer sim-token')
+      .send({ carrier: 'UPS', trackingNumber: `1Z${uuidv4().slice(0, 8)}`, items: [{ lineId: 'line-1', quantity }] });
+    const statusOf = async () => (await request(app).get(`/api/v1/orders/${orderId}`).set('Authorization', 'Bearer sim-token')).body.status;
+
+    expect((await ship(1)).status).toBe(201);
+    await request(app).post('/admin/clock/advance').send({ by: '1h' });
+    expect(await statusOf()).toBe('processing');
+
+    await ship(1);
+    expect(await statusOf()).toBe('shipped');
+    await request(app).post('/admin/clock/advance').send({ by: '1h' });
+    expect(await statusOf()).toBe('shipped');
+  });
+});
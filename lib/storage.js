@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+
+// Storage backends
+//
+// A store is a set of named collections with a Map-like API (get, set, has,
+// delete, values, clear). The memory backend keeps everything in Maps; the
+// file backend keeps the same Maps but writes a JSON snapshot to disk after
+// every mutation and reloads it on startup, so state survives restarts.
+
+const createCollection = (name, onChange) => {
+  const items = new Map();
+
+  return {
+    name,
+    items,
+    get: (key) => items.get(key),
+    has: (key) => items.has(key),
+    set: (key, value) => {
+      items.set(key, value);
+      onChange();
+      return value;
+    },
+    delete: (key) => {
+      const deleted = items.delete(key);
+      if (deleted) {
+        onChange();
+      }
+      return deleted;
+    },
+    values: () => Array.from(items.values()),
+    entries: () => Array.from(items.entries()),
+    clear: () => {
+      items.clear();
+      onChange();
+    },
+    get size() {
+      return items.size;
+    }
+  };
+};
+
+const createMemoryStore = () => {
+  const collections = new Map();
+
+  const store = {
+    backend: 'memory',
+    collection: (name) => {
+      if (!collections.has(name)) {
+        collections.set(name, createCollection(name, () => store.persist()));
+      }
+      return collections.get(name);
+    },
+    collectionNames: () => Array.from(collections.keys()),
+    persist: () => {},
+    reset: () => {
+      collections.forEach(collection => collection.items.clear());
+      store.persist();
+    },
+    // Deep copy of every collection, for restore() to roll back to
+    snapshot: () => new Map(Array.from(collections, ([name, collection]) => [name, JSON.parse(JSON.stringify(collection.entries()))])),
+    restore: (snapshot) => {
+      collections.forEach((collection, name) => {
+        collection.items.clear();
+        (snapshot.get(name) || []).forEach(([key, value]) => collection.items.set(key, value));
+      });
+      store.persist();
+    }
+  };
+
+  return store;
+};
+
+const createFileStore = (filePath) => {
+  const store = createMemoryStore();
+  const resolvedPath = path.resolve(filePath);
+  let loading = false;
+
+  store.backend = 'file';
+  store.filePath = resolvedPath;
+
+  store.persist = () => {
+    if (loading) {
+      return;
+    }
+
+    const snapshot = {};
+    store.collectionNames().forEach(name => {
+      snapshot[name] = Object.fromEntries(store.collection(name).items);
+    });
+
+    // Write to a temp file first so a crash mid-write never truncates the store
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    const tmpPath = `${resolvedPath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(snapshot, null, 2));
+    fs.renameSync(tmpPath, resolvedPath);
+  };
+
+  if (fs.existsSync(resolvedPath)) {
+    const snapshot = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+
+    loading = true;
+    Object.entries(snapshot).forEach(([name, entries]) => {
+      const collection = store.collection(name);
+      Object.entries(entries).forEach(([key, value]) => collection.items.set(key, value));
+    });
+    loading = false;
+  }
+
+  return store;
+};
+
+const createStore = ({ backend = 'memory', file } = {}) => {
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      if (!file) {
+        throw new Error('STORAGE_FILE must be set when using the file storage backend');
+      }
+      return createFileStore(file);
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+};
+
+module.exports = {
+  createStore
+};
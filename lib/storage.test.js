@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('./storage');
+
+describe('Storage', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-store-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('memory backend should behave like a Map', () => {
+    const store = createStore();
+    const orders = store.collection('orders');
+
+    orders.set('ord-1', { orderId: 'ord-1' });
+
+    expect(orders.has('ord-1')).toBe(true);
+    expect(orders.get('ord-1').orderId).toBe('ord-1');
+    expect(orders.values()).toHaveLength(1);
+    expect(orders.size).toBe(1);
+    expect(store.collection('orders')).toBe(orders);
+  });
+
+  test('file backend should survive a restart', () => {
+    const file = path.join(tmpDir, 'store.json');
+
+    const first = createStore({ backend: 'file', file });
+    first.collection('orders').set('ord-1', { orderId: 'ord-1', status: 'pending' });
+    first.collection('idempotencyKeys').set('key-1', 'ord-1');
+
+    const second = createStore({ backend: 'file', file });
+
+    expect(second.collection('orders').get('ord-1').status).toBe('pending');
+    expect(second.collection('idempotencyKeys').get('key-1')).toBe('ord-1');
+  });
+
+  test('file backend should persist deletes and resets', () => {
+    const file = path.join(tmpDir, 'nested', 'store.json');
+
+    const first = createStore({ backend: 'file', file });
+    first.collection('orders').set('ord-1', { orderId: 'ord-1' });
+    first.collection('orders').set('ord-2', { orderId: 'ord-2' });
+    first.collection('orders').delete('ord-1');
+
+    expect(createStore({ backend: 'file', file }).collection('orders').values()).toHaveLength(1);
+
+    first.reset();
+
+    expect(createStore({ backend: 'file', file }).collection('orders').size).toBe(0);
+  });
+
+  test('should roll back to a snapshot', () => {
+    const file = path.join(tmpDir, 'store.json');
+    const store = createStore({ backend: 'file', file });
+    const orders = store.collection('orders');
+    orders.set('ord-1', { orderId: 'ord-1', status: 'pending' });
+
+    const snapshot = store.snapshot();
+    orders.get('ord-1').status = 'confirmed';
+    orders.set('ord-2', { orderId: 'ord-2' });
+    store.collection('orderHistory').set('ord-2', []);
+    store.restore(snapshot);
+
+    expect(orders.entries()).toEqual([['ord-1', { orderId: 'ord-1', status: 'pending' }]]);
+    expect(store.collection('orderHistory').size).toBe(0);
+    expect(createStore({ backend: 'file', file }).collection('orders').size).toBe(1);
+  });
+
+  test('should reject unknown backends', () => {
+    expect(() => createStore({ backend: 'redis' })).toThrow('Unknown storage backend');
+  });
+});
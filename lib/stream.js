@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const http = require('http');
+
+// Order event streams
+//
+// Pushes events from the event bus to connected clients, as Server-Sent Events
+// or over a WebSocket. Every event gets a sequence number, which is its SSE
+// `id`; the latest `bufferSize` events are kept in memory so that a client
+// reconnecting with Last-Event-ID receives what it missed. If some of those
+// events have already left the buffer, the client gets a `stream.reset` event
+// instead and should reload whatever it shows.
+//
+// Only what WebSocket needs for a one-way feed is implemented here: the
+// handshake, unfragmented server frames, and answering pings and close frames.
+
+const DEFAULT_BUFFER_SIZE = 1000;
+const DEFAULT_HEARTBEAT_MS = 15000;
+
+const RESET_EVENT = 'stream.reset';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  text: 0x1,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa
+};
+
+// Server frames are final and unmasked
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  const { length } = payload;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+};
+
+// Split the complete frames off the front of `buffer`; returns { frames, rest }
+const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < cursor + 2) {
+        break;
+      }
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) {
+        break;
+      }
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) {
+      break;
+    }
+
+    const mask = buffer.subarray(cursor, cursor + maskLength);
+    const payload = Buffer.from(buffer.subarray(cursor + maskLength, cursor + maskLength + length));
+    if (masked) {
+      payload.forEach((byte, index) => { payload[index] = byte ^ mask[index % 4]; });
+    }
+
+    frames.push({ opcode, payload });
+    offset = cursor + maskLength + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+const isWebSocketUpgrade = (req) => String(req.headers.upgrade || '').toLowerCase() === 'websocket';
+
+// Route WebSocket upgrade requests through the app like any other request, so
+// authentication and validation apply; the response is bound to the raw socket
+// so errors go back as ordinary HTTP responses.
+const handleUpgrades = (server, app) => {
+  server.on('upgrade', (req, socket, head) => {
+    if (head && head.length > 0) {
+      socket.unshift(head);
+    }
+    const res = new http.ServerResponse(req);
+    res.assignSocket(socket);
+    res.on('finish', () => socket.end());
+    app(req, res);
+  });
+};
+
+// `filter` is { tenantId, customerId, orderId, types }; unset fields match every event
+const matchesFilter = ({ tenantId, customerId, orderId, types }, { tenantId: eventTenantId, event }) => {
+  const order = (event.data && event.data.order) || {};
+  return (!tenantId || eventTenantId === tenantId)
+    && (!customerId || order.customerId === customerId)
+    && (!orderId || order.orderId === orderId)
+    && (!types || types.length === 0 || types.includes(event.type));
+};
+
+// `tenant()` names the tenant an event belongs to when it is published
+const createEventStream = ({ events, tenant = () => null, bufferSize = DEFAULT_BUFFER_SIZE, heartbeatMs = DEFAULT_HEARTBEAT_MS }) => {
+  const buffer = [];
+  const clients = new Set();
+  let sequence = 0;
+
+  events.subscribe((event) => {
+    sequence += 1;
+    const entry = { id: sequence, tenantId: tenant(), event };
+    buffer.push(entry);
+    if (buffer.length > bufferSize) {
+      buffer.shift();
+    }
+    clients.forEach(client => client(entry));
+  });
+
+  // Buffered events after `lastEventId`, or null if some have been dropped (or the ID is not ours)
+  const since = (lastEventId) => {
+    if (!Number.isInteger(lastEventId) || lastEventId < 0 || lastEventId > sequence) {
+      return null;
+    }
+    const oldest = buffer.length > 0 ? buffer[0].id : sequence + 1;
+    return lastEventId < oldest - 1 ? null : buffer.filter(entry => entry.id > lastEventId);
+  };
+
+  // Replay what the client missed since `lastEventId` (when given), then follow live events.
+  // Returns a function that disconnects the client.
+  const connect = ({ filter, lastEventId, send, reset }) => {
+    const deliver = (entry) => {
+      if (matchesFilter(filter, entry)) {
+        send(entry);
+      }
+    };
+
+    if (lastEventId !== undefined) {
+      const missed = since(lastEventId);
+      if (missed) {
+        missed.forEach(deliver);
+      } else {
+        reset({ id: sequence, oldestEventId: buffer.length > 0 ? buffer[0].id : null });
+      }
+    }
+
+    clients.add(deliver);
+    return () => clients.delete(deliver);
+  };
+
+  const serveEventSource = (req, res, { filter, lastEventId }) => {
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const disconnect = connect({
+      filter,
+      lastEventId,
+      send: ({ id, event }) => res.write(`id: ${id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`),
+      reset: ({ id, ...details }) => res.write(`id: ${id}\nevent: ${RESET_EVENT}\ndata: ${JSON.stringify(details)}\n\n`)
+    });
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      disconnect();
+      res.end();
+    });
+  };
+
+  const serveWebSocket = (req, socket, { filter, lastEventId }) => {
+    const key = req.headers['sec-websocket-key'];
+    const accept = crypto.createHash('sha1').update(`${key}${WEBSOCKET_GUID}`).digest('base64');
+
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      `X-Request-Id: ${req.id}`,
+      '',
+      ''
+    ].join('\r\n'));
+
+    const sendJson = (message) => {
+      if (socket.writable) {
+        socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+      }
+    };
+
+    const disconnect = connect({
+      filter,
+      lastEventId,
+      send: ({ id, event }) => sendJson({ id, ...event }),
+      reset: (details) => sendJson({ ...details, type: RESET_EVENT })
+    });
+
+    const heartbeat = setInterval(() => socket.writable && socket.write(encodeFrame(OPCODES.ping)), heartbeatMs);
+    heartbeat.unref();
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+      pending = rest;
+      frames.forEach(({ opcode, payload }) => {
+        if (opcode === OPCODES.ping) {
+          socket.write(encodeFrame(OPCODES.pong, payload));
+        } else if (opcode === OPCODES.close) {
+          socket.end(encodeFrame(OPCODES.close, payload.subarray(0, 2)));
+        }
+      });
+    });
+
+    const close = () => {
+      clearInterval(heartbeat);
+      disconnect();
+    };
+    socket.on('close', close);
+    socket.on('error', () => socket.destroy());
+  };
+
+  // Answer a stream request over WebSocket if it asks to upgrade, else as Server-Sent Events
+  const serve = (req, res, options) => (isWebSocketUpgrade(req) && req.headers['sec-websocket-key']
+    ? serveWebSocket(req, res.socket, options)
+    : serveEventSource(req, res, options));
+
+  return {
+    serve,
+    connect,
+    clientCount: () => clients.size,
+    latestEventId: () => sequence
+  };
+};
+
+module.exports = {
+  DEFAULT_BUFFER_SIZE,
+  DEFAULT_HEARTBEAT_MS,
+  RESET_EVENT,
+  encodeFrame,
+  decodeFrames,
+  handleUpgrades,
+  createEventStream
+};
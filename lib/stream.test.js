@@ -0,0 +1,119 @@
+const { createEventBus } = require('./events');
+const { createEventStream, encodeFrame, decodeFrames, RESET_EVENT } = require('./stream');
+
+describe('Order event stream', () => {
+  let events;
+  let stream;
+
+  const order = (orderId, customerId = 'cust-1') => ({ order: { orderId, customerId } });
+
+  // Connect a client and collect what it receives
+  const follow = (options = {}) => {
+    const received = [];
+    const resets = [];
+    const disconnect = stream.connect({
+      filter: {},
+      ...options,
+      send: entry => received.push(entry),
+      reset: details => resets.push(details)
+    });
+    return { received, resets, disconnect };
+  };
+
+  beforeEach(() => {
+    events = createEventBus();
+    stream = createEventStream({ events, bufferSize: 3 });
+  });
+
+  test('should number events and push them to connected clients', () => {
+    const client = follow();
+
+    events.publish('order.created', order('ord-1'));
+    events.publish('order.status_changed', order('ord-1'));
+
+    expect(client.received.map(({ id, event }) => [id, event.type])).toEqual([[1, 'order.created'], [2, 'order.status_changed']]);
+    expect(stream.latestEventId()).toBe(2);
+
+    client.disconnect();
+    events.publish('order.updated', order('ord-1'));
+    expect(client.received).toHaveLength(2);
+    expect(stream.clientCount()).toBe(0);
+  });
+
+  test('should filter by customer, order and event type', () => {
+    const byCustomer = follow({ filter: { customerId: 'cust-2' } });
+    const byOrder = follow({ filter: { orderId: 'ord-1', types: ['order.status_changed'] } });
+
+    events.publish('order.created', order('ord-1'));
+    events.publish('order.created', order('ord-2', 'cust-2'));
+    events.publish('order.status_changed', order('ord-1'));
+
+    expect(byCustomer.received.map(({ id }) => id)).toEqual([2]);
+    expect(byOrder.received.map(({ id }) => id)).toEqual([3]);
+  });
+
+  test('should only deliver events of the client\'s tenant', () => {
+    let tenant = 'team-a';
+    stream = createEventStream({ events, tenant: () => tenant });
+    const teamA = follow({ filter: { tenantId: 'team-a' } });
+
+    events.publish('order.created', order('ord-1'));
+    tenant = 'team-b';
+    events.publish('order.created', order('ord-2'));
+
+    expect(teamA.received.map(({ id, tenantId }) => [id, tenantId])).toEqual([[1, 'team-a']]);
+  });
+
+  test('should replay buffered events after Last-Event-ID', () => {
+    ['ord-1', 'ord-2', 'ord-3'].forEach(orderId => events.publish('order.created', order(orderId)));
+
+    const resumed = follow({ lastEventId: 1 });
+    expect(resumed.received.map(({ id }) => id)).toEqual([2, 3]);
+    expect(resumed.resets).toEqual([]);
+
+    const current = follow({ lastEventId: 3 });
+    expect(current.received).toEqual([]);
+    expect(current.resets).toEqual([]);
+  });
+
+  test('should ask clients to reload when missed events left the buffer', () => {
+    ['ord-1', 'ord-2', 'ord-3', 'ord-4', 'ord-5'].forEach(orderId => events.publish('order.created', order(orderId)));
+
+    const late = follow({ lastEventId: 1 });
+    expect(late.received).toEqual([]);
+    expect(late.resets).toEqual([{ id: 5, oldestEventId: 3 }]);
+
+    // IDs from before a restart, or not ours at all
+    expect(follow({ lastEventId: 99 }).resets).toHaveLength(1);
+    expect(follow({ lastEventId: NaN }).resets).toHaveLength(1);
+
+    events.publish('order.created', order('ord-6'));
+    expect(late.received.map(({ id }) => id)).toEqual([6]);
+    expect(RESET_EVENT).toBe('stream.reset');
+  });
+
+  test('should encode and decode WebSocket frames', () => {
+    const short = encodeFrame(0x1, Buffer.from('hello'));
+    expect(Array.from(short.subarray(0, 2))).toEqual([0x81, 5]);
+
+    const long = encodeFrame(0x1, Buffer.alloc(300, 'a'));
+    expect(long[1]).toBe(126);
+    expect(long.readUInt16BE(2)).toBe(300);
+
+    // A masked client frame, split across two reads
+    const mask = Buffer.from([1, 2, 3, 4]);
+    const payload = Buffer.from('bye');
+    const masked = Buffer.concat([
+      Buffer.from([0x88, 0x80 | payload.length]),
+      mask,
+      Buffer.from(payload.map((byte, index) => byte ^ mask[index % 4]))
+    ]);
+
+    const partial = decodeFrames(masked.subarray(0, 4));
+    expect(partial.frames).toEqual([]);
+
+    const { frames, rest } = decodeFrames(Buffer.concat([partial.rest, masked.subarray(4), short]));
+    expect(frames.map(({ opcode, payload: data }) => [opcode, data.toString()])).toEqual([[0x8, 'bye'], [0x1, 'hello']]);
+    expect(rest).toHaveLength(0);
+  });
+});
@@ -0,0 +1,160 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const path = require('path');
+
+// Tenants
+//
+// Lets several teams share one running mock without seeing each other's data.
+// Every request belongs to a tenant: the `tenant_id` claim of its token, else
+// its X-Tenant-Id header, else the default tenant. Each tenant has a store of
+// its own (orders, customers, products, idempotency keys, webhooks, ...),
+// created and seeded on first use.
+//
+// The server keeps using one set of collections: they are views that act on
+// the store of the tenant whose request (or timer, see bind()) is running.
+// A tenant's store is only created when its data is first touched, so stray
+// headers on requests that fail authentication leave nothing behind.
+
+const TENANT_HEADER = 'x-tenant-id';
+
+const DEFAULT_TENANT = 'default';
+
+const TENANT_ID = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+const isTenantId = (value) => typeof value === 'string' && TENANT_ID.test(value);
+
+// data/store.json -> data/store.team-a.json; the default tenant keeps the file as named
+const tenantStoreFile = (file, tenantId) => {
+  if (tenantId === DEFAULT_TENANT) {
+    return file;
+  }
+  const { dir, name, ext } = path.parse(file);
+  return path.join(dir, `${name}.${tenantId}${ext}`);
+};
+
+// `createStore(tenantId)` makes a tenant's store; `onCreate(tenantId)` runs in the
+// new tenant's context right after, to seed it
+const createTenants = ({ createStore, onCreate = () => {}, now = () => new Date() }) => {
+  const context = new AsyncLocalStorage();
+  const tenants = new Map();
+
+  const currentId = () => context.getStore() || DEFAULT_TENANT;
+
+  const ensure = (tenantId) => {
+    if (!tenants.has(tenantId)) {
+      tenants.set(tenantId, { tenantId, store: createStore(tenantId), createdAt: now().toISOString() });
+      context.run(tenantId, () => onCreate(tenantId));
+    }
+    return tenants.get(tenantId);
+  };
+
+  const run = (tenantId, fn) => context.run(tenantId, fn);
+
+  // Wrap `fn` to run as the current tenant, wherever it is called from later (timers)
+  const bind = (fn) => {
+    const tenantId = currentId();
+    return (...args) => run(tenantId, () => fn(...args));
+  };
+
+  const currentStore = () => ensure(currentId()).store;
+
+  const routedCollection = (name) => {
+    const target = () => currentStore().collection(name);
+    return {
+      name,
+      get: (key) => target().get(key),
+      has: (key) => target().has(key),
+      set: (key, value) => target().set(key, value),
+      delete: (key) => target().delete(key),
+      values: () => target().values(),
+      entries: () => target().entries(),
+      clear: () => target().clear(),
+      get size() {
+        return target().size;
+      }
+    };
+  };
+
+  const collections = new Map();
+
+  // Same API as a storage backend, acting on the current tenant's store
+  const store = {
+    get backend() {
+      return currentStore().backend;
+    },
+    collection: (name) => {
+      if (!collections.has(name)) {
+        collections.set(name, routedCollection(name));
+      }
+      return collections.get(name);
+    },
+    persist: () => currentStore().persist(),
+    reset: () => currentStore().reset(),
+    snapshot: () => currentStore().snapshot(),
+    restore: (snapshot) => currentStore().restore(snapshot)
+  };
+
+  // One instance per tenant of something that keeps state outside the store, made on first use
+  const perTenant = (factory) => {
+    const instances = new Map();
+    return (tenantId = currentId()) => {
+      if (!instances.has(tenantId)) {
+        instances.set(tenantId, factory(tenantId));
+      }
+      return instances.get(tenantId);
+    };
+  };
+
+  // Run the rest of the request as the tenant named by X-Tenant-Id (or the default tenant)
+  const middleware = (req, res, next) => {
+    const header = req.get(TENANT_HEADER);
+
+    if (header !== undefined && !isTenantId(header)) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: `Invalid ${TENANT_HEADER} header: ${header}. Use up to 64 letters, digits, _ or -`
+      });
+    }
+
+    req.tenantId = header || DEFAULT_TENANT;
+    run(req.tenantId, next);
+  };
+
+  // After authentication: a token with a tenant claim acts as that tenant, and cannot
+  // be pointed at another one with the header
+  const tokenTenant = (req, res, next) => {
+    const claim = req.auth && req.auth.tenantId;
+    if (!claim) {
+      return next();
+    }
+
+    const header = req.get(TENANT_HEADER);
+    if (!isTenantId(claim) || (header !== undefined && header !== claim)) {
+      return res.status(403).json({
+        error: 'FORBIDDEN',
+        message: `Token is not permitted to access tenant ${header || DEFAULT_TENANT}`
+      });
+    }
+
+    req.tenantId = claim;
+    run(claim, next);
+  };
+
+  return {
+    store,
+    currentId,
+    run,
+    bind,
+    perTenant,
+    middleware,
+    tokenTenant,
+    list: () => Array.from(tenants.values(), ({ tenantId, createdAt }) => ({ tenantId, createdAt }))
+  };
+};
+
+module.exports = {
+  TENANT_HEADER,
+  DEFAULT_TENANT,
+  isTenantId,
+  tenantStoreFile,
+  createTenants
+};
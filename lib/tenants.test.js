@@ -0,0 +1,103 @@
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./storage');
+const { createTenants, tenantStoreFile, isTenantId, DEFAULT_TENANT } = require('./tenants');
+
+describe('Tenants', () => {
+  let tenants;
+  let seeded;
+
+  beforeEach(() => {
+    seeded = [];
+    tenants = createTenants({
+      createStore: () => createStore(),
+      onCreate: (tenantId) => {
+        seeded.push(tenantId);
+        tenants.store.collection('orders').set('ord-seed', { orderId: 'ord-seed', tenantId: tenants.currentId() });
+      }
+    });
+  });
+
+  test('should route collections to the current tenant\'s store', () => {
+    const orders = tenants.store.collection('orders');
+
+    tenants.run('team-a', () => orders.set('ord-1', { orderId: 'ord-1' }));
+
+    expect(tenants.run('team-a', () => orders.values().map(order => order.orderId))).toEqual(['ord-seed', 'ord-1']);
+    expect(tenants.run('team-b', () => orders.has('ord-1'))).toBe(false);
+    expect(orders.get('ord-seed')).toEqual({ orderId: 'ord-seed', tenantId: DEFAULT_TENANT });
+    expect(seeded).toEqual(['team-a', 'team-b', DEFAULT_TENANT]);
+
+    tenants.run('team-a', () => tenants.store.reset());
+    expect(tenants.run('team-a', () => orders.size)).toBe(0);
+    expect(tenants.run('team-b', () => orders.size)).toBe(1);
+    expect(tenants.list().map(tenant => tenant.tenantId)).toEqual(['team-a', 'team-b', DEFAULT_TENANT]);
+  });
+
+  test('should keep the tenant for callbacks run later', () => {
+    const later = tenants.run('team-a', () => tenants.bind(() => tenants.currentId()));
+    expect(later()).toBe('team-a');
+
+    const counters = tenants.perTenant(tenantId => ({ tenantId }));
+    expect(tenants.run('team-b', () => counters())).toBe(tenants.run('team-b', () => counters()));
+    expect(counters('team-a').tenantId).toBe('team-a');
+  });
+
+  test('should validate tenant IDs and name their store files', () => {
+    expect(isTenantId('team-a_1')).toBe(true);
+    expect(isTenantId('../etc')).toBe(false);
+    expect(isTenantId('-team')).toBe(false);
+
+    expect(tenantStoreFile('data/store.json', DEFAULT_TENANT)).toBe('data/store.json');
+    expect(tenantStoreFile('data/store.json', 'team-a')).toBe('data/store.team-a.json');
+  });
+});
+
+describe('Tenant-bound tokens in the mock', () => {
+  let app;
+
+  beforeEach(() => {
+    process.env.AUTH_MODE = 'jwt';
+    process.env.AUTH_JWT_SECRET = 'tenant-secret';
+    process.env.AUTH_TOKEN_ENDPOINT = 'true';
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    delete process.env.AUTH_MODE;
+    delete process.env.AUTH_JWT_SECRET;
+    delete process.env.AUTH_TOKEN_ENDPOINT;
+  });
+
+  const mint = async (tenantId) => (await request(app)
+    .post('/admin/tokens')
+    .send({ sub: 'team-a-ci', tenantId })).body.token;
+
+  test('should act as the tenant named by the token', async () => {
+    const token = await mint('team-a');
+
+    const placed = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Idempotency-Key', uuidv4())
+      .send({ customerId: 'cust-tenant', items: [{ productId: 'prod-001', quantity: 1, unitPrice: 29.99 }] });
+    expect(placed.status).toBe(201);
+
+    const byHeader = await request(app)
+      .get(`/api/v1/orders/${placed.body.orderId}`)
+      .set('Authorization', `Bearer ${await mint()}`)
+      .set('X-Tenant-Id', 'team-a');
+    expect(byHeader.status).toBe(200);
+
+    const other = await request(app)
+      .get(`/api/v1/orders/${placed.body.orderId}`)
+      .set('Authorization', `Bearer ${await mint()}`);
+    expect(other.status).toBe(404);
+
+    const crossTenant = await request(app)
+      .get(`/api/v1/orders/${placed.body.orderId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .set('X-Tenant-Id', 'team-b');
+    expect(crossTenant.status).toBe(403);
+    expect(crossTenant.body.error).toBe('FORBIDDEN');
+  });
+});
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { fingerprint } = require('./idempotency');
+const { sendRequest } = require('./http-client');
+const { redactPath } = require('./logging');
+
+// Traffic recording and replay
+//
+// Recording appends every request/response pair to a JSONL log, one exchange
+// per line. A log can be replayed in two ways:
+//
+//   serve    - the mock answers with the recorded responses, matched on method,
+//              URL and request body. Repeated requests get the recorded
+//              responses in order (the last one repeats once they run out).
+//   execute  - the recorded requests are re-sent to the running mock at
+//              startup to rebuild its state. IDs and ETags that differ from
+//              the recording are mapped onto later requests.
+//
+// Recordings hold no credentials: the Authorization header and ?access_token=
+// are redacted, and execute mode sends a token of its own in their place.
+
+const SKIPPED_REQUEST_HEADERS = ['host', 'connection', 'content-length', 'accept-encoding'];
+const SKIPPED_RESPONSE_HEADERS = ['date', 'connection', 'keep-alive', 'content-length', 'transfer-encoding', 'x-powered-by'];
+
+const REDACTED = 'REDACTED';
+
+// `Bearer abc` -> `Bearer REDACTED`
+const redactAuthorization = (value) => value.replace(/^(\S+ +)?.*$/, `$1${REDACTED}`);
+
+const pickHeaders = (headers, skipped) => {
+  const picked = {};
+  Object.entries(headers)
+    .filter(([name]) => !skipped.includes(name.toLowerCase()))
+    .forEach(([name, value]) => { picked[name.toLowerCase()] = value; });
+  return picked;
+};
+
+// express.json() leaves {} for requests without a body
+const requestBody = (body) => {
+  if (body === undefined || (body && typeof body === 'object' && !Array.isArray(body) && Object.keys(body).length === 0)) {
+    return null;
+  }
+  return body;
+};
+
+const parseBody = (body) => {
+  if (body === undefined || body === null) {
+    return null;
+  }
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : body;
+  if (typeof text !== 'string') {
+    return text;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+// Middleware appending one JSON line per handled request
+const createRecorder = ({ file, now = () => new Date() }) => {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+
+  return (req, res, next) => {
+    const startedAt = Date.now();
+    const recordedAt = now().toISOString();
+    let sentBody;
+
+    const send = res.send.bind(res);
+    res.send = (body) => {
+      sentBody = body;
+      return send(body);
+    };
+
+    res.on('close', () => {
+      const headers = pickHeaders(req.headers, SKIPPED_REQUEST_HEADERS);
+      if (headers.authorization) {
+        headers.authorization = redactAuthorization(headers.authorization);
+      }
+
+      const entry = {
+        recordedAt,
+        durationMs: Date.now() - startedAt,
+        method: req.method,
+        url: redactPath(req.originalUrl),
+        request: {
+          headers,
+          body: requestBody(req.body)
+        },
+        // A connection closed before the response finished (e.g. an injected drop fault)
+        response: res.writableFinished
+          ? { status: res.statusCode, headers: pickHeaders(res.getHeaders(), SKIPPED_RESPONSE_HEADERS), body: parseBody(sentBody) }
+          : { dropped: true }
+      };
+      fs.appendFileSync(file, `${JSON.stringify(entry)}\n`);
+    });
+
+    next();
+  };
+};
+
+const loadRecording = (file) => fs.readFileSync(file, 'utf8')
+  .split('\n')
+  .map((line, index) => {
+    if (!line.trim()) {
+      return null;
+    }
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${file}:${index + 1}: invalid JSON (${error.message})`);
+    }
+  })
+  .filter(Boolean);
+
+// Query string tokens are left out, as they are from the recording
+const exchangeKey = (method, url, body) => `${method.toUpperCase()} ${redactPath(url)} ${fingerprint(requestBody(body))}`;
+
+// Middleware answering from a recording (serve mode)
+const createReplayer = (entries) => {
+  const queues = new Map();
+  entries.forEach(entry => {
+    const key = exchangeKey(entry.method, entry.url, entry.request.body);
+    queues.set(key, [...(queues.get(key) || []), entry]);
+  });
+
+  return (req, res) => {
+    const queue = queues.get(exchangeKey(req.method, req.originalUrl, req.body));
+
+    if (!queue) {
+      return res.status(404).json({
+        error: 'NOT_RECORDED',
+        message: `No recorded response for ${req.method} ${req.originalUrl}`
+      });
+    }
+
+    const { response } = queue.length > 1 ? queue.shift() : queue[0];
+
+    if (response.dropped) {
+      return req.socket.destroy();
+    }
+
+    res.status(response.status).set(response.headers);
+    if (response.body === null) {
+      return res.end();
+    }
+    res.send(typeof response.body === 'string' ? response.body : JSON.stringify(response.body));
+  };
+};
+
+// Record IDs (fields named *Id) that came back different from the recording
+const collectIdChanges = (recorded, actual, mapping, key = '') => {
+  if (Array.isArray(recorded) && Array.isArray(actual)) {
+    recorded.forEach((value, index) => collectIdChanges(value, actual[index], mapping, key));
+  } else if (recorded && actual && typeof recorded === 'object' && typeof actual === 'object') {
+    Object.keys(recorded).forEach(field => collectIdChanges(recorded[field], actual[field], mapping, field));
+  } else if (/id$/i.test(key) && typeof recorded === 'string' && typeof actual === 'string' && recorded !== actual) {
+    mapping.set(recorded, actual);
+  }
+};
+
+const applyMapping = (value, mapping) => {
+  if (value === null || value === undefined || mapping.size === 0) {
+    return value;
+  }
+  let text = typeof value === 'string' ? value : JSON.stringify(value);
+  mapping.forEach((actual, recorded) => { text = text.split(recorded).join(actual); });
+  return typeof value === 'string' ? text : JSON.parse(text);
+};
+
+// Put `token` where the recording has a redacted one
+const withToken = (url, headers, token) => {
+  if (!token) {
+    return { url, headers };
+  }
+  return {
+    url: url.replace(/([?&]access_token=)REDACTED(?=&|$)/g, (match, param) => `${param}${encodeURIComponent(token)}`),
+    headers: headers.authorization
+      ? { ...headers, authorization: headers.authorization.replace(/REDACTED$/, () => token) }
+      : headers
+  };
+};
+
+// Re-send recorded requests (execute mode), authenticated with `token`; resolves to { replayed, mismatches }
+const replayRequests = async ({ baseUrl, entries, token }) => {
+  const mapping = new Map();
+  const mismatches = [];
+
+  for (const entry of entries) {
+    const mappedHeaders = {};
+    Object.entries(entry.request.headers || {}).forEach(([name, value]) => { mappedHeaders[name] = applyMapping(value, mapping); });
+    const { url, headers } = withToken(applyMapping(entry.url, mapping), mappedHeaders, token);
+
+    const response = await sendRequest(baseUrl, {
+      method: entry.method,
+      path: url,
+      headers,
+      body: entry.request.body === null ? undefined : applyMapping(entry.request.body, mapping)
+    }).catch(error => ({ status: null, headers: {}, body: null, error }));
+
+    if (entry.response.dropped) {
+      continue;
+    }
+
+    collectIdChanges(entry.response.body, response.body, mapping);
+    if (entry.response.headers.etag && response.headers.etag && entry.response.headers.etag !== response.headers.etag) {
+      mapping.set(entry.response.headers.etag, response.headers.etag);
+    }
+
+    if (response.status !== entry.response.status) {
+      mismatches.push({ method: entry.method, url, recordedStatus: entry.response.status, status: response.status });
+    }
+  }
+
+  return { replayed: entries.length, mismatches };
+};
+
+module.exports = {
+  createRecorder,
+  loadRecording,
+  createReplayer,
+  replayRequests
+};
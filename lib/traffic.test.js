@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { loadRecording, replayRequests } = require('./traffic');
+
+describe('Traffic recording and replay', () => {
+  let dir;
+  let recordFile;
+
+  const loadServer = (env) => {
+    let app;
+    Object.assign(process.env, env);
+    jest.isolateModules(() => {
+      app = require('../server');
+    });
+    Object.keys(env).forEach(name => delete process.env[name]);
+    return app;
+  };
+
+  // Record a create -> get -> confirm session against a fresh server
+  const recordSession = async () => {
+    const app = loadServer({ RECORD_FILE: recordFile });
+
+    const created = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer qa-token')
+      .set('Idempotency-Key', uuidv4())
+      .send({ customerId: 'cust-qa', items: [{ productId: 'prod-001', quantity: 1, unitPrice: 10.00 }] });
+
+    await request(app)
+      .get(`/api/v1/orders/${created.body.orderId}`)
+      .set('Authorization', 'Bearer qa-token');
+
+    await request(app)
+      .patch(`/api/v1/orders/${created.body.orderId}/status`)
+      .set('Authorization', 'Bearer qa-token')
+      .set('If-Match', created.headers.etag)
+      .send({ status: 'confirmed' });
+
+    await request(app)
+      .get(`/api/v1/orders/${created.body.orderId}`)
+      .set('Authorization', 'Bearer qa-token');
+
+    return created.body;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'traffic-'));
+    recordFile = path.join(dir, 'session.jsonl');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should append every exchange to the log', async () => {
+    const order = await recordSession();
+    const entries = loadRecording(recordFile);
+
+    expect(entries.map(entry => `${entry.method} ${entry.response.status}`)).toEqual(['POST 201', 'GET 200', 'PATCH 200', 'GET 200']);
+    expect(entries[0].request.headers.authorization).toBe('Bearer REDACTED');
+    expect(fs.readFileSync(recordFile, 'utf8')).not.toContain('qa-token');
+    expect(entries[0].request.body.customerId).toBe('cust-qa');
+    expect(entries[0].response.headers.etag).toBeDefined();
+    expect(entries[1].request.body).toBeNull();
+    expect(entries[3].response.body).toMatchObject({ orderId: order.orderId, status: 'confirmed' });
+  });
+
+  test('should serve recorded responses in order', async () => {
+    const order = await recordSession();
+    const app = loadServer({ REPLAY_FILE: recordFile });
+
+    const before = await request(app).get(`/api/v1/orders/${order.orderId}`).set('Authorization', 'Bearer other-token');
+    const after = await request(app).get(`/api/v1/orders/${order.orderId}`).set('Authorization', 'Bearer other-token');
+    const again = await request(app).get(`/api/v1/orders/${order.orderId}`).set('Authorization', 'Bearer other-token');
+
+    expect(before.body.status).toBe('pending');
+    expect(after.body.status).toBe('confirmed');
+    expect(again.body).toEqual(after.body);
+    expect(after.headers.etag).toBe(loadRecording(recordFile)[3].response.headers.etag);
+
+    const unknown = await request(app).get('/api/v1/orders/ord-unknown').set('Authorization', 'Bearer qa-token');
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error).toBe('NOT_RECORDED');
+  });
+
+  test('should rebuild state by re-executing a recording', async () => {
+    const recorded = await recordSession();
+    const app = loadServer({});
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    try {
+      const { replayed, mismatches } = await replayRequests({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        entries: loadRecording(recordFile)
+      });
+
+      expect(replayed).toBe(4);
+      expect(mismatches).toEqual([]);
+    } finally {
+      server.close();
+    }
+
+    const search = await request(app).get('/api/v1/orders?customerId=cust-qa').set('Authorization', 'Bearer qa-token');
+    expect(search.body.orders).toHaveLength(1);
+    expect(search.body.orders[0].orderId).not.toBe(recorded.orderId);
+    expect(search.body.orders[0].status).toBe('confirmed');
+  });
+
+  test('should redact query string tokens and match requests without them', async () => {
+    const app = loadServer({ RECORD_FILE: recordFile });
+    await request(app).get('/api/v1/orders/ord-sample-0001?access_token=qa-token');
+
+    const [entry] = loadRecording(recordFile);
+    expect(entry.url).toBe('/api/v1/orders/ord-sample-0001?access_token=REDACTED');
+
+    const replayer = loadServer({ REPLAY_FILE: recordFile });
+    const served = await request(replayer).get('/api/v1/orders/ord-sample-0001?access_token=other-token');
+    expect(served.status).toBe(entry.response.status);
+    expect(served.body).toEqual(entry.response.body);
+  });
+
+  test('should re-execute a recording with the replay token', async () => {
+    await recordSession();
+    const app = loadServer({ AUTH_MODE: 'jwt', AUTH_JWT_SECRET: 'replay-secret', AUTH_TOKEN_ENDPOINT: 'true' });
+    const { token } = (await request(app).post('/admin/tokens').send({ sub: 'qa-replay' })).body;
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    try {
+      const anonymous = await replayRequests({ baseUrl, entries: loadRecording(recordFile).slice(0, 1) });
+      expect(anonymous.mismatches).toEqual([expect.objectContaining({ recordedStatus: 201, status: 401 })]);
+
+      const { mismatches } = await replayRequests({ baseUrl, entries: loadRecording(recordFile), token });
+      expect(mismatches).toEqual([]);
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+
+// Webhooks
+//
+// Subscriptions register a URL and the event types they care about. Every
+// matching event from the event bus becomes a delivery: a signed JSON POST
+// that is retried with exponential backoff until it gets a 2xx response or
+// runs out of attempts. Deliveries and their attempts are kept in a log that
+// can be inspected per subscription.
+//
+// Signature: X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+// where timestamp is the X-Webhook-Timestamp header (unix seconds).
+
+const EVENT_TYPES = [
+  'order.created',
+  'order.updated',
+  'order.status_changed',
+  'order.confirmed',
+  'order.processing',
+  'order.shipped',
+  'order.delivered',
+  'order.cancelled'
+];
+
+const sign = (secret, timestamp, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+const postJson = (url, body, headers, timeoutMs) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const req = client.request(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      ...headers
+    },
+    timeout: timeoutMs
+  }, (res) => {
+    res.resume();
+    res.on('end', () => resolve({ status: res.statusCode }));
+  });
+
+  req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeoutMs}ms`)));
+  req.on('error', reject);
+  req.end(body);
+});
+
+const validateSubscription = ({ url, events }, eventTypes) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'A valid url is required';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'url must use http or https';
+  }
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'At least one event type is required';
+  }
+  const unknown = events.filter(type => type !== '*' && !eventTypes.includes(type));
+  if (unknown.length > 0) {
+    return `Unknown event types: ${unknown.join(', ')}. Must be one of: *, ${eventTypes.join(', ')}`;
+  }
+  return null;
+};
+
+const createWebhooks = ({
+  subscriptions,
+  deliveries,
+  events,
+  eventTypes = EVENT_TYPES,
+  maxAttempts = 5,
+  retryBaseMs = 1000,
+  timeoutMs = 5000,
+  send = postJson,
+  now = () => new Date(),
+  // Returns a function that cancels the callback
+  schedule = (callback, delayMs) => {
+    const timer = setTimeout(callback, delayMs).unref();
+    return () => clearTimeout(timer);
+  },
+  logger = { error: () => {} }
+}) => {
+  // deliveryId -> cancels its pending retry
+  const pendingRetries = new Map();
+
+  const attemptDelivery = async (deliveryId, event) => {
+    pendingRetries.delete(deliveryId);
+    const delivery = deliveries.get(deliveryId);
+
+    // The delivery log was cleared (store reset) while a retry was pending
+    if (!delivery) {
+      return;
+    }
+
+    const subscription = subscriptions.get(delivery.webhookId);
+
+    // The subscription was removed while a retry was pending
+    if (!subscription) {
+      deliveries.set(deliveryId, { ...delivery, status: 'failed', nextAttemptAt: null });
+      return;
+    }
+
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(now().getTime() / 1000);
+    const attemptNumber = delivery.attempts.length + 1;
+    const startedAt = Date.now();
+    const attempt = { attempt: attemptNumber, attemptedAt: now().toISOString() };
+
+    try {
+      const response = await send(subscription.url, body, {
+        'X-Webhook-Id': subscription.webhookId,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Event': event.type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${sign(subscription.secret, timestamp, body)}`,
+        ...(event.requestId ? { 'X-Request-Id': event.requestId } : {})
+      }, timeoutMs);
+      attempt.responseStatus = response.status;
+      attempt.success = response.status >= 200 && response.status < 300;
+    } catch (error) {
+      attempt.error = error.message;
+      attempt.success = false;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    const attempts = [...delivery.attempts, attempt];
+
+    if (attempt.success) {
+      deliveries.set(deliveryId, { ...delivery, attempts, status: 'succeeded', nextAttemptAt: null });
+      return;
+    }
+
+    if (attemptNumber >= maxAttempts) {
+      deliveries.set(deliveryId, { ...delivery, attempts, status: 'failed', nextAttemptAt: null });
+      return;
+    }
+
+    const delay = retryBaseMs * Math.pow(2, attemptNumber - 1);
+    deliveries.set(deliveryId, {
+      ...delivery,
+      attempts,
+      status: 'retrying',
+      nextAttemptAt: new Date(now().getTime() + delay).toISOString()
+    });
+
+    pendingRetries.set(deliveryId, schedule(() => deliver(deliveryId, event), delay));
+  };
+
+  const deliver = (deliveryId, event) => attemptDelivery(deliveryId, event).catch(error => {
+    logger.error('Webhook delivery failed', { deliveryId, error: error.stack });
+  });
+
+  // Cancel the pending retries of the deliveries in the log, e.g. before a store reset
+  const cancelRetries = () => {
+    deliveries.values()
+      .filter(delivery => pendingRetries.has(delivery.deliveryId))
+      .forEach(delivery => {
+        pendingRetries.get(delivery.deliveryId)();
+        pendingRetries.delete(delivery.deliveryId);
+      });
+  };
+
+  const dispatch = (event) => {
+    subscriptions.values()
+      .filter(subscription => subscription.events.includes('*') || subscription.events.includes(event.type))
+      .forEach(subscription => {
+        const delivery = {
+          deliveryId: `dlv-${uuidv4()}`,
+          webhookId: subscription.webhookId,
+          eventId: event.eventId,
+          eventType: event.type,
+          url: subscription.url,
+          status: 'pending',
+          attempts: [],
+          nextAttemptAt: null,
+          createdAt: now().toISOString()
+        };
+        deliveries.set(delivery.deliveryId, delivery);
+        deliver(delivery.deliveryId, event);
+      });
+  };
+
+  events.subscribe(dispatch);
+
+  const router = express.Router();
+
+  const findSubscription = (req, res, next) => {
+    const subscription = subscriptions.get(req.params.webhookId);
+    if (!subscription) {
+      return res.status(404).json({
+        error: 'NOT_FOUND',
+        message: 'Webhook subscription not found'
+      });
+    }
+    req.subscription = subscription;
+    next();
+  };
+
+  router.post('/', (req, res) => {
+    const { url, events: requestedEvents, secret, description } = req.body || {};
+
+    const validationError = validateSubscription({ url, events: requestedEvents }, eventTypes);
+    if (validationError) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: validationError
+      });
+    }
+
+    const subscription = {
+      webhookId: `wh-${uuidv4()}`,
+      url,
+      events: requestedEvents,
+      secret: secret || crypto.randomBytes(24).toString('hex'),
+      description: description || null,
+      createdAt: now().toISOString()
+    };
+
+    subscriptions.set(subscription.webhookId, subscription);
+    res.status(201).json(subscription);
+  });
+
+  router.get('/', (req, res) => {
+    res.json({ webhooks: subscriptions.values() });
+  });
+
+  router.get('/:webhookId', findSubscription, (req, res) => {
+    res.json(req.subscription);
+  });
+
+  router.delete('/:webhookId', findSubscription, (req, res) => {
+    subscriptions.delete(req.params.webhookId);
+    res.status(204).end();
+  });
+
+  router.get('/:webhookId/deliveries', findSubscription, (req, res) => {
+    const log = deliveries.values()
+      .filter(delivery => delivery.webhookId === req.params.webhookId)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({ deliveries: log });
+  });
+
+  return {
+    router,
+    dispatch,
+    cancelRetries
+  };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  sign,
+  createWebhooks
+};
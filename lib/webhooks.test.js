@@ -0,0 +1,130 @@
+const http = require('http');
+const { createStore } = require('./storage');
+const { createEventBus } = require('./events');
+const { createWebhooks, sign } = require('./webhooks');
+
+describe('Webhooks', () => {
+  let receiver;
+  let receiverUrl;
+  let received;
+  let responses;
+
+  const waitFor = async (predicate, timeoutMs = 2000) => {
+    const started = Date.now();
+    while (!predicate()) {
+      if (Date.now() - started > timeoutMs) {
+        throw new Error('Timed out waiting for condition');
+      }
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  const setup = (options = {}) => {
+    const store = createStore();
+    const events = createEventBus();
+    const subscriptions = store.collection('webhooks');
+    const deliveries = store.collection('webhookDeliveries');
+    const webhooks = createWebhooks({ subscriptions, deliveries, events, retryBaseMs: 10, ...options });
+    return { webhooks, events, subscriptions, deliveries };
+  };
+
+  beforeEach(async () => {
+    received = [];
+    responses = [];
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.statusCode = responses.shift() || 200;
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  test('should deliver signed events to matching subscriptions', async () => {
+    const { events, subscriptions, deliveries } = setup();
+    subscriptions.set('wh-1', { webhookId: 'wh-1', url: receiverUrl, events: ['order.created'], secret: 'shh' });
+    subscriptions.set('wh-2', { webhookId: 'wh-2', url: receiverUrl, events: ['order.cancelled'], secret: 'shh' });
+
+    events.publish('order.created', { order: { orderId: 'ord-1' } });
+
+    await waitFor(() => deliveries.values().some(delivery => delivery.status === 'succeeded'));
+
+    expect(received).toHaveLength(1);
+    const { headers, body } = received[0];
+    expect(headers['x-webhook-event']).toBe('order.created');
+    expect(headers['x-webhook-signature']).toBe(`sha256=${sign('shh', headers['x-webhook-timestamp'], body)}`);
+    expect(JSON.parse(body).data.order.orderId).toBe('ord-1');
+  });
+
+  test('should retry failed deliveries with backoff', async () => {
+    const { events, subscriptions, deliveries } = setup();
+    subscriptions.set('wh-1', { webhookId: 'wh-1', url: receiverUrl, events: ['*'], secret: 'shh' });
+    responses = [500, 503];
+
+    events.publish('order.status_changed', { order: { orderId: 'ord-1' } });
+
+    await waitFor(() => deliveries.values().some(delivery => delivery.status === 'succeeded'));
+
+    const [delivery] = deliveries.values();
+    expect(delivery.attempts.map(attempt => attempt.responseStatus)).toEqual([500, 503, 200]);
+    expect(received).toHaveLength(3);
+  });
+
+  test('should mark deliveries as failed after the last attempt', async () => {
+    const { events, subscriptions, deliveries } = setup({ maxAttempts: 2 });
+    subscriptions.set('wh-1', { webhookId: 'wh-1', url: 'http://127.0.0.1:1/unreachable', events: ['*'], secret: 'shh' });
+
+    events.publish('order.created', { order: { orderId: 'ord-1' } });
+
+    await waitFor(() => deliveries.values().some(delivery => delivery.status === 'failed'));
+
+    const [delivery] = deliveries.values();
+    expect(delivery.attempts).toHaveLength(2);
+    expect(delivery.attempts[0].error).toBeDefined();
+  });
+
+  test('should drop retries whose delivery was cleared from the log', async () => {
+    const retries = [];
+    const cancelled = [];
+    const schedule = (callback) => {
+      retries.push(callback);
+      return () => cancelled.push(callback);
+    };
+    const { events, subscriptions, deliveries } = setup({ schedule });
+    subscriptions.set('wh-1', { webhookId: 'wh-1', url: receiverUrl, events: ['*'], secret: 'shh' });
+    responses = [500];
+
+    events.publish('order.created', { order: { orderId: 'ord-1' } });
+    await waitFor(() => retries.length === 1);
+
+    deliveries.clear();
+    await retries[0]();
+
+    expect(received).toHaveLength(1);
+    expect(deliveries.size).toBe(0);
+    expect(cancelled).toHaveLength(0);
+  });
+
+  test('should cancel pending retries of the logged deliveries', async () => {
+    const cancelled = [];
+    const schedule = (callback) => () => cancelled.push(callback);
+    const { webhooks, events, subscriptions, deliveries } = setup({ schedule });
+    subscriptions.set('wh-1', { webhookId: 'wh-1', url: receiverUrl, events: ['*'], secret: 'shh' });
+    responses = [500];
+
+    events.publish('order.created', { order: { orderId: 'ord-1' } });
+    await waitFor(() => deliveries.values().some(delivery => delivery.status === 'retrying'));
+
+    webhooks.cancelRetries();
+    webhooks.cancelRetries();
+    expect(cancelled).toHaveLength(1);
+  });
+});
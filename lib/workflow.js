@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Order workflow
+//
+// The order state machine is loaded from a definition file (YAML or JSON, see
+// config/workflow.yaml) instead of being hard-coded, so status validation,
+// allowed transitions and per-transition requirements all come from one place.
+
+const DEFAULT_WORKFLOW_FILE = path.join(__dirname, '..', 'config', 'workflow.yaml');
+
+// Transitions may be a list of statuses or a map of status -> { requires }
+const normalizeTransitions = (transitions = []) => {
+  if (Array.isArray(transitions)) {
+    return transitions.map(to => ({ to, requires: [] }));
+  }
+  return Object.entries(transitions).map(([to, options]) => ({
+    to,
+    requires: (options && options.requires) || []
+  }));
+};
+
+const createWorkflow = (definition) => {
+  if (!definition || typeof definition !== 'object' || !definition.states) {
+    throw new Error('Workflow definition must declare states');
+  }
+
+  const states = Object.entries(definition.states).map(([name, options = {}]) => ({
+    name,
+    terminal: Boolean(options && options.terminal),
+    editable: Boolean(options && options.editable),
+    transitions: normalizeTransitions(options && options.transitions)
+  }));
+  const byName = new Map(states.map(state => [state.name, state]));
+  const initial = definition.initial || (states[0] && states[0].name);
+
+  if (!byName.has(initial)) {
+    throw new Error(`Workflow initial state "${initial}" is not a declared state`);
+  }
+
+  states.forEach(state => {
+    if (state.terminal && state.transitions.length > 0) {
+      throw new Error(`Terminal state "${state.name}" cannot have transitions`);
+    }
+    state.transitions.forEach(transition => {
+      if (!byName.has(transition.to)) {
+        throw new Error(`State "${state.name}" has a transition to unknown state "${transition.to}"`);
+      }
+      if (!Array.isArray(transition.requires)) {
+        throw new Error(`Requirements for "${state.name}" -> "${transition.to}" must be a list of fields`);
+      }
+    });
+  });
+
+  const statuses = states.map(state => state.name);
+
+  const findTransition = (from, to) => {
+    const state = byName.get(from);
+    return state && state.transitions.find(transition => transition.to === to);
+  };
+
+  const isStatus = (status) => byName.has(status);
+
+  const isTerminal = (status) => Boolean(byName.has(status) && byName.get(status).terminal);
+
+  // Items and addresses can only be modified while the order is in an editable state
+  const isEditable = (status) => Boolean(byName.has(status) && byName.get(status).editable);
+
+  const canTransition = (from, to) => Boolean(findTransition(from, to));
+
+  const nextStatuses = (from) => byName.has(from)
+    ? byName.get(from).transitions.map(transition => transition.to)
+    : [];
+
+  // Fields required by the from -> to transition that are missing from the request body
+  const missingRequirements = (from, to, body = {}) => {
+    const transition = findTransition(from, to);
+    if (!transition) {
+      return [];
+    }
+    return transition.requires.filter(field => body[field] === undefined || body[field] === null || body[field] === '');
+  };
+
+  const requirementsFor = (from, to) => {
+    const transition = findTransition(from, to);
+    return transition ? transition.requires : [];
+  };
+
+  // Shortest list of statuses leading from the initial status to `status` ([] for the initial status, null if unreachable)
+  const pathTo = (status) => {
+    const paths = new Map([[initial, []]]);
+    const queue = [initial];
+
+    while (queue.length > 0 && !paths.has(status)) {
+      const from = queue.shift();
+      nextStatuses(from).forEach(to => {
+        if (!paths.has(to)) {
+          paths.set(to, [...paths.get(from), to]);
+          queue.push(to);
+        }
+      });
+    }
+    return paths.get(status) || null;
+  };
+
+  const toJSON = () => ({
+    initial,
+    states,
+    terminalStates: states.filter(state => state.terminal).map(state => state.name),
+    editableStates: states.filter(state => state.editable).map(state => state.name)
+  });
+
+  return {
+    initial,
+    statuses,
+    isStatus,
+    isTerminal,
+    isEditable,
+    canTransition,
+    nextStatuses,
+    missingRequirements,
+    requirementsFor,
+    pathTo,
+    toJSON
+  };
+};
+
+const loadWorkflow = (file = DEFAULT_WORKFLOW_FILE) => {
+  const source = fs.readFileSync(file, 'utf8');
+  const definition = /\.json$/i.test(file) ? JSON.parse(source) : yaml.load(source);
+  return createWorkflow(definition);
+};
+
+module.exports = {
+  DEFAULT_WORKFLOW_FILE,
+  createWorkflow,
+  loadWorkflow
+};
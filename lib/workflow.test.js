@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const { createWorkflow, loadWorkflow } = require('./workflow');
+
+describe('Workflow', () => {
+  test('default workflow should match the documented status transitions', () => {
+    const workflow = loadWorkflow();
+
+    expect(workflow.initial).toBe('pending');
+    expect(workflow.statuses).toEqual(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled']);
+    expect(workflow.nextStatuses('pending')).toEqual(['confirmed', 'cancelled']);
+    expect(workflow.canTransition('shipped', 'delivered')).toBe(true);
+    expect(workflow.canTransition('pending', 'delivered')).toBe(false);
+    expect(workflow.isTerminal('delivered')).toBe(true);
+    expect(workflow.isTerminal('processing')).toBe(false);
+  });
+
+  test('should find the shortest path to a status', () => {
+    const workflow = loadWorkflow();
+
+    expect(workflow.pathTo('pending')).toEqual([]);
+    expect(workflow.pathTo('shipped')).toEqual(['confirmed', 'processing', 'shipped']);
+    expect(workflow.pathTo('cancelled')).toEqual(['cancelled']);
+    expect(createWorkflow({ states: { a: {}, b: { transitions: ['a'] } } }).pathTo('b')).toBeNull();
+  });
+
+  test('should report missing per-transition requirements', () => {
+    const workflow = createWorkflow({
+      states: {
+        processing: { transitions: { shipped: { requires: ['trackingNumber'] }, cancelled: { requires: ['reason'] } } },
+        shipped: { terminal: true },
+        cancelled: { terminal: true }
+      }
+    });
+
+    expect(workflow.initial).toBe('processing');
+    expect(workflow.missingRequirements('processing', 'shipped', {})).toEqual(['trackingNumber']);
+    expect(workflow.missingRequirements('processing', 'shipped', { trackingNumber: '1Z999' })).toEqual([]);
+    expect(workflow.missingRequirements('processing', 'cancelled', { reason: '' })).toEqual(['reason']);
+  });
+
+  test('should reject inconsistent definitions', () => {
+    expect(() => createWorkflow({ states: { pending: { transitions: ['missing'] } } }))
+      .toThrow('unknown state "missing"');
+    expect(() => createWorkflow({ states: { done: { terminal: true, transitions: ['done'] } } }))
+      .toThrow('Terminal state "done"');
+    expect(() => createWorkflow({ initial: 'nope', states: { pending: {} } }))
+      .toThrow('initial state "nope"');
+  });
+
+  test('should load JSON definitions', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-workflow-'));
+    const file = path.join(tmpDir, 'workflow.json');
+    fs.writeFileSync(file, JSON.stringify({ initial: 'open', states: { open: { transitions: ['closed'] }, closed: { terminal: true } } }));
+
+    const workflow = loadWorkflow(file);
+
+    expect(workflow.statuses).toEqual(['open', 'closed']);
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('server with a custom workflow file', () => {
+    let tmpDir;
+    let app;
+
+    beforeAll(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-workflow-'));
+      process.env.WORKFLOW_FILE = path.join(tmpDir, 'workflow.yaml');
+      fs.writeFileSync(process.env.WORKFLOW_FILE, [
+        'initial: pending',
+        'states:',
+        '  pending:',
+        '    transitions:',
+        '      shipped: { requires: [trackingNumber] }',
+        '      cancelled: { requires: [reason] }',
+        '  shipped:',
+        '    terminal: true',
+        '  cancelled:',
+        '    terminal: true'
+      ].join('\n'));
+      jest.isolateModules(() => {
+        app = require('../server');
+      });
+    });
+
+    afterAll(() => {
+      delete process.env.WORKFLOW_FILE;
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    const createOrder = () => request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', 'Bearer test-token')
+      .set('Idempotency-Key', uuidv4())
+      .send({ customerId: 'cust-1', items: [{ productId: 'prod-001', quantity: 1, unitPrice: 10.00 }] });
+
+    test('should enforce transition requirements from the file', async () => {
+      const { body: order } = await createOrder();
+
+      const missing = await request(app)
+        .patch(`/api/v1/orders/${order.orderId}/status`)
+        .set('Authorization', 'Bearer test-token')
+        .send({ status: 'cancelled' });
+
+      expect(missing.status).toBe(400);
+      expect(missing.body.error).toBe('VALIDATION_ERROR');
+      expect(missing.body.message).toContain('reason');
+
+      const shipped = await request(app)
+        .patch(`/api/v1/orders/${order.orderId}/status`)
+        .set('Authorization', 'Bearer test-token')
+        .send({ status: 'shipped', trackingNumber: '1Z999AA10123456784' });
+
+      expect(shipped.status).toBe(200);
+      expect(shipped.body.trackingNumber).toBe('1Z999AA10123456784');
+    });
+
+    test('should validate statuses against the file', async () => {
+      const { body: order } = await createOrder();
+
+      const response = await request(app)
+        .patch(`/api/v1/orders/${order.orderId}/status`)
+        .set('Authorization', 'Bearer test-token')
+        .send({ status: 'confirmed' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toContain('pending, shipped, cancelled');
+    });
+  });
+});
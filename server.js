@@ -1,310 +1,1579 @@
 const express = require('express');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
+const { createStore } = require('./lib/storage');
+const { createFaultInjector } = require('./lib/faults');
+const { createIdempotencyRegistry, DEFAULT_TTL_HOURS } = require('./lib/idempotency');
+const { createAuth, authOptionsFromEnv, SCOPES } = require('./lib/auth');
+const { createEventBus } = require('./lib/events');
+const { createWebhooks } = require('./lib/webhooks');
+const { loadWorkflow, DEFAULT_WORKFLOW_FILE } = require('./lib/workflow');
+const { createPricing, loadTaxRates, activeQuantity, DEFAULT_TAX_RATES_FILE } = require('./lib/pricing');
+const { parseSearchQuery, searchOrders } = require('./lib/search');
+const { loadSpec, applyWorkflow, createContractValidator, validationError, DEFAULT_SPEC_FILE } = require('./lib/openapi');
+const { createRecorder, loadRecording, createReplayer, replayRequests } = require('./lib/traffic');
+const { createScenarios, DEFAULT_SCENARIOS_DIR } = require('./lib/scenarios');
+const {
+  SHIPPED_STATUS,
+  DELIVERED_STATUS,
+  isFullyShipped,
+  isFullyDelivered,
+  planShipmentItems,
+  createShipment,
+  addTrackingEvent
+} = require('./lib/shipments');
+const { runBatch } = require('./lib/batch');
+const { createCatalog, loadCatalogFile, validateCatalogFile, validateProduct, DEFAULT_CATALOG_FILE } = require('./lib/catalog');
+const {
+  normalizeAddress,
+  validateAddress,
+  validateContact,
+  validateDefaults,
+  savedAddress,
+  createCustomer,
+  updateCustomer,
+  saveAddress,
+  removeAddress
+} = require('./lib/customers');
+const { canTransitionReturn, claimedQuantities, planReturnItems, createReturn, transitionReturn, returnSummary } = require('./lib/returns');
+const { createClock } = require('./lib/clock');
+const { createSimulator, loadSimulatorSettings, DEFAULT_SIMULATOR_FILE } = require('./lib/simulator');
+const { createLogger, createRequestTracking } = require('./lib/logging');
+const { createMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { createEventStream, handleUpgrades, DEFAULT_BUFFER_SIZE, DEFAULT_HEARTBEAT_MS } = require('./lib/stream');
+const { createTenants, tenantStoreFile, isTenantId, DEFAULT_TENANT } = require('./lib/tenants');
+const { createRateLimiter, loadRateLimits, validateRateLimitsFile, DEFAULT_RATE_LIMITS_FILE } = require('./lib/rate-limits');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
  
+// Logging (LOG_LEVEL, LOG_FORMAT=json|pretty) and Prometheus metrics for GET /metrics
+
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'test' ? 'silent' : 'info'),
+  format: process.env.LOG_FORMAT || 'json'
+});
+
+const metrics = createMetrics();
+
+const httpRequests = metrics.counter('oms_http_requests_total', 'HTTP requests by method, route and status', ['method', 'route', 'status']);
+const httpRequestDuration = metrics.histogram('oms_http_request_duration_seconds', 'HTTP request latency in seconds by method, route and status', ['method', 'route', 'status']);
+const idempotentReplays = metrics.counter('oms_idempotent_replays_total', 'Requests answered with the result of an earlier request with the same idempotency key');
+
+// X-Request-Id on every response and error body, plus one access log record per request
+const requestTracking = createRequestTracking({
+  logger,
+  onFinish: ({ method, route, status, durationSeconds }) => {
+    httpRequests.inc({ method, route, status });
+    httpRequestDuration.observe({ method, route, status }, durationSeconds);
+  }
+});
+
 // Middleware
 
+app.use(requestTracking.middleware);
 app.use(cors());
-app.use(express.json());
+// Room for order batches (POST /orders:batch)
+app.use(express.json({ limit: '5mb' }));
+
+// Clock (managed through /admin/clock; CLOCK_START and CLOCK_FROZEN set it at startup).
+// X-Mock-Time handles a single request at a given instant.
+
+const clock = createClock({ logger });
+
+// Freeze before setting, so a frozen clock starts at exactly CLOCK_START
+if (process.env.CLOCK_FROZEN === 'true') {
+  clock.freeze();
+}
+if (process.env.CLOCK_START) {
+  const start = Date.parse(process.env.CLOCK_START);
+  if (isNaN(start)) {
+    throw new Error(`Invalid CLOCK_START: ${process.env.CLOCK_START}`);
+  }
+  clock.set(start);
+}
+
+app.use('/api/v1', clock.middleware);
+
+// Traffic recording (RECORD_FILE) and replay (REPLAY_FILE, with REPLAY_MODE=serve|execute)
+
+const replayMode = process.env.REPLAY_FILE ? (process.env.REPLAY_MODE || 'serve') : null;
+
+if (replayMode && !['serve', 'execute'].includes(replayMode)) {
+  throw new Error(`Unknown replay mode: ${replayMode}`);
+}
+
+if (process.env.RECORD_FILE) {
+  app.use('/api/v1', createRecorder({ file: process.env.RECORD_FILE, now: clock.now }));
+}
+
+if (replayMode === 'serve') {
+  app.use('/api/v1', createReplayer(loadRecording(process.env.REPLAY_FILE)));
+}
+
+// Storage (memory by default, or a JSON file on disk with STORAGE_BACKEND=file), one store per
+// tenant (X-Tenant-Id or the token's tenant_id claim). New tenants are seeded by seedTenant().
+
+const tenants = createTenants({
+  createStore: (tenantId) => createStore({
+    backend: process.env.STORAGE_BACKEND || 'memory',
+    file: tenantStoreFile(process.env.STORAGE_FILE || 'data/store.json', tenantId)
+  }),
+  onCreate: (tenantId) => seedTenant(tenantId),
+  now: clock.now
+});
+
+const { store } = tenants;
+
+// Ahead of the contract checks, like fault injection: a malformed X-Tenant-Id is a 400 on any route
+app.use('/api/v1', tenants.middleware);
+
+const orders = store.collection('orders');
+const orderHistory = store.collection('orderHistory');
+const customers = store.collection('customers');
+
+// With CUSTOMERS_ENFORCED=true, orders can only be placed for existing customers
+const customersEnforced = process.env.CUSTOMERS_ENFORCED === 'true';
+const shipments = store.collection('shipments');
+const returns = store.collection('returns');
+const idempotencyKeys = createIdempotencyRegistry(store.collection('idempotencyKeys'), {
+  ttlMs: Number(process.env.IDEMPOTENCY_TTL_HOURS || DEFAULT_TTL_HOURS) * 60 * 60 * 1000,
+  now: clock.nowMs
+});
+
+// Order workflow (states, transitions and requirements from WORKFLOW_FILE)
+
+const workflow = loadWorkflow(process.env.WORKFLOW_FILE || DEFAULT_WORKFLOW_FILE);
+
+// Pricing (currency, discounts, tax rates by region from TAX_RATES_FILE)
+
+const pricing = createPricing({
+  taxRates: loadTaxRates(process.env.TAX_RATES_FILE || DEFAULT_TAX_RATES_FILE),
+  defaultCurrency: process.env.DEFAULT_CURRENCY || 'USD'
+});
+
+// Product catalog and inventory (CATALOG_FILE, loaded into an empty store; with
+// CATALOG_ENFORCED=true orders must match it and reserve stock)
+
+const catalogFile = loadCatalogFile(process.env.CATALOG_FILE || DEFAULT_CATALOG_FILE);
+const catalogFileError = validateCatalogFile(catalogFile, { defaultCurrency: pricing.defaultCurrency });
+if (catalogFileError) {
+  throw new Error(`Invalid catalog file: ${catalogFileError}`);
+}
+
+const products = store.collection('products');
+
+const catalog = createCatalog({
+  products,
+  reservations: store.collection('reservations'),
+  enforce: process.env.CATALOG_ENFORCED === 'true' || catalogFile.enforce === true,
+  defaultCurrency: pricing.defaultCurrency,
+  now: clock.now
+});
+
+// Scenario fixtures (SCENARIOS_DIR; SCENARIO is loaded at startup into an empty store)
+
+const scenarios = createScenarios({
+  dir: process.env.SCENARIOS_DIR || DEFAULT_SCENARIOS_DIR,
+  workflow,
+  pricing,
+  now: clock.now
+});
+
+// Order lifecycle events and webhook delivery
+
+const orderEvents = createEventBus({ now: clock.now, requestId: requestTracking.currentRequestId });
+
+const webhookEventTypes = ['order.created', 'order.updated', 'order.status_changed', ...workflow.statuses.map(status => `order.${status}`), 'shipment.created', 'shipment.updated', 'return.created', 'return.status_changed'];
+
+const webhooks = createWebhooks({
+  subscriptions: store.collection('webhooks'),
+  deliveries: store.collection('webhookDeliveries'),
+  events: orderEvents,
+  eventTypes: webhookEventTypes,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5),
+  retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS || 1000),
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 5000),
+  now: clock.now,
+  // Retries run as the tenant whose event they deliver
+  schedule: (callback, delayMs) => clock.setTimeout(tenants.bind(callback), delayMs),
+  logger
+});
+
+// Live event streams for dashboards (the latest STREAM_BUFFER_SIZE events are kept for Last-Event-ID resumes)
+
+const eventStream = createEventStream({
+  events: orderEvents,
+  tenant: tenants.currentId,
+  bufferSize: Number(process.env.STREAM_BUFFER_SIZE || DEFAULT_BUFFER_SIZE),
+  heartbeatMs: Number(process.env.STREAM_HEARTBEAT_MS || DEFAULT_HEARTBEAT_MS)
+});
+
+// Lifecycle simulator (SIMULATOR_FILE; SIMULATOR_ENABLED=true turns it on, /admin/simulator tunes it at runtime).
+// Each tenant has its own, following only that tenant's events and orders.
+
+const simulatorSettings = {
+  ...loadSimulatorSettings(process.env.SIMULATOR_FILE || DEFAULT_SIMULATOR_FILE),
+  ...(process.env.SIMULATOR_ENABLED === 'true' ? { enabled: true } : {})
+};
+
+const simulatorFor = tenants.perTenant(tenantId => createSimulator({
+  workflow,
+  settings: simulatorSettings,
+  events: {
+    subscribe: (handler) => orderEvents.subscribe(event => tenants.currentId() === tenantId && handler(event))
+  },
+  getOrder: (orderId) => orders.get(orderId),
+  listOrders: () => orders.values(),
+  // Simulated steps get the same checks as manual ones: an order with open shipments waits for them
+  advance: (order, status, { reason, details: fields }) => {
+    const { rejection, details } = validateTransition(order, status, { reason, ...fields });
+    if (!rejection) {
+      transitionOrder(order, status, { reason, details });
+    }
+  },
+  now: clock.now,
+  schedule: (callback, delayMs) => clock.setTimeout(() => tenants.run(tenantId, callback), delayMs)
+}));
+
+// Rate limits (RATE_LIMITS_FILE; /admin/rate-limits changes them at runtime). Buckets refill on the mock clock.
+
+const rateLimitsFile = loadRateLimits(process.env.RATE_LIMITS_FILE || DEFAULT_RATE_LIMITS_FILE);
+const rateLimitsFileError = validateRateLimitsFile(rateLimitsFile);
+if (rateLimitsFileError) {
+  throw new Error(`Invalid rate limits file: ${rateLimitsFileError}`);
+}
+
+const rateLimits = createRateLimiter({ limits: rateLimitsFile.limits, nowMs: clock.clockMs });
+app.use('/api/v1', rateLimits.middleware);
+
+// Fault injection (rules are managed through /admin/faults)
+
+const faults = createFaultInjector();
+app.use('/api/v1', faults.middleware);
+
+// OpenAPI contract (OPENAPI_FILE). Requests are always validated against it;
+// API_CONTRACT_MODE=strict checks responses too (the default in development and test)
+
+const apiSpec = applyWorkflow(loadSpec(process.env.OPENAPI_FILE || DEFAULT_SPEC_FILE), {
+  statuses: workflow.statuses,
+  eventTypes: webhookEventTypes
+});
+
+const contractMode = process.env.API_CONTRACT_MODE
+  || (['development', 'test'].includes(process.env.NODE_ENV) ? 'strict' : 'requests');
+
+const contract = createContractValidator({
+  spec: apiSpec,
+  validateResponses: contractMode === 'strict',
+  logger
+});
+
+const { validateRequest } = contract;
+
+app.use(contract.checkResponses);
+
+// Auth middleware (AUTH_MODE=jwt enables JWT verification and scope checks)
+
+const auth = createAuth(authOptionsFromEnv());
+
+const { requireScope } = auth;
+
+// Tokens bound to a tenant switch the rest of the request to it
+const authenticateToken = [auth.authenticateToken, tenants.tokenTenant];
+
+const FORBIDDEN_CUSTOMER = {
+  error: 'FORBIDDEN',
+  message: 'Token is not permitted to access this customer'
+};
+
+const forbiddenCustomer = (res) => res.status(403).json(FORBIDDEN_CUSTOMER);
+
+// Load :orderId into req.order, enforcing existence and customer access
+
+const findOrder = (req, res, next) => {
+  const order = orders.get(req.params.orderId);
+
+  if (!order) {
+    return res.status(404).json({
+      error: 'NOT_FOUND',
+      message: 'Order not found'
+    });
+  }
+
+  if (!auth.canAccessCustomer(req, order.customerId)) {
+    return forbiddenCustomer(res);
+  }
+
+  req.order = order;
+  next();
+};
+
+// Utility functions
+
+const toLineItem = (item, lineNumber) => {
+  const line = {
+    lineId: `line-${lineNumber}`,
+    productId: item.productId,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    cancelledQuantity: 0
+  };
+  if (item.discount) {
+    line.discount = { type: item.discount.type, value: item.discount.value };
+  }
+  return line;
+};
+
+const nextLineNumber = (order) => order.items
+  .map(item => Number(String(item.lineId || '').replace('line-', '')) || 0)
+  .reduce((max, number) => Math.max(max, number), 0) + 1;
+
+// Bump lastUpdated, keeping it strictly increasing so it can serve as the ETag
+const touchOrder = (order, at = clock.nowMs()) => {
+  const previous = Date.parse(order.lastUpdated) || 0;
+  order.lastUpdated = new Date(Math.max(at, previous + 1)).toISOString();
+};
+
+const etagOf = (order) => `"${order.lastUpdated}"`;
+
+// True when there is no If-Match value or it matches the order's current ETag
+const etagMatches = (ifMatch, order) => {
+  if (!ifMatch || ifMatch.trim() === '*') {
+    return true;
+  }
+  return ifMatch.split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''))
+    .includes(etagOf(order));
+};
+
+const matchesIfMatch = (req, order) => etagMatches(req.headers['if-match'], order);
+
+const preconditionFailed = (res) => res.status(412).json({
+  error: 'PRECONDITION_FAILED',
+  message: 'Order has been modified since it was retrieved (If-Match does not match the current ETag)'
+});
+
+// The caller recorded in order history (null for system changes such as scenario fixtures)
+const principalOf = (req) => ({
+  sub: req.auth.sub,
+  customerId: req.auth.customerId
+});
+
+const recordHistory = (orderId, { from, to, reason = null, details, changedBy = null, changedAt }) => {
+  const entry = { from, to, reason, changedAt, changedBy };
+  if (details && Object.keys(details).length > 0) {
+    entry.details = details;
+  }
+  orderHistory.set(orderId, [...(orderHistory.get(orderId) || []), entry]);
+  return entry;
+};
+
+// `shippingAddress` and `billingAddress` must already be resolved (see orderAddresses)
+const createOrder = ({ customerId, items, currency, discount, shippingAmount, taxRegion, shippingAddress, billingAddress }, { orderId = null, changedBy = null, placementDate = null } = {}) => {
+  const id = orderId || `ord-${uuidv4()}`;
+  const now = placementDate || clock.now().toISOString();
+  
+  const order = {
+    orderId: id,
+    customerId,
+    placementDate: now,
+    lastUpdated: now,
+    status: workflow.initial,
+    currency: currency || pricing.defaultCurrency,
+    items: items.map((item, index) => toLineItem(item, index + 1))
+  };
+
+  if (discount) {
+    order.discount = { type: discount.type, value: discount.value };
+  }
+  if (shippingAmount !== undefined) {
+    order.shippingAmount = shippingAmount;
+  }
+  if (taxRegion) {
+    order.taxRegion = taxRegion;
+  }
+  if (shippingAddress) {
+    order.shippingAddress = shippingAddress;
+  }
+  if (billingAddress) {
+    order.billingAddress = billingAddress;
+  }
+
+  pricing.priceOrder(order);
+
+  orders.set(id, order);
+  recordHistory(id, { from: null, to: order.status, reason: 'Order created', changedBy, changedAt: now });
+  return order;
+};
+
+// Apply an already-validated status change, record it and notify subscribers.
+// `details` carries the fields the workflow required for this transition (e.g. trackingNumber).
+// Scenario fixtures pass `at` to backdate the change and `notify: false` to skip events.
+const transitionOrder = (order, status, { reason, details = {}, changedBy = null, at, notify = true } = {}) => {
+  const previousStatus = order.status;
+
+  order.status = status;
+  touchOrder(order, at === undefined ? clock.nowMs() : Date.parse(at));
+
+  if (reason) {
+    order.statusReason = reason;
+  }
+
+  Object.assign(order, details);
+
+  // Shipping takes the reserved units out of stock; ending any other way gives them back
+  if (status === SHIPPED_STATUS || status === DELIVERED_STATUS) {
+    catalog.commit(order.orderId);
+  } else if (workflow.isTerminal(status)) {
+    catalog.release(order.orderId);
+  }
+
+  orders.set(order.orderId, order);
+  recordHistory(order.orderId, {
+    from: previousStatus,
+    to: status,
+    reason,
+    details,
+    changedBy,
+    changedAt: order.lastUpdated
+  });
 
-// In-memory storage
+  if (notify) {
+    orderEvents.publish('order.status_changed', { order, previousStatus });
+    orderEvents.publish(`order.${status}`, { order, previousStatus });
+  }
+
+  return order;
+};
+
+// Order operations shared by the single and batch endpoints. Each returns the
+// response to send as { status, headers, body } instead of writing it.
+
+const outcome = (status, body, headers = {}) => ({ status, headers, body });
+
+const failure = (status, error, message) => outcome(status, { error, message });
+
+const send = (res, { status, headers, body }) => res.status(status).set(headers).json(body);
+
+// The checks every status change goes through (PATCH, batch, shipments, simulator, scenarios): the
+// workflow allows it, its required fields are in `fields`, and an order with shipments is only shipped
+// or delivered once they are (see syncFulfilment). Returns { rejection } or { details }, the required fields.
+const validateTransition = (order, status, fields = {}) => {
+  const currentStatus = order.status;
+
+  if (!workflow.canTransition(currentStatus, status)) {
+    return { rejection: failure(409, 'INVALID_STATUS_TRANSITION', `Cannot transition from ${currentStatus} to ${status}`) };
+  }
+
+  const orderShipments = shipmentsOf(order.orderId);
+  if (orderShipments.length > 0) {
+    if (status === SHIPPED_STATUS && !isFullyShipped(order, orderShipments)) {
+      return { rejection: failure(409, 'SHIPMENTS_INCOMPLETE', 'Order cannot be shipped while items remain unshipped') };
+    }
+    if (status === DELIVERED_STATUS && !(isFullyShipped(order, orderShipments) && isFullyDelivered(orderShipments))) {
+      return { rejection: failure(409, 'SHIPMENTS_INCOMPLETE', 'Order cannot be delivered while items remain unshipped or undelivered') };
+    }
+  }
+
+  const missing = workflow.missingRequirements(currentStatus, status, fields);
+  if (missing.length > 0) {
+    return { rejection: failure(400, 'VALIDATION_ERROR', `Transition from ${currentStatus} to ${status} requires: ${missing.join(', ')}`) };
+  }
+
+  const details = {};
+  workflow.requirementsFor(currentStatus, status)
+    .filter(field => field !== 'reason')
+    .forEach(field => { details[field] = fields[field]; });
+  return { details };
+};
+
+// Unknown product, stale price or not enough stock, from the catalog
+const catalogFailure = ({ status, error, message, details }) => outcome(status, { error, message, details });
+
+// Run `operation` once per idempotency key: a repeat with the same payload replays the
+// order it produced, a repeat with another payload is rejected. No key, no protection.
+// A failed operation (error response or exception) releases the key for a retry.
+const withIdempotency = (key, payload, operation) => {
+  if (!key) {
+    return operation();
+  }
+
+  const idempotency = idempotencyKeys.begin(key, payload);
+
+  if (idempotency.state === 'mismatch') {
+    return failure(422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key has already been used with a different request payload');
+  }
+
+  if (idempotency.state === 'in_progress') {
+    return failure(409, 'IDEMPOTENCY_KEY_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed');
+  }
+
+  if (idempotency.state === 'replay') {
+    idempotentReplays.inc();
+    return outcome(200, orders.get(idempotency.orderId), { 'Idempotent-Replayed': 'true' });
+  }
+
+  let result;
+  try {
+    result = operation();
+  } catch (error) {
+    idempotencyKeys.release(key);
+    throw error;
+  }
+
+  if (result.status < 400) {
+    idempotencyKeys.complete(key, result.body.orderId);
+  } else {
+    idempotencyKeys.release(key);
+  }
+  return result;
+};
+
+// An order address given inline, or as the ID of one of the customer's saved addresses;
+// returns { rejection } or { address }
+const resolveOrderAddress = (customerId, input, field) => {
+  if (input.addressId === undefined) {
+    const addressError = validateAddress(input);
+    return addressError
+      ? { rejection: failure(400, 'VALIDATION_ERROR', `${field}: ${addressError}`) }
+      : { address: normalizeAddress(input) };
+  }
+
+  const customer = customers.get(customerId);
+  const saved = customer && savedAddress(customer, input.addressId);
+  return saved
+    ? { address: normalizeAddress(saved) }
+    : { rejection: failure(422, 'ADDRESS_NOT_FOUND', `Customer ${customerId} has no saved address ${input.addressId}`) };
+};
+
+// Shipping and billing addresses for a new order, falling back to the customer's defaults;
+// returns { rejection } or { addresses }
+const orderAddresses = (body) => {
+  const customer = customers.get(body.customerId);
+  const addresses = {};
+
+  for (const [field, defaultField] of [['shippingAddress', 'defaultShippingAddressId'], ['billingAddress', 'defaultBillingAddressId']]) {
+    const input = body[field] !== undefined
+      ? body[field]
+      : customer && customer[defaultField] && { addressId: customer[defaultField] };
+    if (input) {
+      const { rejection, address } = resolveOrderAddress(body.customerId, input, field);
+      if (rejection) {
+        return { rejection };
+      }
+      addresses[field] = address;
+    }
+  }
+  return { addresses };
+};
+
+// Create an order from an already schema-validated body
+const placeOrder = (req, body, idempotencyKey) => {
+  // Business rules the OpenAPI schema cannot express (currencies, minor units)
+  const pricingError = pricing.validate(body);
+  if (pricingError) {
+    return failure(400, 'VALIDATION_ERROR', pricingError);
+  }
+
+  if (!auth.canAccessCustomer(req, body.customerId)) {
+    return outcome(403, FORBIDDEN_CUSTOMER);
+  }
+
+  return withIdempotency(idempotencyKey, body, () => {
+    if (customersEnforced && !customers.has(body.customerId)) {
+      return failure(422, 'CUSTOMER_NOT_FOUND', `Unknown customer: ${body.customerId}`);
+    }
+
+    const { rejection: addressRejection, addresses } = orderAddresses(body);
+    if (addressRejection) {
+      return addressRejection;
+    }
+
+    if (catalog.enforced) {
+      const rejection = catalog.checkPrices(body.items, body.currency || pricing.defaultCurrency) || catalog.checkStock(body.items);
+      if (rejection) {
+        return catalogFailure(rejection);
+      }
+    }
+
+    try {
+      const order = createOrder({ ...body, ...addresses }, { changedBy: principalOf(req) });
+      if (catalog.enforced) {
+        catalog.reserve(order.orderId, order.items);
+      }
+      orderEvents.publish('order.created', { order });
+      return outcome(201, order, { ETag: etagOf(order) });
+    } catch (error) {
+      return failure(500, 'INTERNAL_ERROR', 'Failed to create order');
+    }
+  });
+};
+
+// Move an order to `body.status`, with the workflow's required fields taken from `body`
+const changeOrderStatus = (req, orderId, body, ifMatch) => {
+  const { status, reason } = body;
+
+  if (!orders.has(orderId)) {
+    return failure(404, 'NOT_FOUND', 'Order not found');
+  }
+
+  const order = orders.get(orderId);
+
+  if (!auth.canAccessCustomer(req, order.customerId)) {
+    return outcome(403, FORBIDDEN_CUSTOMER);
+  }
+
+  if (!etagMatches(ifMatch, order)) {
+    return failure(412, 'PRECONDITION_FAILED', 'Order has been modified since it was retrieved (If-Match does not match the current ETag)');
+  }
+
+  // Validate status transition
+  const { rejection, details } = validateTransition(order, status, body);
+  if (rejection) {
+    return rejection;
+  }
+
+  try {
+    transitionOrder(order, status, { reason, details, changedBy: principalOf(req) });
+    return outcome(200, order, { ETag: etagOf(order) });
+  } catch (error) {
+    return failure(500, 'INTERNAL_ERROR', 'Failed to update order status');
+  }
+};
+
+// Routes
+
+// Health check
+
+app.get('/api/v1/health', validateRequest, (req, res) => {
+  res.json({
+    status: 'healthy',
+    timestamp: clock.now().toISOString()
+  });
+});
+
+// Active order workflow (lets clients render the allowed next actions)
+
+app.get('/api/v1/workflow', authenticateToken, requireScope(SCOPES.READ), validateRequest, (req, res) => {
+  res.json(workflow.toJSON());
+});
+
+// Create order (with idempotency)
+
+app.post('/api/v1/orders', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, (req, res) => {
+  send(res, placeOrder(req, req.body, req.headers['idempotency-key']));
+});
+
+// Stream order events: Server-Sent Events, or a WebSocket when the request asks to upgrade
+
+// EventSource and browser WebSockets cannot send an Authorization header, so streams also take ?access_token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+app.get('/api/v1/orders/events', tokenFromQuery, authenticateToken, requireScope(SCOPES.READ), validateRequest, (req, res) => {
+  const { customerId, orderId } = req.query;
+  const types = [].concat(req.query.events || [])
+    .flatMap(value => String(value).split(','))
+    .map(type => type.trim())
+    .filter(Boolean);
+
+  const unknown = types.filter(type => !webhookEventTypes.includes(type));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: 'VALIDATION_ERROR',
+      message: `Unknown event types: ${unknown.join(', ')}. Must be one of: ${webhookEventTypes.join(', ')}`
+    });
+  }
+
+  if (orderId) {
+    const order = orders.get(orderId);
+    if (!order) {
+      return res.status(404).json({
+        error: 'NOT_FOUND',
+        message: 'Order not found'
+      });
+    }
+    if (!auth.canAccessCustomer(req, order.customerId)) {
+      return forbiddenCustomer(res);
+    }
+  } else if (!customerId && !auth.isAdmin(req)) {
+    // Only admin callers may follow every customer's orders
+    return res.status(400).json({
+      error: 'VALIDATION_ERROR',
+      message: 'customerId or orderId is required'
+    });
+  }
+
+  if (customerId && !auth.canAccessCustomer(req, customerId)) {
+    return forbiddenCustomer(res);
+  }
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  eventStream.serve(req, res, {
+    filter: { tenantId: req.tenantId, customerId, orderId, types },
+    lastEventId: lastEventId === undefined ? undefined : Number(lastEventId)
+  });
+});
+
+// Get order by ID
+
+app.get('/api/v1/orders/:orderId', authenticateToken, requireScope(SCOPES.READ), validateRequest, (req, res) => {
+  const { orderId } = req.params;
+  
+  if (!orders.has(orderId)) {
+    return res.status(404).json({
+      error: 'NOT_FOUND',
+      message: 'Order not found'
+    });
+  }
+
+  const order = orders.get(orderId);
+
+  if (!auth.canAccessCustomer(req, order.customerId)) {
+    return forbiddenCustomer(res);
+  }
+
+  res.set('ETag', etagOf(order));
+
+  // ?include=history,shipments embeds the audit trail and shipments in the order
+  const include = String(req.query.include || '').split(',');
+  res.json({
+    ...order,
+    ...(include.includes('history') ? { history: orderHistory.get(orderId) || [] } : {}),
+    ...(include.includes('shipments') ? { shipments: shipments.get(orderId) || [] } : {})
+  });
+});
+
+// Modify order items and addresses (only while the order is editable)
+
+app.patch('/api/v1/orders/:orderId', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, findOrder, (req, res) => {
+  const order = req.order;
+  const { addItems = [], updateItems = [], removeItems = [], shippingAddress, billingAddress } = req.body || {};
+
+  if (!matchesIfMatch(req, order)) {
+    return preconditionFailed(res);
+  }
+
+  if (!workflow.isEditable(order.status)) {
+    return res.status(409).json({
+      error: 'ORDER_NOT_EDITABLE',
+      message: `Order cannot be modified in status ${order.status}`
+    });
+  }
+
+  if (addItems.length + updateItems.length + removeItems.length === 0 && shippingAddress === undefined && billingAddress === undefined) {
+    return res.status(400).json({
+      error: 'VALIDATION_ERROR',
+      message: 'At least one of addItems, updateItems, removeItems, shippingAddress or billingAddress is required'
+    });
+  }
+
+  const addresses = {};
+  for (const [field, input] of [['shippingAddress', shippingAddress], ['billingAddress', billingAddress]]) {
+    if (input !== undefined) {
+      const { rejection, address } = resolveOrderAddress(order.customerId, input, field);
+      if (rejection) {
+        return send(res, rejection);
+      }
+      addresses[field] = address;
+    }
+  }
+
+  const pricingError = pricing.validate({ currency: order.currency, items: [...addItems, ...updateItems] });
+  if (pricingError) {
+    return res.status(400).json({
+      error: 'VALIDATION_ERROR',
+      message: pricingError
+    });
+  }
+
+  const lines = new Map(order.items.map(item => [item.lineId, item]));
+
+  for (const update of updateItems) {
+    const line = lines.get(update.lineId);
+    if (!line) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: `Unknown line item: ${update.lineId}`
+      });
+    }
+    if (update.quantity !== undefined && update.quantity < line.cancelledQuantity) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: `Quantity for ${line.lineId} cannot be less than its cancelled quantity (${line.cancelledQuantity})`
+      });
+    }
+  }
+
+  const unknownLines = removeItems.filter(lineId => !lines.has(lineId));
+  if (unknownLines.length > 0) {
+    return res.status(400).json({
+      error: 'VALIDATION_ERROR',
+      message: `Unknown line items: ${unknownLines.join(', ')}`
+    });
+  }
+
+  let lineNumber = nextLineNumber(order);
+  const items = order.items
+    .filter(item => !removeItems.includes(item.lineId))
+    .map(item => {
+      const update = updateItems.find(candidate => candidate.lineId === item.lineId);
+      return update ? {
+        ...item,
+        quantity: update.quantity === undefined ? item.quantity : update.quantity,
+        unitPrice: update.unitPrice === undefined ? item.unitPrice : update.unitPrice,
+        discount: update.discount === undefined ? item.discount : update.discount
+      } : item;
+    })
+    .concat(addItems.map(item => toLineItem(item, lineNumber++)));
+
+  if (!items.some(item => activeQuantity(item) > 0)) {
+    return res.status(400).json({
+      error: 'VALIDATION_ERROR',
+      message: 'Order must keep at least one item; cancel the order instead'
+    });
+  }
+
+  // New and repriced lines must match the catalog; an order holding stock must be able to hold the new quantities
+  if (catalog.enforced) {
+    const priced = [
+      ...addItems,
+      ...updateItems
+        .filter(update => update.unitPrice !== undefined)
+        .map(update => ({ productId: lines.get(update.lineId).productId, unitPrice: update.unitPrice }))
+    ];
+    const rejection = catalog.checkPrices(priced, order.currency)
+      || (catalog.holds(order.orderId) ? catalog.checkStock(items, order.orderId) : null);
+    if (rejection) {
+      return send(res, catalogFailure(rejection));
+    }
+  }
+
+  order.items = items;
+  if (catalog.holds(order.orderId)) {
+    catalog.reserve(order.orderId, items);
+  }
+  Object.assign(order, addresses);
+  pricing.priceOrder(order);
+  touchOrder(order);
+
+  orders.set(order.orderId, order);
+  orderEvents.publish('order.updated', { order });
+
+  res.set('ETag', etagOf(order)).json(order);
+});
+
+// Cancel some or all of the remaining quantity on one line item
+
+app.post('/api/v1/orders/:orderId/items/:lineId/cancel', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, findOrder, (req, res) => {
+  const order = req.order;
+  const { quantity, reason } = req.body || {};
+  const line = order.items.find(item => item.lineId === req.params.lineId);
+
+  if (!matchesIfMatch(req, order)) {
+    return preconditionFailed(res);
+  }
+
+  if (!line) {
+    return res.status(404).json({
+      error: 'NOT_FOUND',
+      message: 'Line item not found'
+    });
+  }
+
+  if (!workflow.isEditable(order.status)) {
+    return res.status(409).json({
+      error: 'ORDER_NOT_EDITABLE',
+      message: `Order cannot be modified in status ${order.status}`
+    });
+  }
+
+  const remaining = activeQuantity(line);
+  const cancelQuantity = quantity === undefined ? remaining : quantity;
+
+  if (!Number.isInteger(cancelQuantity) || cancelQuantity < 1 || cancelQuantity > remaining) {
+    return res.status(400).json({
+      error: 'VALIDATION_ERROR',
+      message: `Quantity must be an integer between 1 and ${remaining}`
+    });
+  }
+
+  line.cancelledQuantity = (line.cancelledQuantity || 0) + cancelQuantity;
+  pricing.priceOrder(order);
+  if (catalog.holds(order.orderId)) {
+    catalog.reserve(order.orderId, order.items);
+  }
+
+  // Cancelling the last remaining quantity cancels the whole order
+  const fullyCancelled = order.items.every(item => activeQuantity(item) === 0);
+  if (fullyCancelled && workflow.canTransition(order.status, 'cancelled')) {
+    transitionOrder(order, 'cancelled', {
+      reason: reason || 'All items cancelled',
+      changedBy: principalOf(req)
+    });
+  } else {
+    touchOrder(order);
+    orders.set(order.orderId, order);
+  }
+
+  orderEvents.publish('order.updated', { order, cancelledItem: { lineId: line.lineId, quantity: cancelQuantity, reason: reason || null } });
+
+  res.set('ETag', etagOf(order)).json(order);
+});
+
+// Order status history (audit trail)
+
+app.get('/api/v1/orders/:orderId/history', authenticateToken, requireScope(SCOPES.READ), validateRequest, findOrder, (req, res) => {
+  res.json({
+    orderId: req.order.orderId,
+    history: orderHistory.get(req.order.orderId) || []
+  });
+});
+
+// Shipments and tracking
+
+const shipmentsOf = (orderId) => shipments.get(orderId) || [];
+
+const saveShipment = (shipment) => {
+  const others = shipmentsOf(shipment.orderId).filter(existing => existing.shipmentId !== shipment.shipmentId);
+  shipments.set(shipment.orderId, [...others, shipment]
+    .sort((a, b) => Date.parse(a.shippedAt) - Date.parse(b.shippedAt)));
+};
+
+const findShipment = (req, res, next) => {
+  const shipment = shipmentsOf(req.order.orderId).find(candidate => candidate.shipmentId === req.params.shipmentId);
+
+  if (!shipment) {
+    return res.status(404).json({
+      error: 'NOT_FOUND',
+      message: 'Shipment not found'
+    });
+  }
+
+  req.shipment = shipment;
+  next();
+};
+
+// The order becomes shipped once every remaining unit is dispatched, and delivered once every shipment is.
+// Fields the workflow requires for these transitions (e.g. trackingNumber) come from the latest shipment.
+const syncFulfilment = (order, changedBy) => {
+  const orderShipments = shipmentsOf(order.orderId);
+  const latest = orderShipments[orderShipments.length - 1];
+
+  [
+    { status: SHIPPED_STATUS, reason: 'All items shipped' },
+    { status: DELIVERED_STATUS, reason: 'All shipments delivered' }
+  ].forEach(({ status, reason }) => {
+    const { rejection, details } = validateTransition(order, status, { reason, ...latest });
+    if (!rejection) {
+      transitionOrder(order, status, { reason, details, changedBy });
+    }
+  });
+};
+
+app.post('/api/v1/orders/:orderId/shipments', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, findOrder, (req, res) => {
+  const order = req.order;
+
+  if (!matchesIfMatch(req, order)) {
+    return preconditionFailed(res);
+  }
+
+  if (!workflow.canTransition(order.status, SHIPPED_STATUS)) {
+    return res.status(409).json({
+      error: 'ORDER_NOT_SHIPPABLE',
+      message: `Order cannot be shipped in status ${order.status}`
+    });
+  }
+
+  const { error, items } = planShipmentItems(order, shipmentsOf(order.orderId), req.body.items);
+  if (error) {
+    return res.status(400).json({
+      error: 'VALIDATION_ERROR',
+      message: error
+    });
+  }
+
+  const shipment = createShipment(order, {
+    ...req.body,
+    shippedAt: req.body.shippedAt ? new Date(req.body.shippedAt).toISOString() : clock.now().toISOString()
+  }, items);
+
+  saveShipment(shipment);
+  orderEvents.publish('shipment.created', { order, shipment });
+  syncFulfilment(order, principalOf(req));
+
+  res.status(201).json(shipment);
+});
+
+app.get('/api/v1/orders/:orderId/shipments', authenticateToken, requireScope(SCOPES.READ), validateRequest, findOrder, (req, res) => {
+  res.json({
+    orderId: req.order.orderId,
+    shipments: shipmentsOf(req.order.orderId)
+  });
+});
+
+app.get('/api/v1/orders/:orderId/shipments/:shipmentId', authenticateToken, requireScope(SCOPES.READ), validateRequest, findOrder, findShipment, (req, res) => {
+  res.json(req.shipment);
+});
+
+// Record a carrier tracking event (e.g. from a carrier webhook)
+
+app.post('/api/v1/orders/:orderId/shipments/:shipmentId/events', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, findOrder, findShipment, (req, res) => {
+  const order = req.order;
+
+  if (req.shipment.status === 'delivered') {
+    return res.status(409).json({
+      error: 'SHIPMENT_DELIVERED',
+      message: 'Shipment has already been delivered'
+    });
+  }
+
+  const shipment = addTrackingEvent(req.shipment, {
+    ...req.body,
+    occurredAt: req.body.occurredAt ? new Date(req.body.occurredAt).toISOString() : clock.now().toISOString()
+  });
+
+  saveShipment(shipment);
+  orderEvents.publish('shipment.updated', { order, shipment });
+  syncFulfilment(order, principalOf(req));
+
+  res.status(201).json(shipment);
+});
+
+// Returns and refunds (RMAs) for delivered orders
+
+const returnsOf = (orderId) => returns.get(orderId) || [];
+
+const saveReturn = (rma) => {
+  returns.set(rma.orderId, [...returnsOf(rma.orderId).filter(existing => existing.returnId !== rma.returnId), rma]);
+};
+
+const findReturn = (req, res, next) => {
+  const rma = returnsOf(req.order.orderId).find(candidate => candidate.returnId === req.params.returnId);
+
+  if (!rma) {
+    return res.status(404).json({
+      error: 'NOT_FOUND',
+      message: 'Return not found'
+    });
+  }
+
+  req.rma = rma;
+  next();
+};
 
-let orders = new Map();
-let idempotencyKeys = new Map();
+// Show received quantities and issued refunds on the order
+const applyReturns = (order) => {
+  const { returnedQuantities, refundedAmount, returnStatus } = returnSummary(order, returnsOf(order.orderId));
 
-// Valid status transitions
+  order.items.forEach(item => { item.returnedQuantity = returnedQuantities.get(item.lineId) || 0; });
+  order.refundedAmount = refundedAmount;
+  order.returnStatus = returnStatus;
+  touchOrder(order);
 
-const STATUS_TRANSITIONS = {
-  pending: ['confirmed', 'cancelled'],
-  confirmed: ['processing', 'cancelled'],
-  processing: ['shipped', 'cancelled'],
-  shipped: ['delivered'],
-  delivered: [],
-  cancelled: []
+  orders.set(order.orderId, order);
+  orderEvents.publish('order.updated', { order });
 };
 
-// Auth middleware
+app.post('/api/v1/orders/:orderId/returns', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, findOrder, (req, res) => {
+  const order = req.order;
 
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  if (order.status !== DELIVERED_STATUS) {
+    return res.status(409).json({
+      error: 'ORDER_NOT_RETURNABLE',
+      message: `Only delivered orders can be returned; order is ${order.status}`
+    });
+  }
 
-  if (!token) {
-    return res.status(401).json({
-      error: 'UNAUTHORIZED',
-      message: 'Authentication token is required'
+  const { error, items } = planReturnItems(order, returnsOf(order.orderId), req.body.items);
+  if (error) {
+    return res.status(400).json({
+      error: 'VALIDATION_ERROR',
+      message: error
     });
   }
 
-  // For mock purposes, accept any non-empty token
-  if (token.length === 0) {
-    return res.status(401).json({
-      error: 'UNAUTHORIZED',
-      message: 'Invalid authentication token'
+  const rma = createReturn(order, {
+    reason: req.body.reason,
+    items,
+    refund: pricing.refundFor(order, items, claimedQuantities(returnsOf(order.orderId))),
+    changedBy: principalOf(req),
+    now: clock.now().toISOString()
+  });
+
+  saveReturn(rma);
+  orderEvents.publish('return.created', { order, return: rma });
+
+  res.status(201).json(rma);
+});
+
+app.get('/api/v1/orders/:orderId/returns', authenticateToken, requireScope(SCOPES.READ), validateRequest, findOrder, (req, res) => {
+  res.json({
+    orderId: req.order.orderId,
+    returns: returnsOf(req.order.orderId)
+  });
+});
+
+app.get('/api/v1/orders/:orderId/returns/:returnId', authenticateToken, requireScope(SCOPES.READ), validateRequest, findOrder, findReturn, (req, res) => {
+  res.json(req.rma);
+});
+
+// Approve, reject, receive or refund a return (merchant and finance systems, hence the admin scope)
+
+app.patch('/api/v1/orders/:orderId/returns/:returnId/status', authenticateToken, requireScope(SCOPES.ADMIN), validateRequest, findOrder, findReturn, (req, res) => {
+  const { status, reason } = req.body;
+
+  if (!canTransitionReturn(req.rma.status, status)) {
+    return res.status(409).json({
+      error: 'INVALID_STATUS_TRANSITION',
+      message: `Cannot move return from ${req.rma.status} to ${status}`
     });
   }
 
-  next();
-};
+  const rma = transitionReturn(req.rma, status, {
+    reason,
+    changedBy: principalOf(req),
+    now: clock.now().toISOString()
+  });
 
-// Validation middleware
+  saveReturn(rma);
+  if (status === 'received' || status === 'refunded') {
+    applyReturns(req.order);
+  }
+  orderEvents.publish('return.status_changed', { order: req.order, return: rma, previousStatus: req.rma.status });
+
+  res.json(rma);
+});
+
+// Search orders
 
-const validateCreateOrder = (req, res, next) => {
-  const { customerId, items } = req.body;
-  const idempotencyKey = req.headers['idempotency-key'];
+// Shared by every route that lists orders; customerId null searches all customers
+const respondWithSearch = (req, res, customerId) => {
+  const { error, criteria } = parseSearchQuery(req.query, { statuses: workflow.statuses, now: clock.now() });
 
-  if (!idempotencyKey) {
+  if (error) {
     return res.status(400).json({
       error: 'VALIDATION_ERROR',
-      message: 'Idempotency-Key header is required'
+      message: error
     });
   }
 
-  if (!customerId) {
-    return res.status(400).json({
-      error: 'VALIDATION_ERROR',
-      message: 'Customer ID is required'
+  try {
+    res.json(searchOrders(orders.values(), { ...criteria, customerId }));
+  } catch (error) {
+    res.status(500).json({
+      error: 'INTERNAL_ERROR',
+      message: 'Failed to search orders'
     });
   }
+};
 
-  if (!items || !Array.isArray(items) || items.length === 0) {
+app.get('/api/v1/orders', authenticateToken, requireScope(SCOPES.READ), validateRequest, (req, res) => {
+  const { customerId } = req.query;
+
+  // Only admin callers may search across customers
+  if (!customerId && !auth.isAdmin(req)) {
     return res.status(400).json({
       error: 'VALIDATION_ERROR',
-      message: 'At least one item is required'
+      message: 'Customer ID is required'
     });
   }
 
-  for (const item of items) {
-    if (!item.productId || !item.quantity || !item.unitPrice) {
-      return res.status(400).json({
-        error: 'VALIDATION_ERROR',
-        message: 'Each item must have productId, quantity, and unitPrice'
-      });
-    }
-    if (item.quantity <= 0 || item.unitPrice < 0) {
-      return res.status(400).json({
-        error: 'VALIDATION_ERROR',
-        message: 'Quantity must be positive and unitPrice must be non-negative'
-      });
-    }
+  if (customerId && !auth.canAccessCustomer(req, customerId)) {
+    return forbiddenCustomer(res);
   }
 
+  respondWithSearch(req, res, customerId || null);
+});
+
+// Customers and their saved addresses (customer-bound tokens only see their own record)
+
+const findCustomer = (req, res, next) => {
+  if (!auth.canAccessCustomer(req, req.params.customerId)) {
+    return forbiddenCustomer(res);
+  }
+
+  const customer = customers.get(req.params.customerId);
+
+  if (!customer) {
+    return res.status(404).json({
+      error: 'NOT_FOUND',
+      message: 'Customer not found'
+    });
+  }
+
+  req.customer = customer;
   next();
 };
 
-// Utility functions
+const findAddress = (req, res, next) => {
+  const address = savedAddress(req.customer, req.params.addressId);
+
+  if (!address) {
+    return res.status(404).json({
+      error: 'NOT_FOUND',
+      message: 'Address not found'
+    });
+  }
 
-const calculateTotal = (items) => {
-  return items.reduce((total, item) => total + (item.quantity * item.unitPrice), 0);
+  req.address = address;
+  next();
 };
 
-const createOrder = (customerId, items, orderId = null) => {
-  const id = orderId || `ord-${uuidv4()}`;
-  const now = new Date().toISOString();
-  
-  const order = {
-    orderId: id,
-    customerId,
-    placementDate: now,
-    lastUpdated: now,
-    status: 'pending',
-    items: items.map(item => ({
-      productId: item.productId,
-      quantity: item.quantity,
-      unitPrice: item.unitPrice
-    })),
-    totalAmount: Number(calculateTotal(items).toFixed(2))
-  };
+const invalidCustomer = (res, message) => res.status(400).json({
+  error: 'VALIDATION_ERROR',
+  message
+});
 
-  orders.set(id, order);
-  return order;
-};
+app.post('/api/v1/customers', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, (req, res) => {
+  const { addresses = [], ...fields } = req.body;
+  const customerId = fields.customerId || req.auth.customerId;
 
-// Routes
+  if (customerId && !auth.canAccessCustomer(req, customerId)) {
+    return forbiddenCustomer(res);
+  }
 
-// Health check
+  if (customerId && customers.has(customerId)) {
+    return res.status(409).json({
+      error: 'CUSTOMER_EXISTS',
+      message: `Customer ${customerId} already exists`
+    });
+  }
+
+  const contactError = validateContact(fields);
+  if (contactError) {
+    return invalidCustomer(res, contactError);
+  }
+
+  for (const [index, address] of addresses.entries()) {
+    const addressError = validateAddress(address);
+    if (addressError) {
+      return invalidCustomer(res, `addresses[${index}]: ${addressError}`);
+    }
+  }
+
+  const customer = createCustomer({
+    ...fields,
+    customerId,
+    addresses: addresses.map(({ addressId, ...address }) => address)
+  }, { now: clock.now().toISOString() });
+
+  customers.set(customer.customerId, customer);
+  res.status(201).json(customer);
+});
+
+app.get('/api/v1/customers', authenticateToken, requireScope(SCOPES.ADMIN), validateRequest, (req, res) => {
+  const email = req.query.email && String(req.query.email).toLowerCase();
 
-app.get('/api/v1/health', (req, res) => {
   res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString()
+    customers: customers.values()
+      .filter(customer => !email || (customer.email || '').toLowerCase() === email)
+      .sort((a, b) => a.customerId.localeCompare(b.customerId))
   });
 });
 
-// Create order (with idempotency)
-
-app.post('/api/v1/orders', authenticateToken, validateCreateOrder, (req, res) => {
-  const { customerId, items } = req.body;
-  const idempotencyKey = req.headers['idempotency-key'];
+app.get('/api/v1/customers/:customerId', authenticateToken, requireScope(SCOPES.READ), validateRequest, findCustomer, (req, res) => {
+  res.json(req.customer);
+});
 
-  // Check if we've seen this idempotency key before
-  if (idempotencyKeys.has(idempotencyKey)) {
-    const existingOrderId = idempotencyKeys.get(idempotencyKey);
-    const existingOrder = orders.get(existingOrderId);
-    return res.status(200).json(existingOrder);
+app.patch('/api/v1/customers/:customerId', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, findCustomer, (req, res) => {
+  const contactError = validateContact(req.body) || validateDefaults({ ...req.customer, ...req.body });
+  if (contactError) {
+    return invalidCustomer(res, contactError);
   }
 
-  try {
-    const order = createOrder(customerId, items);
-    idempotencyKeys.set(idempotencyKey, order.orderId);
-    
-    res.status(201).json(order);
-  } catch (error) {
-    res.status(500).json({
-      error: 'INTERNAL_ERROR',
-      message: 'Failed to create order'
+  const customer = updateCustomer(req.customer, req.body, { now: clock.now().toISOString() });
+  customers.set(customer.customerId, customer);
+  res.json(customer);
+});
+
+app.delete('/api/v1/customers/:customerId', authenticateToken, requireScope(SCOPES.ADMIN), validateRequest, findCustomer, (req, res) => {
+  const openOrders = orders.values()
+    .filter(order => order.customerId === req.customer.customerId && !workflow.isTerminal(order.status));
+
+  if (openOrders.length > 0) {
+    return res.status(409).json({
+      error: 'CUSTOMER_HAS_OPEN_ORDERS',
+      message: `Customer ${req.customer.customerId} has ${openOrders.length} open orders`
     });
   }
+
+  customers.delete(req.customer.customerId);
+  res.status(204).end();
 });
 
-// Get order by ID
+app.get('/api/v1/customers/:customerId/addresses', authenticateToken, requireScope(SCOPES.READ), validateRequest, findCustomer, (req, res) => {
+  res.json({ addresses: req.customer.addresses });
+});
 
-app.get('/api/v1/orders/:orderId', authenticateToken, (req, res) => {
-  const { orderId } = req.params;
-  
-  if (!orders.has(orderId)) {
+app.post('/api/v1/customers/:customerId/addresses', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, findCustomer, (req, res) => {
+  const addressError = validateAddress(req.body);
+  if (addressError) {
+    return invalidCustomer(res, addressError);
+  }
+
+  const { addressId, ...fields } = req.body;
+  const { customer, address } = saveAddress(req.customer, fields, { now: clock.now().toISOString() });
+  customers.set(customer.customerId, customer);
+  res.status(201).json(address);
+});
+
+app.get('/api/v1/customers/:customerId/addresses/:addressId', authenticateToken, requireScope(SCOPES.READ), validateRequest, findCustomer, findAddress, (req, res) => {
+  res.json(req.address);
+});
+
+app.put('/api/v1/customers/:customerId/addresses/:addressId', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, findCustomer, findAddress, (req, res) => {
+  const addressError = validateAddress(req.body);
+  if (addressError) {
+    return invalidCustomer(res, addressError);
+  }
+
+  const { customer, address } = saveAddress(req.customer, { ...req.body, addressId: req.address.addressId }, { now: clock.now().toISOString() });
+  customers.set(customer.customerId, customer);
+  res.json(address);
+});
+
+app.delete('/api/v1/customers/:customerId/addresses/:addressId', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, findCustomer, findAddress, (req, res) => {
+  const customer = removeAddress(req.customer, req.address.addressId, { now: clock.now().toISOString() });
+  customers.set(customer.customerId, customer);
+  res.status(204).end();
+});
+
+// A customer's orders, with the same filters and paging as GET /orders
+app.get('/api/v1/customers/:customerId/orders', authenticateToken, requireScope(SCOPES.READ), validateRequest, findCustomer, (req, res) => {
+  respondWithSearch(req, res, req.customer.customerId);
+});
+
+// Update order status
+
+app.patch('/api/v1/orders/:orderId/status', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, (req, res) => {
+  send(res, changeOrderStatus(req, req.params.orderId, req.body, req.headers['if-match']));
+});
+
+// Product catalog and stock levels (reading needs orders:read, changes need orders:admin)
+
+const findProduct = (req, res, next) => {
+  const product = catalog.get(req.params.productId);
+
+  if (!product) {
     return res.status(404).json({
       error: 'NOT_FOUND',
-      message: 'Order not found'
+      message: 'Product not found'
     });
   }
 
-  res.json(orders.get(orderId));
+  req.product = product;
+  next();
+};
+
+const invalidProduct = (res, message) => res.status(400).json({
+  error: 'VALIDATION_ERROR',
+  message
 });
 
-// Search orders
+app.get('/api/v1/products', authenticateToken, requireScope(SCOPES.READ), validateRequest, (req, res) => {
+  res.json({ products: catalog.list() });
+});
 
-app.get('/api/v1/orders', authenticateToken, (req, res) => {
-  const { customerId, startDate, endDate, limit = 20, offset = 0 } = req.query;
+app.get('/api/v1/products/:productId', authenticateToken, requireScope(SCOPES.READ), validateRequest, findProduct, (req, res) => {
+  res.json(req.product);
+});
 
-  if (!customerId) {
-    return res.status(400).json({
-      error: 'VALIDATION_ERROR',
-      message: 'Customer ID is required'
+app.put('/api/v1/products/:productId', authenticateToken, requireScope(SCOPES.ADMIN), validateRequest, (req, res) => {
+  const productError = validateProduct(req.body, { defaultCurrency: pricing.defaultCurrency });
+  if (productError) {
+    return invalidProduct(res, productError);
+  }
+
+  const existed = Boolean(catalog.get(req.params.productId));
+  res.status(existed ? 200 : 201).json(catalog.put(req.params.productId, req.body));
+});
+
+app.patch('/api/v1/products/:productId', authenticateToken, requireScope(SCOPES.ADMIN), validateRequest, findProduct, (req, res) => {
+  const { name, price, currency, stock } = req.product;
+  const productError = validateProduct({ name, price, currency, stock, ...req.body });
+  if (productError) {
+    return invalidProduct(res, productError);
+  }
+
+  res.json(catalog.update(req.product.productId, req.body));
+});
+
+app.delete('/api/v1/products/:productId', authenticateToken, requireScope(SCOPES.ADMIN), validateRequest, findProduct, (req, res) => {
+  if (req.product.reserved > 0) {
+    return res.status(409).json({
+      error: 'PRODUCT_RESERVED',
+      message: `${req.product.reserved} units of ${req.product.productId} are reserved by open orders`
     });
   }
 
-  try {
-    let filteredOrders = Array.from(orders.values())
-      .filter(order => order.customerId === customerId);
-
-    // Apply date filters if provided
-
-    if (startDate) {
-      const start = new Date(startDate);
-      if (isNaN(start.getTime())) {
-        return res.status(400).json({
-          error: 'VALIDATION_ERROR',
-          message: 'Invalid start date format'
-        });
-      }
-      filteredOrders = filteredOrders.filter(order => 
-        new Date(order.placementDate) >= start
-      );
-    }
+  catalog.remove(req.product.productId);
+  res.status(204).end();
+});
 
-    if (endDate) {
-      const end = new Date(endDate + 'T23:59:59.999Z'); // End of day
-      if (isNaN(end.getTime())) {
-        return res.status(400).json({
-          error: 'VALIDATION_ERROR',
-          message: 'Invalid end date format'
-        });
-      }
-      filteredOrders = filteredOrders.filter(order => 
-        new Date(order.placementDate) <= end
-      );
+// Bulk operations: every item gets the result its single endpoint would have returned.
+// Atomic batches roll the store back and drop their events if any item fails; the batch
+// runs synchronously, so no other request can observe or interleave with it.
+
+const transaction = () => {
+  const snapshot = store.snapshot();
+  const events = orderEvents.hold();
+  return {
+    commit: () => events.release(),
+    rollback: () => {
+      store.restore(snapshot);
+      events.discard();
     }
+  };
+};
+
+// Each item is checked against its own schema so one malformed item does not reject the batch
+const runBatchItems = (req, res, schema, runItem) => {
+  const { atomic = false, items } = req.body;
+
+  res.json(runBatch(items, (item, index) => {
+    const errors = contract.schemaErrors(schema, item, `items[${index}]`);
+    return errors.length > 0 ? outcome(400, validationError(errors)) : runItem(item);
+  }, { atomic, begin: transaction }));
+};
 
-    // Sort by placement date (newest first)
+app.post('/api/v1/orders\\:batch', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, (req, res) => {
+  runBatchItems(req, res, 'BatchCreateOrderItem', ({ idempotencyKey, order }) => placeOrder(req, order, idempotencyKey));
+});
 
-    filteredOrders.sort((a, b) => new Date(b.placementDate) - new Date(a.placementDate));
+app.post('/api/v1/orders\\:batchUpdateStatus', authenticateToken, requireScope(SCOPES.WRITE), validateRequest, (req, res) => {
+  runBatchItems(req, res, 'BatchUpdateOrderStatusItem', ({ orderId, ifMatch, idempotencyKey, ...body }) => withIdempotency(
+    idempotencyKey,
+    { orderId, ifMatch, ...body },
+    () => changeOrderStatus(req, orderId, body, ifMatch)
+  ));
+});
 
-    const totalCount = filteredOrders.length;
-    const limitNum = Math.min(parseInt(limit), 100);
-    const offsetNum = parseInt(offset);
+// Prometheus metrics (outside /api/v1, like the admin API)
 
-    const paginatedOrders = filteredOrders.slice(offsetNum, offsetNum + limitNum);
+metrics.gauge('oms_orders', 'Orders by current status, across tenants', ['status'], () => {
+  const counts = new Map(workflow.statuses.map(status => [status, 0]));
+  tenants.list().forEach(({ tenantId }) => tenants.run(tenantId, () => {
+    orders.values().forEach(order => counts.set(order.status, (counts.get(order.status) || 0) + 1));
+  }));
+  return Array.from(counts, ([status, value]) => ({ labels: { status }, value }));
+});
 
-    res.json({
-      orders: paginatedOrders,
-      totalCount,
-      limit: limitNum,
-      offset: offsetNum
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: 'INTERNAL_ERROR',
-      message: 'Failed to search orders'
-    });
-  }
+metrics.gauge('oms_event_stream_clients', 'Clients connected to the order event stream', [], () => [
+  { value: eventStream.clientCount() }
+]);
+
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE).end(metrics.render());
 });
 
-// Update order status
+// Admin / control API (kept outside /api/v1 so it is not part of the vendor contract)
 
-app.patch('/api/v1/orders/:orderId/status', authenticateToken, (req, res) => {
-  const { orderId } = req.params;
-  const { status, reason } = req.body;
+app.use('/admin/faults', faults.router);
 
-  if (!orders.has(orderId)) {
+app.use('/admin/rate-limits', rateLimits.router);
+
+app.use('/admin/clock', clock.router);
+
+app.use('/admin/simulator', tenants.middleware, (req, res, next) => simulatorFor().router(req, res, next));
+
+// Mint a test token (requires AUTH_JWT_SECRET, or AUTH_PRIVATE_KEY_FILE for RS256). It hands out any
+// scope, customer or tenant without authentication, so it only exists with AUTH_TOKEN_ENDPOINT=true.
+
+if (process.env.AUTH_TOKEN_ENDPOINT === 'true') {
+  app.post('/admin/tokens', (req, res) => {
+    const { sub, scope, customerId, tenantId, expiresIn } = req.body || {};
+
+    try {
+      const token = auth.mintToken({ sub, scope, customerId, tenantId, expiresIn });
+      res.status(201).json({ token });
+    } catch (error) {
+      res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: error.message
+      });
+    }
+  });
+}
+
+// Scenario fixtures: list, load on top of the current state, or reset to a clean slate plus the scenario
+
+app.get('/admin/scenarios', (req, res) => {
+  res.json({ scenarios: scenarios.list() });
+});
+
+const scenarioRoute = ({ reset }) => (req, res) => {
+  const { name } = req.params;
+  const definition = scenarios.read(name);
+
+  if (!definition) {
     return res.status(404).json({
       error: 'NOT_FOUND',
-      message: 'Order not found'
+      message: `Scenario not found: ${name}`
     });
   }
 
-  if (!status) {
-    return res.status(400).json({
-      error: 'VALIDATION_ERROR',
-      message: 'Status is required'
-    });
-  }
+  const result = loadScenario(definition, { reset });
 
-  const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
-  if (!validStatuses.includes(status)) {
+  if (result.errors) {
     return res.status(400).json({
       error: 'VALIDATION_ERROR',
-      message: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+      message: `Invalid scenario ${name}: ${result.errors.join('; ')}`,
+      details: { errors: result.errors }
     });
   }
 
-  const order = orders.get(orderId);
-  const currentStatus = order.status;
+  res.json({ scenario: name, reset, ...result });
+};
 
-  // Validate status transition
+app.post('/admin/scenarios/:name/load', tenants.middleware, scenarioRoute({ reset: false }));
+app.post('/admin/scenarios/:name/reset', tenants.middleware, scenarioRoute({ reset: true }));
 
-  if (!STATUS_TRANSITIONS[currentStatus].includes(status)) {
-    return res.status(409).json({
-      error: 'INVALID_STATUS_TRANSITION',
-      message: `Cannot transition from ${currentStatus} to ${status}`
-    });
-  }
+// Tenants: list those in use, or put one back to its seed data without touching the others
 
-  try {
-    order.status = status;
-    order.lastUpdated = new Date().toISOString();
-    
-    if (reason) {
-      order.statusReason = reason;
-    }
+app.get('/admin/tenants', (req, res) => {
+  res.json({
+    tenants: tenants.list().map(tenant => tenants.run(tenant.tenantId, () => ({
+      ...tenant,
+      customers: customers.size,
+      orders: orders.size
+    })))
+  });
+});
 
-    orders.set(orderId, order);
-    res.json(order);
-  } catch (error) {
-    res.status(500).json({
-      error: 'INTERNAL_ERROR',
-      message: 'Failed to update order status'
+app.delete('/admin/tenants/:tenantId/reset', (req, res) => {
+  const { tenantId } = req.params;
+
+  if (!isTenantId(tenantId)) {
+    return res.status(400).json({
+      error: 'VALIDATION_ERROR',
+      message: `Invalid tenant ID: ${tenantId}. Use up to 64 letters, digits, _ or -`
     });
   }
+
+  const result = tenants.run(tenantId, () => {
+    webhooks.cancelRetries();
+    store.reset();
+    catalog.load(catalogFile.products);
+    return loadStartupScenario();
+  });
+
+  res.json({ tenantId, ...result });
 });
 
+// Webhook subscriptions and delivery log
+
+app.use('/api/v1/webhooks', authenticateToken, requireScope(SCOPES.ADMIN), validateRequest, webhooks.router);
+
 // Error handling middleware
 
 app.use((err, req, res, next) => {
-  console.error(err.stack);
+  logger.error('Unhandled error', { requestId: req.id, error: err.stack });
   res.status(500).json({
     error: 'INTERNAL_ERROR',
     message: 'An unexpected error occurred'
@@ -320,67 +1589,130 @@ app.use('*', (req, res) => {
   });
 });
 
-// Seed data for testing
+// Scenario fixtures
 
-const seedData = () => {
-  console.log('Seeding test data...');
-  
-  // Create some sample orders
-
-  const sampleOrders = [
-    {
-      customerId: 'cust-12345',
-      items: [
-        { productId: 'prod-001', quantity: 2, unitPrice: 29.99 },
-        { productId: 'prod-002', quantity: 1, unitPrice: 15.50 }
-      ]
-    },
-    {
-      customerId: 'cust-12345',
-      items: [
-        { productId: 'prod-003', quantity: 1, unitPrice: 99.99 }
-      ]
-    },
-    {
-      customerId: 'cust-67890',
-      items: [
-        { productId: 'prod-001', quantity: 3, unitPrice: 29.99 }
-      ]
-    }
-  ];
+// Create a planned scenario's customers and orders; orders go through the workflow without publishing events
+const applyScenario = (plan) => {
+  const now = clock.now().toISOString();
+  plan.customers.forEach(customer => customers.set(customer.customerId, createCustomer(customer, { now })));
 
-  sampleOrders.forEach((orderData, index) => {
-    const order = createOrder(orderData.customerId, orderData.items);
+  plan.orders.forEach(({ orderId, placementDate, data, steps }) => {
+    const order = createOrder({
+      ...data,
+      shippingAddress: data.shippingAddress && normalizeAddress(data.shippingAddress),
+      billingAddress: data.billingAddress && normalizeAddress(data.billingAddress)
+    }, { orderId, placementDate });
 
-    // Update some orders to different statuses
-    
-    if (index === 1) {
-      order.status = 'confirmed';
-    } else if (index === 2) {
-      order.status = 'shipped';
-    }
-    orders.set(order.orderId, order);
+    steps.forEach(({ to, at, reason, details: fields }) => {
+      const { rejection, details } = validateTransition(order, to, { reason, ...fields });
+      if (rejection) {
+        throw new Error(`Scenario order ${orderId}: ${rejection.body.message}`);
+      }
+      transitionOrder(order, to, { reason, details, at, notify: false });
+    });
+  });
+};
+
+// Validate and load a scenario definition; `reset` clears the current tenant's data first.
+// Returns { errors } without changing anything if the scenario is invalid.
+const loadScenario = (definition, { reset = false } = {}) => {
+  const { errors, plan } = scenarios.plan(definition, {
+    existingOrderIds: reset ? [] : orders.values().map(order => order.orderId)
   });
 
-  console.log(`Created ${sampleOrders.length} sample orders`);
+  if (errors) {
+    return { errors };
+  }
+
+  if (reset) {
+    webhooks.cancelRetries();
+    store.reset();
+    catalog.load(catalogFile.products);
+  }
+  applyScenario(plan);
+  simulatorFor().refresh();
+
+  return { customers: plan.customers.length, orders: plan.orders.length };
 };
 
-// Start server
+// SCENARIO is a scenario name from SCENARIOS_DIR or a path to a scenario file
+const loadStartupScenario = () => {
+  const scenario = process.env.SCENARIO || 'default';
+  const definition = /[./\\]/.test(scenario) ? scenarios.readFile(scenario) : scenarios.read(scenario);
 
-app.listen(PORT, () => {
-  console.log(`Mock Order Management API running on http://localhost:${PORT}`);
-  console.log(`API documentation available in OpenAPI specification`);
-  console.log(`Health check: http://localhost:${PORT}/api/v1/health`);
-  
-  // Seed some test data
+  if (!definition) {
+    throw new Error(`Scenario not found: ${scenario}`);
+  }
+
+  const result = loadScenario(definition);
+  if (result.errors) {
+    throw new Error(`Invalid scenario ${scenario}: ${result.errors.join('; ')}`);
+  }
+
+  logger.info('Loaded scenario', { scenario, tenantId: tenants.currentId(), customers: result.customers, orders: result.orders });
+  return { scenario, customers: result.customers, orders: result.orders };
+};
+
+// A tenant's data on first use: the catalog and the startup scenario. Persisted stores keep
+// what they had, and the default tenant gets its scenario when the server starts (see below).
+const seedTenant = (tenantId) => {
+  simulatorFor(tenantId);
+  if (products.size === 0) {
+    catalog.load(catalogFile.products);
+  }
+  if (tenantId !== DEFAULT_TENANT && orders.size === 0) {
+    loadStartupScenario();
+  }
+};
+
+// Rebuild state by re-sending a recorded session to the running server (REPLAY_MODE=execute, as REPLAY_TOKEN)
+
+const replayTraffic = async (port) => {
+  const entries = loadRecording(process.env.REPLAY_FILE);
+  logger.info('Replaying recorded requests', { file: process.env.REPLAY_FILE, requests: entries.length });
+
+  const { mismatches } = await replayRequests({
+    baseUrl: `http://127.0.0.1:${port}`,
+    entries,
+    token: process.env.REPLAY_TOKEN
+  });
+
+  mismatches.forEach(({ method, url, recordedStatus, status }) => {
+    logger.warn('Replayed response differs from the recording', { method, url, recordedStatus, status });
+  });
+  logger.info('Replay finished', { requests: entries.length, matched: entries.length - mismatches.length });
+};
+
+// The default tenant exists from the start; orders restored from a persisted store pick up where they were
+tenants.run(DEFAULT_TENANT, () => simulatorFor().refresh());
 
-  seedData();
+// Start server (skipped when the app is required by tests)
+
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    logger.info('Mock Order Management API running', {
+      url: `http://localhost:${PORT}`,
+      healthCheck: `http://localhost:${PORT}/api/v1/health`,
+      metrics: `http://localhost:${PORT}/metrics`
+    });
   
-  console.log('\nSample requests:');
-  console.log('- GET /api/v1/health (no auth required)');
-  console.log('- POST /api/v1/orders (requires Bearer token and Idempotency-Key header)');
-  console.log('- GET /api/v1/orders?customerId=cust-12345 (requires Bearer token)');
-  console.log('\nUse any non-empty string as Bearer token for authentication');
-});
+    // Load the startup scenario (a persisted store keeps its existing orders), or rebuild state from a recording
+
+    idempotencyKeys.purgeExpired();
+
+    if (replayMode === 'execute') {
+      replayTraffic(server.address().port).catch(error => logger.error('Replay failed', { error: error.message }));
+    } else if (replayMode === 'serve') {
+      logger.info('Serving recorded responses', { file: process.env.REPLAY_FILE });
+    } else if (orders.size === 0) {
+      loadStartupScenario();
+    } else {
+      logger.info('Loaded orders from storage', { orders: orders.size, backend: store.backend });
+    }
+  });
+
+  // WebSocket clients of /api/v1/orders/events
+  handleUpgrades(server, app);
+}
 
 module.exports = app;
@@ -1,6 +1,8 @@
+const http = require('http');
 const request = require('supertest');
 const { v4: uuidv4 } = require('uuid');
 const app = require('./server');
+const { handleUpgrades, encodeFrame, decodeFrames } = require('./lib/stream');
  
 describe('Order Management API', () => {
   const mockToken = 'mock-token-12345';
@@ -82,6 +84,7 @@ describe('Order Management API', () => {
       expect(response.body.customerId).toBe(testCustomerId);
       expect(response.body.status).toBe('pending');
       expect(response.body.totalAmount).toBe(75.48);
+      expect(response.body.currency).toBe('USD');
       expect(response.body.items).toHaveLength(2);
       expect(response.body.placementDate).toBeDefined();
       expect(response.body.lastUpdated).toBeDefined();
@@ -112,6 +115,75 @@ describe('Order Management API', () => {
 
       expect(response2.status).toBe(200);
       expect(response2.body.orderId).toBe(response1.body.orderId);
+      expect(response2.headers['idempotent-replayed']).toBe('true');
+    });
+
+    test('should reject idempotency key reuse with a different payload', async () => {
+      const idempotencyKey = uuidv4();
+
+      const response1 = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .send({
+          customerId: testCustomerId,
+          items: [{ productId: 'prod-001', quantity: 1, unitPrice: 10.00 }]
+        });
+
+      expect(response1.status).toBe(201);
+
+      const response2 = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Idempotency-Key', idempotencyKey)
+        .send({
+          customerId: testCustomerId,
+          items: [{ productId: 'prod-001', quantity: 5, unitPrice: 10.00 }]
+        });
+
+      expect(response2.status).toBe(422);
+      expect(response2.body.error).toBe('IDEMPOTENCY_KEY_REUSED');
+    });
+
+    test('should price orders with currency, discounts, tax and shipping', async () => {
+      const response = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Idempotency-Key', uuidv4())
+        .send({
+          customerId: testCustomerId,
+          currency: 'EUR',
+          taxRegion: 'DE',
+          shippingAmount: 4.95,
+          discount: { type: 'percent', value: 10 },
+          items: [{ productId: 'prod-001', quantity: 3, unitPrice: 0.1 }]
+        });
+
+      expect(response.status).toBe(201);
+      expect(response.body.currency).toBe('EUR');
+      expect(response.body.subtotal).toBe(0.3);
+      expect(response.body.discountTotal).toBe(0.03);
+      expect(response.body.taxAmount).toBe(0.05);
+      expect(response.body.shippingAmount).toBe(4.95);
+      expect(response.body.totalAmount).toBe(5.27);
+    });
+
+    test('should reject mixed currencies and excess decimal places', async () => {
+      const mixed = await createTestOrder(testCustomerId, [
+        { productId: 'prod-001', quantity: 1, unitPrice: 10.00, currency: 'USD' },
+        { productId: 'prod-002', quantity: 1, unitPrice: 10.00, currency: 'EUR' }
+      ]);
+
+      expect(mixed.status).toBe(400);
+      expect(mixed.body.error).toBe('VALIDATION_ERROR');
+      expect(mixed.body.message).toContain('Mixed currencies');
+
+      const precise = await createTestOrder(testCustomerId, [
+        { productId: 'prod-001', quantity: 1, unitPrice: 10.001 }
+      ]);
+
+      expect(precise.status).toBe(400);
+      expect(precise.body.message).toContain('decimal places');
     });
 
     test('should reject order without idempotency key', async () => {
@@ -128,6 +200,24 @@ describe('Order Management API', () => {
       expect(response.body.message).toContain('Idempotency-Key');
     });
 
+    test('should reject an Idempotency-Key that is not a UUID', async () => {
+      const response = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Idempotency-Key', 'order-attempt-1')
+        .send({
+          customerId: testCustomerId,
+          items: [{ productId: 'prod-001', quantity: 0, unitPrice: 10.00 }]
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('VALIDATION_ERROR');
+      expect(response.body.details.errors).toEqual([
+        { path: 'header.Idempotency-Key', message: 'must match format "uuid"' },
+        { path: 'body.items[0].quantity', message: 'must be >= 1' }
+      ]);
+    });
+
     test('should reject order without customer ID', async () => {
       const response = await request(app)
         .post('/api/v1/orders')
@@ -235,13 +325,104 @@ describe('Order Management API', () => {
       expect(response.body.offset).toBe(0);
     });
 
-    test('should reject search without customer ID', async () => {
+    test('should search across customers for admin callers', async () => {
+      // Permissive tokens carry every scope, including orders:admin
+      await createTestOrder('cust-search-a');
+      await createTestOrder('cust-search-b');
+
       const response = await request(app)
-        .get('/api/v1/orders')
+        .get('/api/v1/orders?limit=100')
         .set('Authorization', `Bearer ${mockToken}`);
 
-      expect(response.status).toBe(400);
-      expect(response.body.error).toBe('VALIDATION_ERROR');
+      expect(response.status).toBe(200);
+      const customers = response.body.orders.map(order => order.customerId);
+      expect(customers).toEqual(expect.arrayContaining(['cust-search-a', 'cust-search-b']));
+    });
+
+    test('should filter by status, product and total amount', async () => {
+      const customerId = `cust-filter-${uuidv4()}`;
+      const small = await createTestOrder(customerId, [{ productId: 'prod-small', quantity: 1, unitPrice: 5.00 }]);
+      const large = await createTestOrder(customerId, [{ productId: 'prod-large', quantity: 1, unitPrice: 500.00 }]);
+      await createTestOrder(customerId, [{ productId: 'prod-small', quantity: 2, unitPrice: 5.00 }]);
+
+      await request(app)
+        .patch(`/api/v1/orders/${large.body.orderId}/status`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ status: 'confirmed' });
+
+      const byStatus = await request(app)
+        .get(`/api/v1/orders?customerId=${customerId}&status=confirmed,cancelled`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(byStatus.body.orders.map(order => order.orderId)).toEqual([large.body.orderId]);
+
+      const byProduct = await request(app)
+        .get(`/api/v1/orders?customerId=${customerId}&productId=prod-small`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(byProduct.body.totalCount).toBe(2);
+
+      const byAmount = await request(app)
+        .get(`/api/v1/orders?customerId=${customerId}&minTotalAmount=5&maxTotalAmount=5`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(byAmount.body.orders.map(order => order.orderId)).toEqual([small.body.orderId]);
+    });
+
+    test('should sort by total amount', async () => {
+      const customerId = `cust-sort-${uuidv4()}`;
+      for (const unitPrice of [20.00, 5.00, 10.00]) {
+        await createTestOrder(customerId, [{ productId: 'prod-001', quantity: 1, unitPrice }]);
+      }
+
+      const response = await request(app)
+        .get(`/api/v1/orders?customerId=${customerId}&sort=totalAmount`)
+        .set('Authorization', `Bearer ${mockToken}`);
+
+      expect(response.body.orders.map(order => order.totalAmount)).toEqual([5, 10, 20]);
+    });
+
+    test('should page with stable cursors while orders are inserted', async () => {
+      const customerId = `cust-cursor-${uuidv4()}`;
+      for (let i = 0; i < 5; i++) {
+        await createTestOrder(customerId);
+      }
+
+      const firstPage = await request(app)
+        .get(`/api/v1/orders?customerId=${customerId}&limit=2`)
+        .set('Authorization', `Bearer ${mockToken}`);
+
+      expect(firstPage.body.orders).toHaveLength(2);
+      expect(firstPage.body.prevCursor).toBeNull();
+      expect(firstPage.body.nextCursor).toBeDefined();
+
+      // A new order lands at the front of the newest-first listing
+      await createTestOrder(customerId);
+
+      const secondPage = await request(app)
+        .get(`/api/v1/orders?customerId=${customerId}&limit=2&cursor=${firstPage.body.nextCursor}`)
+        .set('Authorization', `Bearer ${mockToken}`);
+
+      expect(secondPage.status).toBe(200);
+      expect(secondPage.body.offset).toBeNull();
+      const firstIds = firstPage.body.orders.map(order => order.orderId);
+      secondPage.body.orders.forEach(order => expect(firstIds).not.toContain(order.orderId));
+
+      const backPage = await request(app)
+        .get(`/api/v1/orders?customerId=${customerId}&limit=2&cursor=${secondPage.body.prevCursor}`)
+        .set('Authorization', `Bearer ${mockToken}`);
+
+      expect(backPage.body.orders.map(order => order.orderId)).toEqual(firstIds);
+    });
+
+    test('should reject invalid cursors and sort fields', async () => {
+      const badCursor = await request(app)
+        .get(`/api/v1/orders?customerId=${testCustomerId}&cursor=not-a-cursor`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(badCursor.status).toBe(400);
+
+      const badSort = await request(app)
+        .get(`/api/v1/orders?customerId=${testCustomerId}&sort=customerId`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(badSort.status).toBe(400);
+      expect(badSort.body.error).toBe('VALIDATION_ERROR');
     });
 
     test('should reject invalid date format', async () => {
@@ -335,63 +516,1373 @@ describe('Order Management API', () => {
     });
   });
 
-  describe('Error Handling', () => {
-    test('should return 404 for unknown endpoints', async () => {
+  describe('Modify Order', () => {
+    const createTwoLineOrder = () => createTestOrder(testCustomerId, [
+      { productId: 'prod-001', quantity: 2, unitPrice: 29.99 },
+      { productId: 'prod-002', quantity: 1, unitPrice: 15.50 }
+    ]);
+
+    const modifyOrder = (orderId, body) => request(app)
+      .patch(`/api/v1/orders/${orderId}`)
+      .set('Authorization', `Bearer ${mockToken}`)
+      .send(body);
+
+    test('should assign line IDs to created items', async () => {
+      const createResponse = await createTwoLineOrder();
+
+      expect(createResponse.body.items.map(item => item.lineId)).toEqual(['line-1', 'line-2']);
+      expect(createResponse.headers.etag).toBe(`"${createResponse.body.lastUpdated}"`);
+    });
+
+    test('should add, update and remove items and recalculate the total', async () => {
+      const { body: order } = await createTwoLineOrder();
+
+      const response = await modifyOrder(order.orderId, {
+        addItems: [{ productId: 'prod-003', quantity: 1, unitPrice: 99.99 }],
+        updateItems: [{ lineId: 'line-1', quantity: 3 }],
+        removeItems: ['line-2']
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.items.map(item => [item.lineId, item.productId, item.quantity])).toEqual([
+        ['line-1', 'prod-001', 3],
+        ['line-3', 'prod-003', 1]
+      ]);
+      expect(response.body.totalAmount).toBe(189.96);
+    });
+
+    test('should update the shipping address', async () => {
+      const { body: order } = await createTestOrder();
+
+      const response = await modifyOrder(order.orderId, {
+        shippingAddress: { name: 'Ada Lovelace', line1: '12 Main St', city: 'Springfield', postalCode: '12345', country: 'US' }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.shippingAddress.city).toBe('Springfield');
+
+      const invalid = await modifyOrder(order.orderId, { shippingAddress: { line1: '12 Main St' } });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toBe('VALIDATION_ERROR');
+    });
+
+    test('should reject modifications once the order is processing', async () => {
+      const { body: order } = await createTestOrder();
+
+      for (const status of ['confirmed', 'processing']) {
+        await request(app)
+          .patch(`/api/v1/orders/${order.orderId}/status`)
+          .set('Authorization', `Bearer ${mockToken}`)
+          .send({ status });
+      }
+
+      const response = await modifyOrder(order.orderId, { updateItems: [{ lineId: 'line-1', quantity: 5 }] });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('ORDER_NOT_EDITABLE');
+    });
+
+    test('should reject unknown line items', async () => {
+      const { body: order } = await createTestOrder();
+
+      const response = await modifyOrder(order.orderId, { removeItems: ['line-99'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('VALIDATION_ERROR');
+    });
+
+    test('should reject stale If-Match headers', async () => {
+      const { body: order, headers } = await createTestOrder();
+
+      const first = await request(app)
+        .patch(`/api/v1/orders/${order.orderId}`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .set('If-Match', headers.etag)
+        .send({ updateItems: [{ lineId: 'line-1', quantity: 4 }] });
+
+      expect(first.status).toBe(200);
+      expect(first.headers.etag).not.toBe(headers.etag);
+
+      const second = await request(app)
+        .patch(`/api/v1/orders/${order.orderId}`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .set('If-Match', headers.etag)
+        .send({ updateItems: [{ lineId: 'line-1', quantity: 1 }] });
+
+      expect(second.status).toBe(412);
+      expect(second.body.error).toBe('PRECONDITION_FAILED');
+    });
+
+    test('should partially cancel a line item', async () => {
+      const { body: order } = await createTwoLineOrder();
+
       const response = await request(app)
-        .get('/api/v1/unknown-endpoint')
-        .set('Authorization', `Bearer ${mockToken}`);
+        .post(`/api/v1/orders/${order.orderId}/items/line-1/cancel`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ quantity: 1, reason: 'Out of stock' });
 
-      expect(response.status).toBe(404);
-      expect(response.body.error).toBe('NOT_FOUND');
+      expect(response.status).toBe(200);
+      expect(response.body.items[0].cancelledQuantity).toBe(1);
+      expect(response.body.totalAmount).toBe(45.49);
+      expect(response.body.status).toBe('pending');
+
+      const tooMany = await request(app)
+        .post(`/api/v1/orders/${order.orderId}/items/line-1/cancel`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ quantity: 2 });
+
+      expect(tooMany.status).toBe(400);
+    });
+
+    test('should cancel the order when every line is cancelled', async () => {
+      const { body: order } = await createTestOrder();
+
+      const response = await request(app)
+        .post(`/api/v1/orders/${order.orderId}/items/line-1/cancel`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('cancelled');
+      expect(response.body.totalAmount).toBe(0);
     });
   });
 
-  describe('Status Transitions', () => {
-    test('should allow valid status transitions', async () => {
+  describe('Order History', () => {
+    test('should record every status transition with the caller', async () => {
       const createResponse = await createTestOrder();
       const orderId = createResponse.body.orderId;
 
-      // pending -> confirmed
-      const confirmedResponse = await request(app)
+      await request(app)
         .patch(`/api/v1/orders/${orderId}/status`)
-        .set('Authorization', `Bearer ${mockToken}`)
-        .send({ status: 'confirmed' });
-      expect(confirmedResponse.status).toBe(200);
+        .set('Authorization', 'Bearer support-agent')
+        .send({ status: 'confirmed', reason: 'Payment processed' });
 
-      // confirmed -> processing
-      const processingResponse = await request(app)
+      await request(app)
         .patch(`/api/v1/orders/${orderId}/status`)
-        .set('Authorization', `Bearer ${mockToken}`)
-        .send({ status: 'processing' });
-      expect(processingResponse.status).toBe(200);
+        .set('Authorization', 'Bearer support-agent')
+        .send({ status: 'cancelled', reason: 'Customer request' });
 
-      // processing -> shipped
-      const shippedResponse = await request(app)
-        .patch(`/api/v1/orders/${orderId}/status`)
-        .set('Authorization', `Bearer ${mockToken}`)
-        .send({ status: 'shipped' });
-      expect(shippedResponse.status).toBe(200);
+      const response = await request(app)
+        .get(`/api/v1/orders/${orderId}/history`)
+        .set('Authorization', `Bearer ${mockToken}`);
 
-      // shipped -> delivered
-      const deliveredResponse = await request(app)
+      expect(response.status).toBe(200);
+      expect(response.body.orderId).toBe(orderId);
+      expect(response.body.history.map(entry => [entry.from, entry.to])).toEqual([
+        [null, 'pending'],
+        ['pending', 'confirmed'],
+        ['confirmed', 'cancelled']
+      ]);
+
+      const cancellation = response.body.history[2];
+      expect(cancellation.reason).toBe('Customer request');
+      expect(cancellation.changedBy.sub).toBe('support-agent');
+      expect(cancellation.changedAt).toBeDefined();
+    });
+
+    test('should not record rejected transitions', async () => {
+      const createResponse = await createTestOrder();
+      const orderId = createResponse.body.orderId;
+
+      await request(app)
         .patch(`/api/v1/orders/${orderId}/status`)
         .set('Authorization', `Bearer ${mockToken}`)
         .send({ status: 'delivered' });
-      expect(deliveredResponse.status).toBe(200);
+
+      const response = await request(app)
+        .get(`/api/v1/orders/${orderId}/history`)
+        .set('Authorization', `Bearer ${mockToken}`);
+
+      expect(response.body.history).toHaveLength(1);
     });
 
-    test('should allow cancellation from multiple states', async () => {
+    test('should embed history in the order when requested', async () => {
       const createResponse = await createTestOrder();
       const orderId = createResponse.body.orderId;
 
-      // pending -> cancelled
+      const withHistory = await request(app)
+        .get(`/api/v1/orders/${orderId}?include=history`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      const withoutHistory = await request(app)
+        .get(`/api/v1/orders/${orderId}`)
+        .set('Authorization', `Bearer ${mockToken}`);
+
+      expect(withHistory.body.history).toHaveLength(1);
+      expect(withoutHistory.body.history).toBeUndefined();
+    });
+
+    test('should return 404 for non-existent order', async () => {
       const response = await request(app)
+        .get('/api/v1/orders/non-existent-order/history')
+        .set('Authorization', `Bearer ${mockToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('NOT_FOUND');
+    });
+  });
+
+  describe('Shipments', () => {
+    const setStatus = (orderId, status) => request(app)
+      .patch(`/api/v1/orders/${orderId}/status`)
+      .set('Authorization', `Bearer ${mockToken}`)
+      .send({ status });
+
+    const ship = (orderId, body) => request(app)
+      .post(`/api/v1/orders/${orderId}/shipments`)
+      .set('Authorization', `Bearer ${mockToken}`)
+      .send({ carrier: 'UPS', trackingNumber: `1Z${uuidv4().slice(0, 8)}`, ...body });
+
+    const track = (orderId, shipmentId, body) => request(app)
+      .post(`/api/v1/orders/${orderId}/shipments/${shipmentId}/events`)
+      .set('Authorization', `Bearer ${mockToken}`)
+      .send(body);
+
+    const getOrder = (orderId) => request(app)
+      .get(`/api/v1/orders/${orderId}?include=shipments`)
+      .set('Authorization', `Bearer ${mockToken}`);
+
+    // A processing order with two lines (2 x prod-001, 1 x prod-002)
+    const createProcessingOrder = async () => {
+      const created = await createTestOrder(testCustomerId, [
+        { productId: 'prod-001', quantity: 2, unitPrice: 29.99 },
+        { productId: 'prod-002', quantity: 1, unitPrice: 15.50 }
+      ]);
+      await setStatus(created.body.orderId, 'confirmed');
+      await setStatus(created.body.orderId, 'processing');
+      return created.body.orderId;
+    };
+
+    test('should ship an order in several shipments', async () => {
+      const orderId = await createProcessingOrder();
+
+      const first = await ship(orderId, { items: [{ lineId: 'line-1', quantity: 1 }] });
+      expect(first.status).toBe(201);
+      expect(first.body).toMatchObject({
+        orderId,
+        carrier: 'UPS',
+        status: 'in_transit',
+        items: [{ lineId: 'line-1', productId: 'prod-001', quantity: 1 }],
+        deliveredAt: null
+      });
+      expect((await getOrder(orderId)).body.status).toBe('processing');
+
+      const second = await ship(orderId);
+      expect(second.body.items).toEqual([
+        { lineId: 'line-1', productId: 'prod-001', quantity: 1 },
+        { lineId: 'line-2', productId: 'prod-002', quantity: 1 }
+      ]);
+
+      const order = await getOrder(orderId);
+      expect(order.body.status).toBe('shipped');
+      expect(order.body.statusReason).toBe('All items shipped');
+      expect(order.body.shipments.map(shipment => shipment.shipmentId)).toEqual([first.body.shipmentId, second.body.shipmentId]);
+
+      const list = await request(app)
+        .get(`/api/v1/orders/${orderId}/shipments`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(list.body.shipments).toHaveLength(2);
+    });
+
+    test('should deliver the order once every shipment is delivered', async () => {
+      const orderId = await createProcessingOrder();
+      const first = await ship(orderId, { items: [{ lineId: 'line-1', quantity: 2 }] });
+      const second = await ship(orderId, { items: [{ lineId: 'line-2', quantity: 1 }] });
+
+      const outForDelivery = await track(orderId, first.body.shipmentId, { status: 'out_for_delivery', location: 'Oakland, CA' });
+      expect(outForDelivery.status).toBe(201);
+      expect(outForDelivery.body.events.map(event => event.status)).toEqual(['in_transit', 'out_for_delivery']);
+
+      await track(orderId, first.body.shipmentId, { status: 'delivered' });
+      expect((await getOrder(orderId)).body.status).toBe('shipped');
+
+      const delivered = await track(orderId, second.body.shipmentId, { status: 'delivered', description: 'Left at front door' });
+      expect(delivered.body.deliveredAt).toBe(delivered.body.events[1].occurredAt);
+      expect((await getOrder(orderId)).body.status).toBe('delivered');
+
+      const late = await track(orderId, second.body.shipmentId, { status: 'exception' });
+      expect(late.status).toBe(409);
+      expect(late.body.error).toBe('SHIPMENT_DELIVERED');
+    });
+
+    test('should reject shipments the order cannot take', async () => {
+      const pending = await createTestOrder();
+      const notShippable = await ship(pending.body.orderId);
+      expect(notShippable.status).toBe(409);
+      expect(notShippable.body.error).toBe('ORDER_NOT_SHIPPABLE');
+
+      const orderId = await createProcessingOrder();
+      const tooMany = await ship(orderId, { items: [{ lineId: 'line-2', quantity: 2 }] });
+      expect(tooMany.status).toBe(400);
+      expect(tooMany.body.message).toBe('Only 1 of line-2 left to ship');
+
+      const unknownLine = await ship(orderId, { items: [{ lineId: 'line-9', quantity: 1 }] });
+      expect(unknownLine.body.message).toBe('Unknown line item: line-9');
+
+      const noCarrier = await ship(orderId, { carrier: undefined });
+      expect(noCarrier.status).toBe(400);
+      expect(noCarrier.body.error).toBe('VALIDATION_ERROR');
+
+      const missing = await request(app)
+        .get(`/api/v1/orders/${orderId}/shipments/shp-missing`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(missing.status).toBe(404);
+    });
+
+    test('should not mark an order with shipments shipped or delivered by hand ahead of them', async () => {
+      const orderId = await createProcessingOrder();
+      await ship(orderId, { items: [{ lineId: 'line-1', quantity: 2 }] });
+
+      const early = await request(app)
         .patch(`/api/v1/orders/${orderId}/status`)
         .set('Authorization', `Bearer ${mockToken}`)
-        .send({ status: 'cancelled' });
+        .send({ status: 'shipped', trackingNumber: 'TRK123' });
+      expect(early.status).toBe(409);
+      expect(early.body.error).toBe('SHIPMENTS_INCOMPLETE');
+      expect((await getOrder(orderId)).body.status).toBe('processing');
 
-      expect(response.status).toBe(200);
-      expect(response.body.status).toBe('cancelled');
+      const batch = await request(app)
+        .post('/api/v1/orders:batchUpdateStatus')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ items: [{ orderId, status: 'shipped' }] });
+      expect(batch.body.results[0]).toMatchObject({ status: 409, body: { error: 'SHIPMENTS_INCOMPLETE' } });
+
+      await ship(orderId);
+      expect((await getOrder(orderId)).body.status).toBe('shipped');
+
+      const undelivered = await setStatus(orderId, 'delivered');
+      expect(undelivered.status).toBe(409);
+      expect(undelivered.body.error).toBe('SHIPMENTS_INCOMPLETE');
+      expect((await getOrder(orderId)).body.status).toBe('shipped');
+    });
+  });
+
+  describe('Returns', () => {
+    const setStatus = (orderId, status) => request(app)
+      .patch(`/api/v1/orders/${orderId}/status`)
+      .set('Authorization', `Bearer ${mockToken}`)
+      .send({ status, trackingNumber: 'TRK123' });
+
+    const requestReturn = (orderId, body) => request(app)
+      .post(`/api/v1/orders/${orderId}/returns`)
+      .set('Authorization', `Bearer ${mockToken}`)
+      .send(body);
+
+    const setReturnStatus = (orderId, returnId, status) => request(app)
+      .patch(`/api/v1/orders/${orderId}/returns/${returnId}/status`)
+      .set('Authorization', `Bearer ${mockToken}`)
+      .send({ status });
+
+    const getOrder = (orderId) => request(app)
+      .get(`/api/v1/orders/${orderId}`)
+      .set('Authorization', `Bearer ${mockToken}`);
+
+    // A delivered order with two lines (2 x prod-001, 1 x prod-002)
+    const createDeliveredOrder = async () => {
+      const created = await createTestOrder(testCustomerId, [
+        { productId: 'prod-001', quantity: 2, unitPrice: 29.99 },
+        { productId: 'prod-002', quantity: 1, unitPrice: 15.50 }
+      ]);
+      for (const status of ['confirmed', 'processing', 'shipped', 'delivered']) {
+        await setStatus(created.body.orderId, status);
+      }
+      return created.body.orderId;
+    };
+
+    test('should take a return from request to refund', async () => {
+      const orderId = await createDeliveredOrder();
+
+      const created = await requestReturn(orderId, { reason: 'Wrong size', items: [{ lineId: 'line-1', quantity: 1 }] });
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({
+        orderId,
+        status: 'requested',
+        reason: 'Wrong size',
+        items: [{ lineId: 'line-1', productId: 'prod-001', quantity: 1, unitPrice: 29.99, refundAmount: 29.99 }],
+        refund: { currency: 'USD', totalAmount: 29.99 },
+        refundedAt: null
+      });
+      const { returnId } = created.body;
+
+      expect((await setReturnStatus(orderId, returnId, 'approved')).body.status).toBe('approved');
+      expect((await getOrder(orderId)).body.items[0].returnedQuantity).toBeUndefined();
+
+      await setReturnStatus(orderId, returnId, 'received');
+      const received = await getOrder(orderId);
+      expect(received.body.status).toBe('delivered');
+      expect(received.body.items.map(item => item.returnedQuantity)).toEqual([1, 0]);
+      expect(received.body.returnStatus).toBe('partially_returned');
+      expect(received.body.refundedAmount).toBe(0);
+
+      const refunded = await setReturnStatus(orderId, returnId, 'refunded');
+      expect(refunded.status).toBe(200);
+      expect(refunded.body.history.map(entry => entry.to)).toEqual(['requested', 'approved', 'received', 'refunded']);
+      expect((await getOrder(orderId)).body.refundedAmount).toBe(29.99);
+
+      const list = await request(app)
+        .get(`/api/v1/orders/${orderId}/returns`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(list.body.returns.map(rma => rma.returnId)).toEqual([returnId]);
+    });
+
+    test('should mark the order returned once every unit is back', async () => {
+      const orderId = await createDeliveredOrder();
+      const created = await requestReturn(orderId, {
+        items: [{ lineId: 'line-1', quantity: 2 }, { lineId: 'line-2', quantity: 1, reason: 'Damaged' }]
+      });
+      expect(created.body.refund.totalAmount).toBe(75.48);
+
+      await setReturnStatus(orderId, created.body.returnId, 'approved');
+      await setReturnStatus(orderId, created.body.returnId, 'received');
+      expect((await getOrder(orderId)).body.returnStatus).toBe('returned');
+    });
+
+    test('should reject returns the order cannot take', async () => {
+      const pending = await createTestOrder();
+      const notReturnable = await requestReturn(pending.body.orderId, { items: [{ lineId: 'line-1', quantity: 1 }] });
+      expect(notReturnable.status).toBe(409);
+      expect(notReturnable.body.error).toBe('ORDER_NOT_RETURNABLE');
+
+      const orderId = await createDeliveredOrder();
+      const first = await requestReturn(orderId, { items: [{ lineId: 'line-2', quantity: 1 }] });
+      const again = await requestReturn(orderId, { items: [{ lineId: 'line-2', quantity: 1 }] });
+      expect(again.status).toBe(400);
+      expect(again.body.message).toBe('Only 0 of line-2 can be returned');
+
+      const skipped = await setReturnStatus(orderId, first.body.returnId, 'refunded');
+      expect(skipped.status).toBe(409);
+      expect(skipped.body.error).toBe('INVALID_STATUS_TRANSITION');
+
+      await setReturnStatus(orderId, first.body.returnId, 'rejected');
+      expect((await requestReturn(orderId, { items: [{ lineId: 'line-2', quantity: 1 }] })).status).toBe(201);
+
+      const empty = await requestReturn(orderId, { items: [] });
+      expect(empty.status).toBe(400);
+      expect(empty.body.error).toBe('VALIDATION_ERROR');
+
+      const missing = await request(app)
+        .get(`/api/v1/orders/${orderId}/returns/rma-missing`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe('Customers', () => {
+    const home = { label: 'Home', name: 'Ada Lovelace', line1: '500 Market Street', city: 'San Francisco', region: 'CA', postalCode: '94105', country: 'US' };
+    const office = { label: 'Office', line1: '10 Downing Street', city: 'London', postalCode: 'SW1A 2AA', country: 'GB' };
+
+    const createCustomer = (body) => request(app)
+      .post('/api/v1/customers')
+      .set('Authorization', `Bearer ${mockToken}`)
+      .send(body);
+
+    const newCustomer = async (addresses = [home]) => (await createCustomer({
+      customerId: `cust-${uuidv4()}`,
+      name: 'Ada Lovelace',
+      email: 'ada@example.com',
+      addresses
+    })).body;
+
+    test('should create and read a customer with saved addresses', async () => {
+      const customerId = `cust-${uuidv4()}`;
+      const created = await createCustomer({ customerId, name: 'Ada Lovelace', email: 'ada@example.com', addresses: [home, office] });
+
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ customerId, name: 'Ada Lovelace', email: 'ada@example.com', phone: null });
+      expect(created.body.addresses).toHaveLength(2);
+      expect(created.body.defaultShippingAddressId).toBe(created.body.addresses[0].addressId);
+
+      const fetched = await request(app)
+        .get(`/api/v1/customers/${customerId}`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(fetched.body).toEqual(created.body);
+
+      const duplicate = await createCustomer({ customerId, name: 'Ada Lovelace', email: 'ada@example.com' });
+      expect(duplicate.status).toBe(409);
+      expect(duplicate.body.error).toBe('CUSTOMER_EXISTS');
+    });
+
+    test('should reject invalid addresses and contact details', async () => {
+      const postalCode = await createCustomer({ name: 'Ada', email: 'ada@example.com', addresses: [{ ...home, postalCode: '9410' }] });
+      expect(postalCode.status).toBe(400);
+      expect(postalCode.body.message).toBe('addresses[0]: postalCode 9410 is not valid for US');
+
+      const email = await createCustomer({ name: 'Ada', email: 'not-an-email' });
+      expect(email.status).toBe(400);
+      expect(email.body.error).toBe('VALIDATION_ERROR');
+    });
+
+    test('should manage saved addresses and defaults', async () => {
+      const customer = await newCustomer();
+      const base = `/api/v1/customers/${customer.customerId}/addresses`;
+
+      const added = await request(app).post(base).set('Authorization', `Bearer ${mockToken}`).send(office);
+      expect(added.status).toBe(201);
+      expect(added.body).toMatchObject({ label: 'Office', city: 'London' });
+
+      const billing = await request(app)
+        .patch(`/api/v1/customers/${customer.customerId}`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ defaultBillingAddressId: added.body.addressId });
+      expect(billing.status).toBe(200);
+      expect(billing.body.defaultBillingAddressId).toBe(added.body.addressId);
+
+      const dangling = await request(app)
+        .patch(`/api/v1/customers/${customer.customerId}`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ defaultShippingAddressId: 'addr-missing' });
+      expect(dangling.status).toBe(400);
+
+      const replaced = await request(app)
+        .put(`${base}/${added.body.addressId}`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ ...office, line2: 'Floor 2' });
+      expect(replaced.status).toBe(200);
+      expect(replaced.body).toMatchObject({ addressId: added.body.addressId, line2: 'Floor 2' });
+
+      const deleted = await request(app).delete(`${base}/${added.body.addressId}`).set('Authorization', `Bearer ${mockToken}`);
+      expect(deleted.status).toBe(204);
+
+      const listed = await request(app).get(base).set('Authorization', `Bearer ${mockToken}`);
+      expect(listed.body.addresses.map(address => address.label)).toEqual(['Home']);
+    });
+
+    test('should place orders with saved, inline and default addresses', async () => {
+      const customer = await newCustomer();
+      const [saved] = customer.addresses;
+
+      const byDefault = await createTestOrder(customer.customerId);
+      expect(byDefault.status).toBe(201);
+      expect(byDefault.body.shippingAddress).toEqual({ name: 'Ada Lovelace', line1: '500 Market Street', city: 'San Francisco', region: 'CA', postalCode: '94105', country: 'US' });
+      expect(byDefault.body.billingAddress).toEqual(byDefault.body.shippingAddress);
+      expect(byDefault.body.taxRegion).toBe('US-CA');
+
+      const explicit = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Idempotency-Key', uuidv4())
+        .send({
+          customerId: customer.customerId,
+          items: [{ productId: 'prod-001', quantity: 1, unitPrice: 29.99 }],
+          shippingAddress: { addressId: saved.addressId },
+          billingAddress: office
+        });
+      expect(explicit.status).toBe(201);
+      expect(explicit.body.billingAddress.city).toBe('London');
+
+      const unknown = await request(app)
+        .patch(`/api/v1/orders/${explicit.body.orderId}`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ billingAddress: { addressId: 'addr-missing' } });
+      expect(unknown.status).toBe(422);
+      expect(unknown.body.error).toBe('ADDRESS_NOT_FOUND');
+
+      const invalid = await request(app)
+        .patch(`/api/v1/orders/${explicit.body.orderId}`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ shippingAddress: { ...office, postalCode: 'nope' } });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.message).toBe('shippingAddress: postalCode nope is not valid for GB');
+    });
+
+    test('should search a customer\'s orders', async () => {
+      const customer = await newCustomer();
+      await createTestOrder(customer.customerId);
+      await createTestOrder(customer.customerId, [{ productId: 'prod-002', quantity: 1, unitPrice: 15.5 }]);
+
+      const response = await request(app)
+        .get(`/api/v1/customers/${customer.customerId}/orders?productId=prod-002`)
+        .set('Authorization', `Bearer ${mockToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.orders).toHaveLength(1);
+      expect(response.body.orders[0].customerId).toBe(customer.customerId);
+
+      const missing = await request(app)
+        .get(`/api/v1/customers/cust-${uuidv4()}/orders`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(missing.status).toBe(404);
+    });
+
+    test('should not delete a customer with open orders', async () => {
+      const customer = await newCustomer();
+      const order = await createTestOrder(customer.customerId);
+
+      const blocked = await request(app)
+        .delete(`/api/v1/customers/${customer.customerId}`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(blocked.status).toBe(409);
+      expect(blocked.body.error).toBe('CUSTOMER_HAS_OPEN_ORDERS');
+
+      await request(app)
+        .patch(`/api/v1/orders/${order.body.orderId}/status`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ status: 'cancelled', reason: 'Test' });
+
+      const deleted = await request(app)
+        .delete(`/api/v1/customers/${customer.customerId}`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(deleted.status).toBe(204);
+    });
+  });
+
+  describe('Products', () => {
+    const putProduct = (productId, body, token = mockToken) => request(app)
+      .put(`/api/v1/products/${productId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    test('should list the products from the catalog file', async () => {
+      const response = await request(app)
+        .get('/api/v1/products')
+        .set('Authorization', `Bearer ${mockToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.products.find(product => product.productId === 'prod-001')).toMatchObject({
+        name: 'Wireless Mouse',
+        price: 29.99,
+        currency: 'USD'
+      });
+    });
+
+    test('should create, update and delete a product', async () => {
+      const productId = `prod-${uuidv4()}`;
+
+      const created = await putProduct(productId, { name: 'Desk Lamp', price: 24.5, stock: 10 });
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({ productId, name: 'Desk Lamp', price: 24.5, currency: 'USD', stock: 10, reserved: 0, available: 10 });
+
+      const replaced = await putProduct(productId, { name: 'Desk Lamp', price: 22, stock: 8 });
+      expect(replaced.status).toBe(200);
+      expect(replaced.body.price).toBe(22);
+
+      const restocked = await request(app)
+        .patch(`/api/v1/products/${productId}`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ stock: 40 });
+      expect(restocked.status).toBe(200);
+      expect(restocked.body).toMatchObject({ price: 22, stock: 40, available: 40 });
+
+      const deleted = await request(app)
+        .delete(`/api/v1/products/${productId}`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(deleted.status).toBe(204);
+
+      const missing = await request(app)
+        .get(`/api/v1/products/${productId}`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(missing.status).toBe(404);
+    });
+
+    test('should reject a price with too many decimal places for its currency', async () => {
+      const response = await putProduct(`prod-${uuidv4()}`, { name: 'Tea', price: 3.5, currency: 'JPY', stock: 1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('VALIDATION_ERROR');
+    });
+
+    test('should reject unknown product fields', async () => {
+      const response = await putProduct(`prod-${uuidv4()}`, { name: 'Tea', price: 3.5, stock: 1, colour: 'green' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('Bulk Operations', () => {
+    const batchCreate = (body) => request(app)
+      .post('/api/v1/orders:batch')
+      .set('Authorization', `Bearer ${mockToken}`)
+      .send(body);
+
+    const batchStatus = (body) => request(app)
+      .post('/api/v1/orders:batchUpdateStatus')
+      .set('Authorization', `Bearer ${mockToken}`)
+      .send(body);
+
+    const orderItem = (customerId = testCustomerId) => ({
+      idempotencyKey: uuidv4(),
+      order: { customerId, items: [{ productId: 'prod-001', quantity: 1, unitPrice: 10 }] }
+    });
+
+    test('should create orders with a result per item', async () => {
+      const first = orderItem();
+      const response = await batchCreate({
+        items: [first, { idempotencyKey: uuidv4(), order: { customerId: testCustomerId, items: [] } }, first]
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ atomic: false, succeeded: 2, failed: 1 });
+
+      const [created, invalid, replayed] = response.body.results;
+      expect(created.status).toBe(201);
+      expect(created.headers.ETag).toBe(`"${created.body.lastUpdated}"`);
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toBe('VALIDATION_ERROR');
+      expect(invalid.body.details.errors[0].path).toBe('items[1].order.items');
+      expect(replayed).toMatchObject({ status: 200, headers: { 'Idempotent-Replayed': 'true' } });
+      expect(replayed.body.orderId).toBe(created.body.orderId);
+
+      const single = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .set('Idempotency-Key', first.idempotencyKey)
+        .send({ ...first.order, currency: 'EUR' });
+      expect(single.status).toBe(422);
+    });
+
+    test('should create nothing when an atomic batch fails', async () => {
+      const customerId = `cust-${uuidv4()}`;
+      const duplicate = orderItem(customerId);
+      const response = await batchCreate({
+        atomic: true,
+        items: [duplicate, { ...duplicate, order: { ...duplicate.order, currency: 'EUR' } }, orderItem(customerId)]
+      });
+
+      expect(response.body).toMatchObject({ atomic: true, succeeded: 0, failed: 3 });
+      expect(response.body.results.map(result => result.status)).toEqual([424, 422, 424]);
+      expect(response.body.results[1].body.error).toBe('IDEMPOTENCY_KEY_REUSED');
+      expect(response.body.results[0].body).toEqual({ error: 'BATCH_ABORTED', message: 'Rolled back because item 1 failed' });
+
+      const search = await request(app)
+        .get(`/api/v1/orders?customerId=${customerId}`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(search.body.orders).toHaveLength(0);
+
+      const retried = await batchCreate({ atomic: true, items: [duplicate] });
+      expect(retried.body.results[0].status).toBe(201);
+    });
+
+    test('should apply status changes with the single endpoint\'s errors', async () => {
+      const first = await createTestOrder();
+      const second = await createTestOrder();
+
+      const response = await batchStatus({
+        items: [
+          { orderId: first.body.orderId, status: 'confirmed', ifMatch: first.headers.etag },
+          { orderId: second.body.orderId, status: 'shipped' },
+          { orderId: 'ord-missing', status: 'confirmed' },
+          { orderId: second.body.orderId, status: 'confirmed', ifMatch: '"stale"' }
+        ]
+      });
+
+      expect(response.body.results.map(result => result.status)).toEqual([200, 409, 404, 412]);
+      expect(response.body.results[0].body.status).toBe('confirmed');
+      expect(response.body.results[1].body).toEqual({
+        error: 'INVALID_STATUS_TRANSITION',
+        message: 'Cannot transition from pending to shipped'
+      });
+    });
+
+    test('should roll back atomic status changes and apply keyed changes once', async () => {
+      const order = await createTestOrder();
+      const { orderId } = order.body;
+
+      const rolledBack = await batchStatus({
+        atomic: true,
+        items: [{ orderId, status: 'confirmed' }, { orderId, status: 'shipped' }]
+      });
+      expect(rolledBack.body.results.map(result => result.status)).toEqual([424, 409]);
+
+      const history = await request(app)
+        .get(`/api/v1/orders/${orderId}/history`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(history.body.history).toHaveLength(1);
+
+      const change = { orderId, status: 'confirmed', idempotencyKey: uuidv4() };
+      const applied = await batchStatus({ items: [change, { orderId, status: 'processing' }, change] });
+      expect(applied.body.results.map(result => result.status)).toEqual([200, 200, 200]);
+      expect(applied.body.results[2].headers['Idempotent-Replayed']).toBe('true');
+      expect(applied.body.results[2].body.status).toBe('processing');
+    });
+
+    test('should reject an empty batch', async () => {
+      const response = await batchCreate({ items: [] });
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('Observability', () => {
+    test('should echo X-Request-Id and include it in error bodies', async () => {
+      const found = await request(app)
+        .get('/api/v1/health')
+        .set('X-Request-Id', 'trace-abc-123');
+      expect(found.headers['x-request-id']).toBe('trace-abc-123');
+
+      const missing = await request(app)
+        .get('/api/v1/orders/ord-missing')
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(missing.status).toBe(404);
+      expect(missing.body.requestId).toBe(missing.headers['x-request-id']);
+    });
+
+    test('should expose request, order and replay metrics', async () => {
+      const idempotencyKey = uuidv4();
+      const body = { customerId: testCustomerId, items: [{ productId: 'prod-001', quantity: 1, unitPrice: 10 }] };
+      for (let i = 0; i < 2; i++) {
+        await request(app)
+          .post('/api/v1/orders')
+          .set('Authorization', `Bearer ${mockToken}`)
+          .set('Idempotency-Key', idempotencyKey)
+          .send(body);
+      }
+
+      const response = await request(app).get('/metrics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/plain; version=0.0.4');
+      expect(response.text).toMatch(/^oms_http_requests_total\{method="POST",route="\/api\/v1\/orders",status="201"\} \d+$/m);
+      expect(response.text).toMatch(/^oms_http_request_duration_seconds_count\{method="POST",route="\/api\/v1\/orders",status="200"\} \d+$/m);
+      expect(response.text).toMatch(/^oms_orders\{status="pending"\} [1-9]\d*$/m);
+      expect(response.text).toMatch(/^oms_orders\{status="cancelled"\} \d+$/m);
+      expect(response.text).toMatch(/^oms_idempotent_replays_total [1-9]\d*$/m);
+    });
+  });
+
+  describe('Event Stream', () => {
+    let server;
+    let port;
+    const connections = [];
+
+    beforeAll(async () => {
+      server = http.createServer(app);
+      handleUpgrades(server, app);
+      await new Promise(resolve => server.listen(0, resolve));
+      port = server.address().port;
+    });
+
+    afterEach(() => {
+      connections.splice(0).forEach(connection => connection.destroy());
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const waitUntil = async (condition) => {
+      for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      expect(condition()).toBe(true);
+    };
+
+    // Open an SSE stream; resolves once the headers arrive, collecting parsed events
+    const openStream = (query, headers = {}) => new Promise((resolve, reject) => {
+      const req = http.get({ port, path: `/api/v1/orders/events?${query}`, headers: { Authorization: `Bearer ${mockToken}`, ...headers } }, (res) => {
+        const stream = { status: res.statusCode, headers: res.headers, events: [], body: '' };
+        let pending = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          stream.body += chunk;
+          pending += chunk;
+          const blocks = pending.split('\n\n');
+          pending = blocks.pop();
+          blocks.forEach(block => {
+            const fields = Object.fromEntries(block.split('\n')
+              .filter(line => line && !line.startsWith(':'))
+              .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+            stream.events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+          });
+        });
+        resolve(stream);
+      });
+      req.on('error', reject);
+      connections.push(req);
+    });
+
+    const setStatus = (orderId, status) => request(app)
+      .patch(`/api/v1/orders/${orderId}/status`)
+      .set('Authorization', `Bearer ${mockToken}`)
+      .send({ status });
+
+    test('should push order creation and status changes for a customer', async () => {
+      const customerId = `cust-${uuidv4()}`;
+      const stream = await openStream(`customerId=${customerId}&events=order.created,order.status_changed`);
+      expect(stream.status).toBe(200);
+      expect(stream.headers['content-type']).toMatch(/^text\/event-stream/);
+
+      await createTestOrder(`cust-${uuidv4()}`);
+      const created = await createTestOrder(customerId);
+      await setStatus(created.body.orderId, 'confirmed');
+
+      await waitUntil(() => stream.events.length === 2);
+      expect(stream.events.map(event => event.event)).toEqual(['order.created', 'order.status_changed']);
+      expect(stream.events[1].data).toMatchObject({
+        type: 'order.status_changed',
+        data: { order: { orderId: created.body.orderId, status: 'confirmed' }, previousStatus: 'pending' }
+      });
+      expect(Number(stream.events[1].id)).toBe(Number(stream.events[0].id) + 1);
+    });
+
+    test('should resume after Last-Event-ID and filter by order and type', async () => {
+      const created = await createTestOrder(`cust-${uuidv4()}`);
+      const first = await openStream(`orderId=${created.body.orderId}&events=order.status_changed`);
+      await setStatus(created.body.orderId, 'confirmed');
+      await waitUntil(() => first.events.length === 1);
+      first.events.splice(0);
+
+      await setStatus(created.body.orderId, 'processing');
+      await setStatus(created.body.orderId, 'cancelled');
+      await waitUntil(() => first.events.length === 2);
+
+      const resumed = await openStream(`orderId=${created.body.orderId}&events=order.status_changed`, { 'Last-Event-ID': first.events[0].id });
+      await waitUntil(() => resumed.events.length === 1);
+      expect(resumed.events[0]).toMatchObject({ id: first.events[1].id, data: { data: { order: { status: 'cancelled' } } } });
+    });
+
+    test('should accept the token as a query parameter and validate filters', async () => {
+      const created = await createTestOrder(`cust-${uuidv4()}`);
+
+      const byQuery = await openStream(`orderId=${created.body.orderId}&access_token=${mockToken}`, { Authorization: '' });
+      expect(byQuery.status).toBe(200);
+
+      const unknownType = await request(app)
+        .get('/api/v1/orders/events?customerId=cust-1&events=order.lost')
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(unknownType.status).toBe(400);
+
+      const unknownOrder = await request(app)
+        .get('/api/v1/orders/events?orderId=ord-missing')
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(unknownOrder.status).toBe(404);
+
+      const anonymous = await request(app).get('/api/v1/orders/events?customerId=cust-1');
+      expect(anonymous.status).toBe(401);
+    });
+
+    test('should stream events over a WebSocket', async () => {
+      const customerId = `cust-${uuidv4()}`;
+      const socket = await new Promise((resolve, reject) => {
+        const req = http.get({
+          port,
+          path: `/api/v1/orders/events?customerId=${customerId}`,
+          headers: {
+            Authorization: `Bearer ${mockToken}`,
+            Connection: 'Upgrade',
+            Upgrade: 'websocket',
+            'Sec-WebSocket-Version': '13',
+            'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ=='
+          }
+        });
+        req.on('upgrade', (res, upgraded) => {
+          expect(res.headers['sec-websocket-accept']).toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+          resolve(upgraded);
+        });
+        req.on('response', res => reject(new Error(`Expected an upgrade, got ${res.statusCode}`)));
+        req.on('error', reject);
+      });
+      connections.push(socket);
+
+      const messages = [];
+      let pending = Buffer.alloc(0);
+      socket.on('data', (chunk) => {
+        const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+        pending = rest;
+        frames.filter(frame => frame.opcode === 0x1).forEach(frame => messages.push(JSON.parse(frame.payload.toString())));
+      });
+
+      const created = await createTestOrder(customerId);
+      await waitUntil(() => messages.length === 1);
+      expect(messages[0]).toMatchObject({ type: 'order.created', data: { order: { orderId: created.body.orderId } } });
+      expect(messages[0].id).toEqual(expect.any(Number));
+
+      // Client close frames (masked) are answered with a close frame
+      const closed = new Promise(resolve => socket.on('end', resolve));
+      socket.write(Buffer.concat([Buffer.from([0x88, 0x80]), Buffer.from([0, 0, 0, 0])]));
+      await closed;
+    });
+
+    test('should refuse WebSocket upgrades without a token', async () => {
+      const status = await new Promise((resolve, reject) => {
+        const req = http.get({
+          port,
+          path: '/api/v1/orders/events?customerId=cust-1',
+          headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==' }
+        });
+        req.on('response', res => { res.resume(); resolve(res.statusCode); });
+        req.on('upgrade', () => reject(new Error('Unexpected upgrade')));
+        req.on('error', reject);
+      });
+
+      expect(status).toBe(401);
+      expect(encodeFrame(0x1, Buffer.from('x'))).toHaveLength(3);
+    });
+  });
+
+  describe('Tenants', () => {
+    const asTenant = (req, tenantId) => req
+      .set('Authorization', `Bearer ${mockToken}`)
+      .set('X-Tenant-Id', tenantId);
+
+    const placeOrder = (tenantId, idempotencyKey = uuidv4()) => asTenant(request(app).post('/api/v1/orders'), tenantId)
+      .set('Idempotency-Key', idempotencyKey)
+      .send({ customerId: testCustomerId, items: [{ productId: 'prod-001', quantity: 1, unitPrice: 29.99 }] });
+
+    test('should keep each tenant\'s orders and idempotency keys apart', async () => {
+      const teamA = `team-a-${uuidv4()}`;
+      const teamB = `team-b-${uuidv4()}`;
+      const idempotencyKey = uuidv4();
+
+      const placed = await placeOrder(teamA, idempotencyKey);
+      expect(placed.status).toBe(201);
+
+      const elsewhere = await request(app)
+        .get(`/api/v1/orders/${placed.body.orderId}`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(elsewhere.status).toBe(404);
+
+      const sameKey = await placeOrder(teamB, idempotencyKey);
+      expect(sameKey.status).toBe(201);
+      expect(sameKey.body.orderId).not.toBe(placed.body.orderId);
+
+      const fetched = await asTenant(request(app).get(`/api/v1/orders/${placed.body.orderId}`), teamA);
+      expect(fetched.status).toBe(200);
+    });
+
+    test('should seed new tenants with the catalog and the startup scenario', async () => {
+      const tenantId = `seeded-${uuidv4()}`;
+
+      const sample = await asTenant(request(app).get('/api/v1/orders/ord-sample-0001'), tenantId);
+      expect(sample.status).toBe(200);
+      expect(sample.body.customerId).toBe('cust-12345');
+
+      const product = await asTenant(request(app).get('/api/v1/products/prod-001'), tenantId);
+      expect(product.status).toBe(200);
+
+      const tenants = await request(app).get('/admin/tenants');
+      expect(tenants.body.tenants).toContainEqual(expect.objectContaining({ tenantId, customers: 2, orders: 3 }));
+    });
+
+    test('should reset one tenant without touching the others', async () => {
+      const teamA = `team-a-${uuidv4()}`;
+      const teamB = `team-b-${uuidv4()}`;
+      const mine = await placeOrder(teamA);
+      const theirs = await placeOrder(teamB);
+
+      const reset = await request(app).delete(`/admin/tenants/${teamA}/reset`);
+      expect(reset.status).toBe(200);
+      expect(reset.body).toMatchObject({ tenantId: teamA, scenario: 'default', customers: 2, orders: 3 });
+
+      expect((await asTenant(request(app).get(`/api/v1/orders/${mine.body.orderId}`), teamA)).status).toBe(404);
+      expect((await asTenant(request(app).get('/api/v1/orders/ord-sample-0001'), teamA)).status).toBe(200);
+      expect((await asTenant(request(app).get(`/api/v1/orders/${theirs.body.orderId}`), teamB)).status).toBe(200);
+
+      const invalid = await request(app).delete('/admin/tenants/..%2Fetc/reset');
+      expect(invalid.status).toBe(400);
+    });
+
+    test('should keep the shared fault rules when a tenant resets its scenario', async () => {
+      const rule = await request(app)
+        .post('/admin/faults')
+        .send({ route: '/api/v1/workflow', fault: 'error', status: 503 });
+      expect(rule.status).toBe(201);
+
+      const reset = await request(app)
+        .post('/admin/scenarios/default/reset')
+        .set('X-Tenant-Id', `team-a-${uuidv4()}`);
+      expect(reset.status).toBe(200);
+
+      const rules = await request(app).get('/admin/faults');
+      expect(rules.body.rules.map(existing => existing.ruleId)).toContain(rule.body.ruleId);
+
+      await request(app).delete('/admin/faults');
+    });
+
+    test('should reject malformed tenant IDs', async () => {
+      const response = await asTenant(request(app).get('/api/v1/workflow'), 'team a!');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('Workflow', () => {
+    test('should return the active workflow', async () => {
+      const response = await request(app)
+        .get('/api/v1/workflow')
+        .set('Authorization', `Bearer ${mockToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.initial).toBe('pending');
+      expect(response.body.terminalStates).toEqual(['delivered', 'cancelled']);
+
+      const pending = response.body.states.find(state => state.name === 'pending');
+      expect(pending.transitions.map(transition => transition.to)).toEqual(['confirmed', 'cancelled']);
+    });
+  });
+
+  describe('Error Handling', () => {
+    test('should return 404 for unknown endpoints', async () => {
+      const response = await request(app)
+        .get('/api/v1/unknown-endpoint')
+        .set('Authorization', `Bearer ${mockToken}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('NOT_FOUND');
+    });
+  });
+
+  describe('Status Transitions', () => {
+    test('should allow valid status transitions', async () => {
+      const createResponse = await createTestOrder();
+      const orderId = createResponse.body.orderId;
+
+      // pending -> confirmed
+      const confirmedResponse = await request(app)
+        .patch(`/api/v1/orders/${orderId}/status`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ status: 'confirmed' });
+      expect(confirmedResponse.status).toBe(200);
+
+      // confirmed -> processing
+      const processingResponse = await request(app)
+        .patch(`/api/v1/orders/${orderId}/status`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ status: 'processing' });
+      expect(processingResponse.status).toBe(200);
+
+      // processing -> shipped
+      const shippedResponse = await request(app)
+        .patch(`/api/v1/orders/${orderId}/status`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ status: 'shipped' });
+      expect(shippedResponse.status).toBe(200);
+
+      // shipped -> delivered
+      const deliveredResponse = await request(app)
+        .patch(`/api/v1/orders/${orderId}/status`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ status: 'delivered' });
+      expect(deliveredResponse.status).toBe(200);
+    });
+
+    test('should allow cancellation from multiple states', async () => {
+      const createResponse = await createTestOrder();
+      const orderId = createResponse.body.orderId;
+
+      // pending -> cancelled
+      const response = await request(app)
+        .patch(`/api/v1/orders/${orderId}/status`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ status: 'cancelled' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('cancelled');
+    });
+  });
+
+  describe('Rate Limits', () => {
+    afterEach(async () => {
+      await request(app).delete('/admin/rate-limits');
+    });
+
+    test('should limit each token and answer 429 in the usual error format', async () => {
+      const token = `client-${uuidv4()}`;
+      await request(app)
+        .post('/admin/rate-limits')
+        .send({ route: '/orders', method: 'POST', limit: 1, window: '1m' });
+
+      const placeOrder = (bearer) => request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', `Bearer ${bearer}`)
+        .set('Idempotency-Key', uuidv4())
+        .set('X-Request-Id', 'rate-limit-test')
+        .send({ customerId: testCustomerId, items: [{ productId: 'prod-001', quantity: 1, unitPrice: 29.99 }] });
+
+      const placed = await placeOrder(token);
+      expect(placed.status).toBe(201);
+      expect(placed.headers['ratelimit-remaining']).toBe('0');
+
+      const limited = await placeOrder(token);
+      expect(limited.status).toBe(429);
+      expect(limited.headers['retry-after']).toBe('60');
+      expect(limited.body).toMatchObject({ error: 'RATE_LIMITED', requestId: 'rate-limit-test' });
+      expect(limited.body.message).toContain('1 request per 1m');
+
+      expect((await placeOrder(`other-${uuidv4()}`)).status).toBe(201);
+    });
+
+    test('should refill buckets on the shared clock, not on X-Mock-Time', async () => {
+      const token = `client-${uuidv4()}`;
+      await request(app)
+        .post('/admin/rate-limits')
+        .send({ route: '/health', limit: 1, window: '1m' });
+
+      const checkHealth = (time) => request(app)
+        .get('/api/v1/health')
+        .set('Authorization', `Bearer ${token}`)
+        .set('X-Mock-Time', time);
+
+      expect((await checkHealth('2099-01-01T00:00:00Z')).status).toBe(200);
+      expect((await checkHealth('2099-01-01T00:05:00Z')).status).toBe(429);
+    });
+  });
+
+  describe('Fault Injection', () => {
+    afterEach(async () => {
+      await request(app).delete('/admin/faults');
+    });
+
+    test('should return injected errors for the next N matching requests', async () => {
+      const ruleResponse = await request(app)
+        .post('/admin/faults')
+        .send({ route: '/api/v1/orders', method: 'POST', fault: 'error', status: 503, times: 2 });
+
+      expect(ruleResponse.status).toBe(201);
+      expect(ruleResponse.body.ruleId).toBeDefined();
+
+      const first = await createTestOrder();
+      const second = await createTestOrder();
+      const third = await createTestOrder();
+
+      expect(first.status).toBe(503);
+      expect(first.body.error).toBe('SERVICE_UNAVAILABLE');
+      expect(second.status).toBe(503);
+      expect(third.status).toBe(201);
+    });
+
+    test('should scope rules by customer ID', async () => {
+      await request(app)
+        .post('/admin/faults')
+        .send({ route: '/orders', method: 'POST', fault: 'error', status: 500, match: { customerId: 'cust-faulty' } });
+
+      const faulty = await createTestOrder('cust-faulty');
+      const healthy = await createTestOrder();
+
+      expect(faulty.status).toBe(500);
+      expect(healthy.status).toBe(201);
+    });
+
+    test('should add latency to matching routes', async () => {
+      const createResponse = await createTestOrder();
+
+      await request(app)
+        .post('/admin/faults')
+        .send({ route: '/api/v1/orders/:orderId', method: 'GET', fault: 'latency', latencyMs: 200 });
+
+      const started = Date.now();
+      const response = await request(app)
+        .get(`/api/v1/orders/${createResponse.body.orderId}`)
+        .set('Authorization', `Bearer ${mockToken}`);
+
+      expect(response.status).toBe(200);
+      expect(Date.now() - started).toBeGreaterThanOrEqual(190);
+    });
+
+    test('should drop the connection', async () => {
+      await request(app)
+        .post('/admin/faults')
+        .send({ route: '/api/v1/health', fault: 'drop', times: 1 });
+
+      await expect(request(app).get('/api/v1/health')).rejects.toThrow();
+
+      const response = await request(app).get('/api/v1/health');
+      expect(response.status).toBe(200);
+    });
+
+    test('should list and clear rules', async () => {
+      const ruleResponse = await request(app)
+        .post('/admin/faults')
+        .send({ route: '/api/v1/orders', fault: 'error' });
+
+      const listResponse = await request(app).get('/admin/faults');
+      expect(listResponse.body.rules).toHaveLength(1);
+
+      const deleteResponse = await request(app).delete(`/admin/faults/${ruleResponse.body.ruleId}`);
+      expect(deleteResponse.status).toBe(204);
+
+      const emptyResponse = await request(app).get('/admin/faults');
+      expect(emptyResponse.body.rules).toHaveLength(0);
+    });
+
+    test('should reject invalid rules', async () => {
+      const response = await request(app)
+        .post('/admin/faults')
+        .send({ route: '/api/v1/orders', fault: 'explode' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('Webhooks', () => {
+    let receiver;
+    let receiverUrl;
+    let received;
+
+    beforeAll(async () => {
+      received = [];
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ ...JSON.parse(body), requestIdHeader: req.headers['x-request-id'] });
+          res.end();
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, resolve));
+      receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => receiver.close(resolve));
+    });
+
+    const waitForDeliveries = async (webhookId, count) => {
+      for (let i = 0; i < 100; i++) {
+        const response = await request(app)
+          .get(`/api/v1/webhooks/${webhookId}/deliveries`)
+          .set('Authorization', `Bearer ${mockToken}`);
+        const succeeded = response.body.deliveries.filter(delivery => delivery.status === 'succeeded');
+        if (succeeded.length >= count) {
+          return response.body.deliveries;
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      throw new Error('Webhook deliveries did not complete');
+    };
+
+    test('should deliver order lifecycle events to subscribers', async () => {
+      const subscribeResponse = await request(app)
+        .post('/api/v1/webhooks')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ url: receiverUrl, events: ['order.created', 'order.cancelled'] });
+
+      expect(subscribeResponse.status).toBe(201);
+      expect(subscribeResponse.body.secret).toBeDefined();
+      const { webhookId } = subscribeResponse.body;
+
+      const createResponse = await createTestOrder();
+      await request(app)
+        .patch(`/api/v1/orders/${createResponse.body.orderId}/status`)
+        .set('Authorization', `Bearer ${mockToken}`)
+        .set('X-Request-Id', 'cancel-request-1')
+        .send({ status: 'cancelled', reason: 'Customer request' });
+
+      const deliveries = await waitForDeliveries(webhookId, 2);
+
+      expect(deliveries.map(delivery => delivery.eventType).sort()).toEqual(['order.cancelled', 'order.created']);
+      expect(received.map(event => event.data.order.orderId)).toContain(createResponse.body.orderId);
+
+      const cancelled = received.find(event => event.type === 'order.cancelled');
+      expect(cancelled.requestId).toBe('cancel-request-1');
+      expect(cancelled.requestIdHeader).toBe('cancel-request-1');
+
+      const deleteResponse = await request(app)
+        .delete(`/api/v1/webhooks/${webhookId}`)
+        .set('Authorization', `Bearer ${mockToken}`);
+      expect(deleteResponse.status).toBe(204);
+    });
+
+    test('should reject subscriptions to unknown events', async () => {
+      const response = await request(app)
+        .post('/api/v1/webhooks')
+        .set('Authorization', `Bearer ${mockToken}`)
+        .send({ url: receiverUrl, events: ['order.exploded'] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('VALIDATION_ERROR');
     });
   });
 });